@@ -0,0 +1,14 @@
+import { loadContractAllowlist, resolveAllowedContract } from '../../shared/allowlist.js';
+
+// The image and card functions serve the published market snapshot whatever
+// the request names, but a `contract` is still checked as on the other hosts:
+// `{ status, error }` for a malformed or non-allowlisted contract, else null
+export async function checkContractQuery(query) {
+  if (!query.contract) return null;
+
+  const { allowlist, error } = await loadContractAllowlist();
+  if (error) return { status: 500, error };
+
+  const resolved = resolveAllowedContract(allowlist, { contract: query.contract, chain: query.chain });
+  return resolved.error ? { status: resolved.status, error: resolved.error } : null;
+}
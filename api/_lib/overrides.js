@@ -0,0 +1,83 @@
+import { list, put } from '@vercel/blob';
+import { deserializeOverride, overrideWindow, serializeOverride } from '../../shared/overrides.js';
+import { logger } from '../../shared/logger.js';
+
+// Curator overrides, written by api/admin/overrides.js. Blob URLs are read
+// through the CDN and may be served stale for a minute after a rewrite, so
+// no blob here is ever rewritten: each override is overrides/<id>.json, and
+// cancelling one adds overrides/cancelled/<id>.json. list() is not cached,
+// so a write is visible to the next request.
+export const OVERRIDES_PREFIX = 'overrides/';
+const CANCELLED_PREFIX = 'overrides/cancelled/';
+
+async function listBlobs(prefix) {
+  const blobs = [];
+  let cursor;
+  do {
+    const page = await list({ prefix, cursor, limit: 1000 });
+    blobs.push(...page.blobs);
+    cursor = page.hasMore ? page.cursor : undefined;
+  } while (cursor);
+  return blobs;
+}
+
+async function readBlob(blob) {
+  const response = await fetch(blob.url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${blob.pathname}: ${response.status}`);
+  }
+  return response.json();
+}
+
+async function writeOnce(pathname, body) {
+  await put(pathname, JSON.stringify(body), {
+    access: 'public',
+    contentType: 'application/json',
+    addRandomSuffix: false
+  });
+}
+
+// Every stored override (shared/overrides.js records)
+export async function loadOverrides() {
+  const blobs = await listBlobs(OVERRIDES_PREFIX);
+  const cancelled = blobs.filter(blob => blob.pathname.startsWith(CANCELLED_PREFIX));
+  const records = blobs.filter(blob => !blob.pathname.startsWith(CANCELLED_PREFIX));
+
+  const [overrides, cancellations] = await Promise.all([
+    Promise.all(records.map(async blob => deserializeOverride(await readBlob(blob)))),
+    Promise.all(cancelled.map(readBlob))
+  ]);
+
+  const cancelledAt = new Map(cancellations.map(entry => [entry.id, new Date(entry.cancelled_at)]));
+  return overrides
+    .map(override => ({ ...override, cancelledAt: cancelledAt.get(override.id) ?? override.cancelledAt }))
+    .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+}
+
+export async function saveOverride(override) {
+  await writeOnce(`${OVERRIDES_PREFIX}${override.id}.json`, serializeOverride(override));
+}
+
+// Cancel an override, as IStorage.cancelOverride does: the override, or
+// undefined when there is no such id. Cancelling twice keeps the first time.
+export async function cancelOverride(id, at = new Date()) {
+  const override = (await loadOverrides()).find(candidate => candidate.id === id);
+  if (!override || override.cancelledAt) {
+    return override;
+  }
+
+  await writeOnce(`${CANCELLED_PREFIX}${id}.json`, { id, cancelled_at: at.toISOString() });
+  return { ...override, cancelledAt: at };
+}
+
+// The override in force now and the cache lifetime (see overrideWindow).
+// Overrides that cannot be read are logged and ignored, so the endpoints
+// keep serving the computed state.
+export async function loadActiveOverride(maxAge = 43200) {
+  try {
+    return overrideWindow(await loadOverrides(), maxAge);
+  } catch (error) {
+    logger.error('Could not load curator overrides', { error });
+    return { override: undefined, maxAge };
+  }
+}
@@ -0,0 +1,31 @@
+import { createRateLimiter, loadAdminRateLimitConfig } from '../../shared/rate-limit.js';
+
+// Buckets for this function instance
+const publicLimiter = createRateLimiter();
+const adminLimiter = createRateLimiter(loadAdminRateLimitConfig());
+
+// Answer 429 once the client's token bucket is empty. Vercel sets
+// X-Forwarded-For to the client's address.
+export function withRateLimit(handler, limiter = publicLimiter) {
+  return (req, res) => {
+    if (req.method === 'OPTIONS') return handler(req, res);
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const client = typeof forwardedFor === 'string' ? forwardedFor.split(',')[0].trim() : req.socket?.remoteAddress;
+    const { allowed, headers } = limiter.take(client);
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+
+    if (!allowed) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+    return handler(req, res);
+  };
+}
+
+// The same, at the admin budget, for endpoints behind Basic auth
+export function withAdminRateLimit(handler) {
+  return withRateLimit(handler, adminLimiter);
+}
@@ -0,0 +1,17 @@
+import { REQUEST_ID_HEADER, createRequest, logRequestSummary, runWithRequest } from '../../shared/logger.js';
+
+// Run a handler under an X-Request-Id (the caller's, or a new one) that is
+// echoed back and tagged on every log line, ending with the request summary
+export function withRequestLogging(handler) {
+  return (req, res) => {
+    const request = createRequest({
+      requestId: req.headers['x-request-id'],
+      method: req.method,
+      path: new URL(req.url, 'http://localhost').pathname
+    });
+    res.setHeader(REQUEST_ID_HEADER, request.id);
+    res.on('finish', () => logRequestSummary(request, res.statusCode));
+
+    return runWithRequest(request, () => handler(req, res));
+  };
+}
@@ -0,0 +1,39 @@
+import { list } from '@vercel/blob';
+
+// Written by api/refresh-sentiment.js on every cron run
+export const SNAPSHOT_PATH = 'market/sentiment.json';
+
+// Snapshots refresh every 12 hours; 36 hours allows some buffer
+export const STALE_AFTER_MS = 36 * 60 * 60 * 1000;
+
+// Latest cached sentiment snapshot from Vercel Blob, or null when none has
+// been written yet. Throws if the blob exists but cannot be read.
+export async function loadCachedSnapshot() {
+  const { blobs } = await list({
+    prefix: SNAPSHOT_PATH,
+    limit: 1
+  });
+  
+  if (blobs.length === 0) {
+    return null;
+  }
+  
+  const blob = blobs[0];
+  const response = await fetch(blob.url);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch cached data: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const dataAge = Date.now() - data.timestamp;
+  
+  return {
+    data,
+    blob,
+    dataAge,
+    dataAgeHours: Math.round(dataAge / (60 * 60 * 1000)),
+    isStale: dataAge > STALE_AFTER_MS,
+    etag: blob.downloadUrl.split('/').pop()
+  };
+}
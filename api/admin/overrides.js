@@ -0,0 +1,75 @@
+import { createOverrideRecord, parseOverrideRequest, serializeOverride } from '../../shared/overrides.js';
+import { CURATOR_CHALLENGE, authenticateCurator, curatorConfigured } from '../../shared/curator-auth.js';
+import { logger } from '../../shared/logger.js';
+import { cancelOverride, loadOverrides, saveOverride } from '../_lib/overrides.js';
+import { withRequestLogging } from '../_lib/request.js';
+import { withAdminRateLimit } from '../_lib/rate-limit.js';
+
+// Curator overrides, as on the Express server: GET lists active and scheduled
+// ones (?all=true for every one), POST creates, DELETE
+// /api/admin/overrides/:id (rewritten to ?id=) cancels. HTTP Basic auth as
+// ADMIN_USERNAME / ADMIN_PASSWORD rather than the users table (see
+// shared/curator-auth.js).
+export default withRequestLogging(withAdminRateLimit(handler));
+
+async function handler(req, res) {
+  if (!curatorConfigured()) {
+    return res.status(503).json({ error: 'ADMIN_USERNAME and ADMIN_PASSWORD not configured' });
+  }
+  
+  const username = authenticateCurator(req.headers.authorization);
+  if (!username) {
+    res.setHeader('WWW-Authenticate', CURATOR_CHALLENGE);
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const now = Date.now();
+      const overrides = (await loadOverrides()).map(override => serializeOverride(override, now));
+      
+      // Active and scheduled only, unless ?all=true
+      return res.status(200).json({
+        overrides: req.query.all === 'true'
+          ? overrides
+          : overrides.filter(override => override.status === 'active' || override.status === 'scheduled')
+      });
+    }
+    
+    if (req.method === 'POST') {
+      const request = parseOverrideRequest(req.body);
+      if (request.error) {
+        return res.status(400).json({ error: request.error });
+      }
+      
+      const override = createOverrideRecord(request, username);
+      await saveOverride(override);
+      logger.info('Override created', {
+        id: override.id,
+        state: override.state,
+        starts_at: override.startsAt.toISOString(),
+        until: override.until.toISOString(),
+        by: override.createdBy
+      });
+      return res.status(201).json(serializeOverride(override));
+    }
+    
+    if (req.method === 'DELETE') {
+      const override = await cancelOverride(req.query.id);
+      if (!override) {
+        return res.status(404).json({ error: 'Override not found' });
+      }
+      
+      logger.info('Override cancelled', { id: override.id, by: username });
+      return res.status(200).json(serializeOverride(override));
+    }
+    
+    return res.status(405).json({ error: 'Method not allowed' });
+    
+  } catch (error) {
+    logger.error('Error in /api/admin/overrides', { error });
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+}
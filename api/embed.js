@@ -0,0 +1,45 @@
+import { embedHeaders, loadEmbedConfig, parseEmbedQuery, renderEmbedPage } from '../shared/embed.js';
+import { loadContractAllowlist } from '../shared/allowlist.js';
+import { annotateRequest, logger } from '../shared/logger.js';
+import { withRequestLogging } from './_lib/request.js';
+import { withRateLimit } from './_lib/rate-limit.js';
+
+// Embeddable widget for partner sites: /embed (rewritten in vercel.json)
+export default withRequestLogging(withRateLimit(handler));
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { config, error } = loadEmbedConfig();
+  if (error) {
+    logger.error('Invalid embed configuration', { error });
+    return res.status(500).json({ error });
+  }
+
+  try {
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError) {
+      return res.status(500).json({ error: allowlistError });
+    }
+    
+    const parsed = parseEmbedQuery(req.query, { allowlist });
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+    
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${protocol}://${req.headers.host}`;
+    
+    annotateRequest({ contract: parsed.options.contract ?? 'market' });
+    for (const [name, value] of Object.entries(embedHeaders(config))) {
+      res.setHeader(name, value);
+    }
+    return res.status(200).send(renderEmbedPage(parsed.options, { baseUrl }));
+    
+  } catch (error) {
+    logger.error('Error rendering embed', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,102 +1,146 @@
-import { list } from '@vercel/blob';
+import { ZodError } from 'zod';
+import { fallbackSentiment, marketSentimentSchema } from '../shared/sentiment.js';
+import { applyOverride } from '../shared/overrides.js';
+import { resolveMarketDataProvider } from '../shared/providers/index.js';
+import { buildMarketSnapshot, fetchTargetSentiment, resolveSentimentTarget } from '../shared/market-data.js';
+import { loadContractAllowlist } from '../shared/allowlist.js';
+import { createSwrCache, sentimentCacheOptions } from '../shared/swr-cache.js';
+import { REQUEST_ID_HEADER, annotateRequest, logger } from '../shared/logger.js';
+import { loadCachedSnapshot } from './_lib/snapshot.js';
+import { loadActiveOverride } from './_lib/overrides.js';
+import { withRequestLogging } from './_lib/request.js';
+import { withRateLimit } from './_lib/rate-limit.js';
 
-export default async function handler(req, res) {
+// Bounded stale-while-revalidate cache for single collections, local to this
+// function instance
+const cache = createSwrCache(sentimentCacheOptions());
+
+export default withRequestLogging(withRateLimit(handler));
+
+async function handler(req, res) {
   // Add CORS headers to allow cross-origin requests
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
+  // A single collection is computed here, as on Netlify and Express
+  if (req.query.contract || req.query.slug) {
+    return serveCollection(req, res);
+  }
+
   try {
-    console.log('Market sentiment endpoint - serving cached data only');
+    // Read cached sentiment data from Vercel Blob, and any curator override
+    const [cached, { override, maxAge }] = await Promise.all([loadCachedSnapshot(), loadActiveOverride()]);
     
-    // Read cached sentiment data from Vercel Blob
-    const { blobs } = await list({
-      prefix: 'market/',
-      limit: 1
-    });
-    
-    if (blobs.length === 0) {
+    if (!cached) {
       // No cached data available - return fallback
-      console.warn('No cached sentiment data found, returning fallback');
+      logger.warn('No cached sentiment data found, returning fallback');
+      const fallback = applyOverride(fallbackSentiment({ note: 'Fallback data - no cached sentiment available' }), override);
+      annotateRequest({ contract: 'market', cache: 'miss', state: fallback.market_state, fallback: 'no_snapshot' });
       return res.status(200).json({
-        sentiment_score: 0.5,
-        market_state: 'stagnation',
-        indicators: {
-          total_volume_24h: 0,
-          total_sales_24h: 0,
-          active_collections: 0,
-          average_sale_price: 0,
-          market_activity_score: 0
-        },
-        raw_data: {
-          collections_analyzed: 0,
-          total_volume_eth: 0,
-          total_sales: 0,
-          note: 'Fallback data - no cached sentiment available'
-        },
+        ...fallback,
         cached: false,
         fallback: true
       });
     }
     
-    // Fetch the latest cached data
-    const latestBlob = blobs[0];
-    const response = await fetch(latestBlob.url);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch cached data: ${response.status}`);
-    }
-    
-    const cachedData = await response.json();
-    
-    // Check if data is stale (older than 36 hours - allows some buffer beyond 12h refresh)
-    const dataAge = Date.now() - cachedData.timestamp;
-    const isStale = dataAge > (36 * 60 * 60 * 1000); // 36 hours
-    
-    if (isStale) {
-      console.warn(`Cached data is stale (${Math.round(dataAge / (60 * 60 * 1000))} hours old)`);
+    if (cached.isStale) {
+      logger.warn('Cached data is stale', { data_age_hours: cached.dataAgeHours });
     }
+    const published = applyOverride(cached.data, override);
+    annotateRequest({ contract: 'market', cache: cached.isStale ? 'stale' : 'hit', state: published.market_state });
     
-    // Set cache headers for 12-hour caching
-    res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
-    res.setHeader('ETag', `"${latestBlob.downloadUrl.split('/').pop()}"`);
+    // Cached for 12 hours, or until the next override starts or ends
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('ETag', `"${cached.etag}${override ? `-${override.id}` : ''}"`);
     
     // Return cached sentiment data with metadata
     res.status(200).json({
-      ...cachedData,
+      ...published,
       cached: true,
-      data_age_hours: Math.round(dataAge / (60 * 60 * 1000)),
-      is_stale: isStale,
-      blob_url: latestBlob.url
+      data_age_hours: cached.dataAgeHours,
+      is_stale: cached.isStale,
+      blob_url: cached.blob.url
     });
     
   } catch (error) {
-    console.error('Error serving cached sentiment data:', error);
+    logger.error('Error serving cached sentiment data', { error });
+    annotateRequest({ state: 'stagnation', fallback: 'handler_error' });
     
     // Return fallback data on error
     res.status(200).json({
-      sentiment_score: 0.5,
-      market_state: 'stagnation',
-      indicators: {
-        total_volume_24h: 0,
-        total_sales_24h: 0,
-        active_collections: 0,
-        average_sale_price: 0,
-        market_activity_score: 0
-      },
-      raw_data: {
-        collections_analyzed: 0,
-        total_volume_eth: 0,
-        total_sales: 0,
-        error: error.message
-      },
+      ...fallbackSentiment({ error: error.message }),
       cached: false,
       fallback: true
     });
   }
-}
\ No newline at end of file
+}
+
+async function serveCollection(req, res) {
+  try {
+    const { provider, error: providerError } = resolveMarketDataProvider();
+    if (providerError) {
+      return res.status(500).json({ error: providerError });
+    }
+    
+    // Only allowlisted collections are computed (shared/allowlist.js)
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError) {
+      return res.status(500).json({ error: allowlistError });
+    }
+    
+    const target = resolveSentimentTarget(provider, {
+      contract: req.query.contract,
+      slug: req.query.slug,
+      chain: req.query.chain
+    }, { allowlist });
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+    
+    logger.info('Market sentiment endpoint called', { contract: target.scope, provider: provider.name });
+    annotateRequest({ contract: target.scope });
+    
+    const { override, maxAge } = await loadActiveOverride();
+    
+    // Cached, or calculated and validated on a miss
+    let cached;
+    try {
+      cached = await cache.fetch(
+        `sentiment-${target.scope}`,
+        (previous) => computeSentiment(provider, target, previous)
+      );
+    } catch (error) {
+      if (!(error instanceof ZodError)) throw error;
+      logger.error('Sentiment validation error', { error });
+      return res.status(500).json({ error: 'Invalid sentiment data format' });
+    }
+    
+    const result = applyOverride(cached.value, override);
+    annotateRequest({ cache: cached.status, state: result.market_state });
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    logger.error('Error computing collection sentiment', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Calculate and validate sentiment, applying the transition rules against
+// the previous result held by this instance
+async function computeSentiment(provider, target, previous) {
+  const sentimentAnalysis = buildMarketSnapshot(
+    await fetchTargetSentiment(provider, target),
+    previous ? { ...previous.value, timestamp: previous.timestamp } : null
+  );
+  
+  marketSentimentSchema.parse(sentimentAnalysis);
+  return sentimentAnalysis;
+}
@@ -0,0 +1,69 @@
+import { buildTokenMetadata, isValidTokenId } from '../../shared/metadata.js';
+import { applyOverride } from '../../shared/overrides.js';
+import { REQUEST_ID_HEADER, annotateRequest, logger } from '../../shared/logger.js';
+import { loadCachedSnapshot } from '../_lib/snapshot.js';
+import { loadActiveOverride } from '../_lib/overrides.js';
+import { withRequestLogging } from '../_lib/request.js';
+import { withRateLimit } from '../_lib/rate-limit.js';
+
+// ERC-721 tokenURI endpoint: /api/metadata/:tokenId
+export default withRequestLogging(withRateLimit(handler));
+
+async function handler(req, res) {
+  // Add CORS headers to allow cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { tokenId } = req.query;
+  if (!isValidTokenId(tokenId)) {
+    return res.status(400).json({ error: 'tokenId must be a non-negative integer' });
+  }
+
+  const protocol = req.headers['x-forwarded-proto'] || 'https';
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${protocol}://${req.headers.host}`;
+
+  let snapshot = null;
+  let etag = null;
+  const { override, maxAge } = await loadActiveOverride();
+
+  try {
+    // Same cached snapshot that /api/market-sentiment serves
+    const cached = await loadCachedSnapshot();
+
+    if (!cached) {
+      logger.warn('No cached sentiment data found, serving stagnation metadata');
+      annotateRequest({ contract: 'market', cache: 'miss', fallback: 'no_snapshot' });
+    } else {
+      if (cached.isStale) {
+        logger.warn('Cached data is stale, but serving anyway', { data_age_hours: cached.dataAgeHours });
+      }
+      annotateRequest({ contract: 'market', cache: cached.isStale ? 'stale' : 'hit' });
+      snapshot = cached.data;
+      etag = `${tokenId}-${cached.etag}`;
+    }
+  } catch (error) {
+    // Fallback to stagnation metadata on any error
+    logger.error('Error loading cached sentiment for metadata', { error });
+    annotateRequest({ fallback: 'snapshot_error' });
+  }
+
+  const published = applyOverride(snapshot, override);
+  annotateRequest({ state: published?.market_state ?? 'stagnation' });
+
+  if (etag) {
+    res.setHeader('ETag', `"${etag}${override ? `-${override.id}` : ''}"`);
+  }
+  // 12 hours, or until the next override starts or ends
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+  res.status(200).json(buildTokenMetadata(tokenId, published, { baseUrl }));
+}
@@ -0,0 +1,38 @@
+import {
+  METRICS_CONTENT_TYPE,
+  SNAPSHOT_METRICS,
+  isMetricsRequestAuthorized,
+  onCollect,
+  recordMarketSnapshot,
+  renderMetrics
+} from '../shared/metrics.js';
+import { logger } from '../shared/logger.js';
+import { loadCachedSnapshot } from './_lib/snapshot.js';
+import { withRequestLogging } from './_lib/request.js';
+
+// Market-wide gauges from the snapshot the cron published
+onCollect(async () => {
+  const cached = await loadCachedSnapshot();
+  recordMarketSnapshot(cached ? cached.data : null);
+});
+
+export default withRequestLogging(handler);
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isMetricsRequestAuthorized(req.headers.authorization)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(await renderMetrics({ only: SNAPSHOT_METRICS }));
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    return res.status(500).json({ error: 'Failed to render metrics' });
+  }
+}
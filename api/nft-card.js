@@ -0,0 +1,84 @@
+import { ASSET_URLS } from '../shared/assets.js';
+import { parseCardQuery, renderCard } from '../shared/card.js';
+import { applyOverride } from '../shared/overrides.js';
+import { REQUEST_ID_HEADER, annotateRequest, logger } from '../shared/logger.js';
+import { checkContractQuery } from './_lib/allowlist.js';
+import { loadCachedSnapshot } from './_lib/snapshot.js';
+import { loadActiveOverride } from './_lib/overrides.js';
+import { withRequestLogging } from './_lib/request.js';
+import { withRateLimit } from './_lib/rate-limit.js';
+
+// State card for social posts and static marketplace previews:
+// /api/nft-card?format=svg|png&width=&height=
+export default withRequestLogging(withRateLimit(handler));
+
+async function handler(req, res) {
+  // Add CORS headers to allow cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = parseCardQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  // A malformed or non-allowlisted collection is the caller's error
+  const rejected = await checkContractQuery(req.query);
+  if (rejected?.status === 400 || rejected?.status === 403) {
+    return res.status(rejected.status).json({ error: rejected.error });
+  }
+
+  // Manual override (for testing) skips the snapshot entirely
+  const forceState = req.query.force;
+  let snapshot = null;
+  let etag = null;
+  const { override, maxAge } = await loadActiveOverride();
+
+  if (!(forceState && forceState in ASSET_URLS)) {
+    try {
+      // Same cached snapshot that /api/market-sentiment serves
+      const cached = await loadCachedSnapshot();
+
+      if (!cached) {
+        logger.warn('No cached sentiment data found, serving stagnation card');
+        annotateRequest({ contract: 'market', cache: 'miss', fallback: 'no_snapshot' });
+      } else {
+        if (cached.isStale) {
+          logger.warn('Cached data is stale, but serving anyway', { data_age_hours: cached.dataAgeHours });
+        }
+        annotateRequest({ contract: 'market', cache: cached.isStale ? 'stale' : 'hit' });
+        snapshot = cached.data;
+        etag = `card-${query.format}-${query.width}x${query.height}-${cached.etag}`;
+      }
+    } catch (error) {
+      // Fallback to the stagnation card on any error
+      logger.error('Error loading cached sentiment for card', { error });
+      annotateRequest({ fallback: 'snapshot_error' });
+    }
+  }
+
+  try {
+    const card = await renderCard(applyOverride(snapshot, override), { ...query, state: forceState });
+    annotateRequest({ state: card.state });
+    if (etag) {
+      res.setHeader('ETag', `"${etag}${override ? `-${override.id}` : ''}"`);
+    }
+    res.setHeader('Content-Type', card.contentType);
+    // 12 hours, or until the next override starts or ends
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    res.status(200).send(card.body);
+  } catch (error) {
+    logger.error('Error rendering state card', { error });
+    res.status(500).json({ error: 'Failed to render card' });
+  }
+}
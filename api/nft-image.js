@@ -1,20 +1,20 @@
-import { list } from '@vercel/blob';
+import { ASSET_URLS } from '../shared/assets.js';
+import { assetHeaders, isProxyMode, loadAsset } from '../shared/asset-cache.js';
+import { REQUEST_ID_HEADER, annotateRequest, logger } from '../shared/logger.js';
+import { checkContractQuery } from './_lib/allowlist.js';
+import { loadCachedSnapshot } from './_lib/snapshot.js';
+import { loadActiveOverride } from './_lib/overrides.js';
+import { withRequestLogging } from './_lib/request.js';
+import { withRateLimit } from './_lib/rate-limit.js';
 
-// Asset URLs for each market state
-const ASSET_URLS = {
-  capitulation: 'https://6txiabgkdvd5nenuupzxtp7lbxcvx4vw3kra4ly7blafm2mproda.arweave.net/9O6ABModR9aRtKPzeb_rDcVb8rbaog4vHwrAVmmPi4Y',
-  stagnation: 'https://r4vsc7esu3z27xxgh2bqrocs3jz4pin44ahw4hwk3ilabk2o2vwq.arweave.net/jyshfJKm86_e5j6DCLhS2nPHobzgD24eytoWAKtO1W0',
-  resilience: 'https://lgwaa4z6aegrwftnh3v2zdaxjgvvxyv5g7orzbzufbpc5hgqnm5q.arweave.net/WawAcz4BDRsWbT7rrIwXSatb4r033RyHNCheLpzQazs',
-  euphoria: 'https://tkf3ssqdvpe3bnk25od6twbu3rioxksaxmedvldcs3nbs4ickpoq.arweave.net/mou5SgOrybC1WuuH6dg03FDrqkC7CDqsYpbaGXECU90'
-};
+export default withRequestLogging(withRateLimit(handler));
 
-export default async function handler(req, res) {
-  console.log('NFT image endpoint - serving cached data only');
-  
+async function handler(req, res) {
   // Add CORS headers to allow cross-origin requests
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -24,70 +24,88 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const rejected = await checkContractQuery(req.query);
+  if (rejected?.status === 403) {
+    return res.status(403).json({ error: rejected.error });
+  }
+
   try {
     // Check for manual override first (for testing)
     const forceState = req.query.force;
     if (forceState && forceState in ASSET_URLS) {
-      console.log(`Manual override: forcing ${forceState} state`);
-      res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
-      return res.redirect(302, ASSET_URLS[forceState]);
+      logger.info('Manual override', { state: forceState });
+      return sendStateImage(req, res, forceState);
     }
     
-    // Read cached sentiment data from Vercel Blob
-    const { blobs } = await list({
-      prefix: 'market/',
-      limit: 1
-    });
-    
-    if (blobs.length === 0) {
-      // No cached data available - fallback to stagnation
-      console.warn('No cached sentiment data found, falling back to stagnation');
-      res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
-      return res.redirect(302, ASSET_URLS.stagnation);
+    // Then for a curator override
+    const { override, maxAge } = await loadActiveOverride();
+    if (override) {
+      return sendStateImage(req, res, override.state, null, maxAge);
     }
     
-    // Fetch the latest cached data
-    const latestBlob = blobs[0];
-    const response = await fetch(latestBlob.url);
+    // Read cached sentiment data from Vercel Blob
+    const cached = await loadCachedSnapshot();
     
-    if (!response.ok) {
-      console.error(`Failed to fetch cached data: ${response.status}`);
-      res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
-      return res.redirect(302, ASSET_URLS.stagnation);
+    if (!cached) {
+      // No cached data available - fallback to stagnation
+      logger.warn('No cached sentiment data found, falling back to stagnation');
+      annotateRequest({ contract: 'market', cache: 'miss', fallback: 'no_snapshot' });
+      return sendStateImage(req, res, 'stagnation', null, maxAge);
     }
     
-    const cachedData = await response.json();
-    const market_state = cachedData.market_state;
+    const market_state = cached.data.market_state;
+    annotateRequest({ contract: 'market', cache: cached.isStale ? 'stale' : 'hit' });
     
     // Validate market state
     if (!market_state || !(market_state in ASSET_URLS)) {
-      console.error(`Invalid market state in cached data: ${market_state}`);
-      res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
-      return res.redirect(302, ASSET_URLS.stagnation);
+      logger.error('Invalid market state in cached data', { state: market_state });
+      annotateRequest({ fallback: 'invalid_state' });
+      return sendStateImage(req, res, 'stagnation', null, maxAge);
     }
     
-    // Check if data is stale (older than 36 hours)
-    const dataAge = Date.now() - cachedData.timestamp;
-    const isStale = dataAge > (36 * 60 * 60 * 1000); // 36 hours
-    
-    if (isStale) {
-      console.warn(`Cached data is stale (${Math.round(dataAge / (60 * 60 * 1000))} hours old), but serving anyway`);
+    if (cached.isStale) {
+      logger.warn('Cached data is stale, but serving anyway', { data_age_hours: cached.dataAgeHours });
     }
     
-    console.log(`Serving cached market state: ${market_state} (data age: ${Math.round(dataAge / (60 * 60 * 1000))}h)`);
-    
-    // Set cache headers for 12-hour caching
-    res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
-    res.setHeader('ETag', `"${market_state}-${latestBlob.downloadUrl.split('/').pop()}"`);
-    
-    // Redirect to appropriate image
-    return res.redirect(302, ASSET_URLS[market_state]);
+    // Redirect to (or proxy) the appropriate image
+    return sendStateImage(req, res, market_state, `"${market_state}-${cached.etag}"`, maxAge);
     
   } catch (error) {
-    console.error('Error serving cached NFT image:', error);
+    logger.error('Error serving cached NFT image', { error });
+    annotateRequest({ state: 'stagnation', fallback: 'handler_error' });
     
     // Fallback to stagnation on any error
     res.setHeader('Cache-Control', 'public, max-age=43200'); // 12 hours
     return res.redirect(302, ASSET_URLS.stagnation);
   }
-}
\ No newline at end of file
+}
+
+// Answer with a state's artwork: a 302 to Arweave by default, or the verified
+// bytes themselves when NFT_IMAGE_MODE=proxy. Either is cached for `maxAge`
+// seconds, which stops short of the next override change.
+async function sendStateImage(req, res, state, redirectEtag = null, maxAge = 43200) {
+  annotateRequest({ state });
+  
+  if (isProxyMode()) {
+    try {
+      const asset = await loadAsset(state);
+      for (const [name, value] of Object.entries(assetHeaders(asset))) {
+        res.setHeader(name, value);
+      }
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+      if (req.headers['if-none-match'] === `"${asset.sha256}"`) {
+        return res.status(304).end();
+      }
+      return res.status(200).send(asset.body);
+    } catch (error) {
+      // Fall back to the redirect when no verified copy is available
+      logger.error('Error proxying artwork', { state, error });
+    }
+  }
+  
+  res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+  if (redirectEtag) {
+    res.setHeader('ETag', redirectEtag);
+  }
+  return res.redirect(302, ASSET_URLS[state]);
+}
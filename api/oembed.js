@@ -0,0 +1,54 @@
+import { OEMBED_CACHE_AGE, buildOEmbed, embedCorsHeaders, loadEmbedConfig } from '../shared/embed.js';
+import { loadContractAllowlist } from '../shared/allowlist.js';
+import { REQUEST_ID_HEADER, logger } from '../shared/logger.js';
+import { withRequestLogging } from './_lib/request.js';
+import { withRateLimit } from './_lib/rate-limit.js';
+
+// oEmbed for /embed pages: /oembed (rewritten in vercel.json)
+export default withRequestLogging(withRateLimit(handler));
+
+async function handler(req, res) {
+  const { config, error } = loadEmbedConfig();
+  if (error) {
+    logger.error('Invalid embed configuration', { error });
+    return res.status(500).json({ error });
+  }
+
+  // CORS limited to EMBED_ALLOWED_ORIGINS
+  for (const [name, value] of Object.entries(embedCorsHeaders(config, req.headers.origin))) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError) {
+      return res.status(500).json({ error: allowlistError });
+    }
+    
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${protocol}://${req.headers.host}`;
+    
+    const result = buildOEmbed(req.query, { baseUrl, allowlist });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.setHeader('Cache-Control', `public, max-age=${OEMBED_CACHE_AGE}`);
+    return res.status(200).json(result.oembed);
+    
+  } catch (error) {
+    logger.error('Error building oEmbed response', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
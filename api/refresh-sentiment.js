@@ -1,25 +1,35 @@
-import { put } from '@vercel/blob';
+import { del, list, put } from '@vercel/blob';
+import { resolveMarketDataProvider } from '../shared/providers/index.js';
+import { computeMarketSnapshot } from '../shared/market-data.js';
+import {
+  buildTransitionEvent,
+  deliverPending,
+  loadWebhookConfig,
+  pendingEvent,
+  redactDelivery,
+  redactUrl,
+  urlId
+} from '../shared/webhooks.js';
+import { loadRefreshConfig, refreshMarketplaceMetadata } from '../shared/metadata-refresh.js';
+import { annotateRequest, logger } from '../shared/logger.js';
+import { loadCachedSnapshot } from './_lib/snapshot.js';
+import { withRequestLogging } from './_lib/request.js';
 
-// Top NFT collections for consistent market-wide analysis
-const TOP_COLLECTIONS = [
-  '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D', // Bored Ape Yacht Club
-  '0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB', // CryptoPunks
-  '0xED5AF388653567Af2F388E6224dC7C4b3241C544', // Azuki
-  '0x23581767a106ae21c074b2276D25e5C3e136a68b', // Moonbirds
-  '0x60E4d786628Fea6478F785A6d7e704777c86a7c6', // Mutant Ape Yacht Club
-  '0x8a90CAb2b38dba80c64b7734e58Ee1dB38B8992e', // Doodles
-  '0x49cF6f5d44E70224e2E23fDcdd2C053F30aDA28B'  // CloneX
-];
+// Delivery log entries are written as webhooks/deliveries/<epoch ms>-<event id>-<n>.json
+const DELIVERY_PREFIX = 'webhooks/deliveries/';
+// Events not yet delivered everywhere, as webhooks/pending/<event id>.json
+const PENDING_PREFIX = 'webhooks/pending/';
 
-// Market state thresholds (user-specified ETH volume ranges)
-const VOLUME_THRESHOLDS = {
-  capitulation: 2000,    // <2000 ETH
-  stagnation: 4000,      // 2000-4000 ETH  
-  resilience: 7000,      // 4000-7000 ETH
-  euphoria: Infinity     // 7000+ ETH
-};
+// Market data reads stop at FETCH_BUDGET_MS so the snapshot is always
+// stored. Webhook retries and marketplace refreshes then run side by side
+// and stop short of the function's 60s limit; webhooks not delivered stay
+// pending for the next run, tokens not reached are reported as skipped
+const FETCH_BUDGET_MS = 25000;
+const REFRESH_BUDGET_MS = 45000;
 
-export default async function handler(req, res) {
+export default withRequestLogging(handler);
+
+async function handler(req, res) {
   // Protect endpoint with secret (for Vercel cron)
   const cronSecret = req.query.secret;
   const expectedSecret = process.env.CRON_SECRET;
@@ -29,175 +39,212 @@ export default async function handler(req, res) {
   }
 
   try {
-    console.log('Scheduled sentiment refresh starting...');
+    logger.info('Scheduled sentiment refresh starting');
     const startTime = Date.now();
-    
-    // Validate API key
-    const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
-    if (!ALCHEMY_API_KEY) {
-      throw new Error('ALCHEMY_API_KEY not configured');
-    }
-
-    // Calculate 24-hour cutoff timestamp
     const now = Date.now();
-    const twentyFourHoursAgo = now - (24 * 60 * 60 * 1000);
-    
-    console.log(`Analyzing market data from ${new Date(twentyFourHoursAgo).toISOString()} to ${new Date(now).toISOString()}`);
-
-    // Fetch consistent 24h data from all collections
-    const baseUrl = 'https://eth-mainnet.g.alchemy.com/nft/v2';
-    const headers = { 'Accept': 'application/json' };
-    
-    let totalVolume24h = 0;
-    let totalSales24h = 0;
-    const collectionResults = [];
     
-    for (const contractAddress of TOP_COLLECTIONS) {
-      try {
-        console.log(`Fetching 24h data for ${contractAddress.slice(0, 6)}...`);
-        
-        // Fetch sales with pagination until we hit 24h cutoff
-        let pageKey = null;
-        let collectionVolume = 0;
-        let collectionSales = 0;
-        let pageCount = 0;
-        const maxPages = 10; // Limit to prevent timeouts
-        
-        do {
-          const url = `${baseUrl}/${ALCHEMY_API_KEY}/getNFTSales?contractAddress=${contractAddress}&order=desc&limit=100${pageKey ? `&pageKey=${pageKey}` : ''}`;
-          
-          const response = await fetch(url, { headers });
-          if (!response.ok) {
-            console.warn(`Failed to fetch sales for ${contractAddress}: ${response.status}`);
-            break;
-          }
-          
-          const data = await response.json();
-          const sales = data.nftSales || [];
-          
-          // Process sales within 24h window
-          let hitCutoff = false;
-          for (const sale of sales) {
-            const saleTimestamp = new Date(sale.blockTimestamp).getTime();
-            
-            if (saleTimestamp < twentyFourHoursAgo) {
-              hitCutoff = true;
-              break;
-            }
-            
-            // Extract price in ETH (consistent calculation)
-            const sellerFee = parseFloat(sale.sellerFee?.amount || '0');
-            const protocolFee = parseFloat(sale.protocolFee?.amount || '0'); 
-            const royaltyFee = parseFloat(sale.royaltyFee?.amount || '0');
-            const priceETH = sellerFee + protocolFee + royaltyFee;
-            
-            if (priceETH > 0) {
-              collectionVolume += priceETH;
-              collectionSales++;
-            }
-          }
-          
-          pageKey = data.pageKey;
-          pageCount++;
-          
-          // Stop if we hit time cutoff or page limit
-          if (hitCutoff || pageCount >= maxPages || !pageKey) {
-            break;
-          }
-          
-        } while (pageKey);
-        
-        totalVolume24h += collectionVolume;
-        totalSales24h += collectionSales;
-        
-        collectionResults.push({
-          contract: contractAddress,
-          volume_24h: Math.round(collectionVolume * 1000) / 1000,
-          sales_24h: collectionSales,
-          pages_fetched: pageCount
-        });
-        
-        console.log(`  ${contractAddress.slice(0, 6)}: ${collectionVolume.toFixed(3)} ETH, ${collectionSales} sales`);
-        
-      } catch (error) {
-        console.error(`Error fetching data for ${contractAddress}:`, error.message);
-        // Continue with other collections
-      }
-    }
-    
-    // Determine market state based on total 24h volume
-    let market_state;
-    if (totalVolume24h < VOLUME_THRESHOLDS.capitulation) {
-      market_state = 'capitulation';
-    } else if (totalVolume24h < VOLUME_THRESHOLDS.stagnation) {
-      market_state = 'stagnation';
-    } else if (totalVolume24h < VOLUME_THRESHOLDS.resilience) {
-      market_state = 'resilience'; 
-    } else {
-      market_state = 'euphoria';
+    // Collect market data from the configured provider and apply the
+    // transition rules against the last published snapshot
+    const { provider, error } = resolveMarketDataProvider();
+    if (error) {
+      throw new Error(error);
     }
+    const previous = await loadPreviousSnapshot();
+    const snapshot = await computeMarketSnapshot(provider, previous, { now, startTime, deadline: startTime + FETCH_BUDGET_MS });
+    const { market_state, state_transition } = snapshot;
     
-    // Calculate sentiment score (0-1 scale)
-    const maxVolume = 10000; // ETH
-    const sentiment_score = Math.min(totalVolume24h / maxVolume, 1);
-    
-    // Build comprehensive snapshot
-    const snapshot = {
-      version: '1.0.0',
-      asOf: new Date().toISOString(),
-      timestamp: now,
-      market_state,
-      sentiment_score: Math.round(sentiment_score * 1000) / 1000,
-      indicators: {
-        total_volume_24h: Math.round(totalVolume24h * 1000) / 1000,
-        total_sales_24h: totalSales24h,
-        active_collections: collectionResults.length,
-        average_sale_price: totalSales24h > 0 ? Math.round((totalVolume24h / totalSales24h) * 1000) / 1000 : 0,
-        market_activity_score: Math.min(totalSales24h / 500, 1)
-      },
-      raw_data: {
-        collections_analyzed: TOP_COLLECTIONS.length,
-        total_volume_eth: Math.round(totalVolume24h * 1000) / 1000,
-        total_sales: totalSales24h,
-        collection_breakdown: collectionResults,
-        time_window: {
-          start: new Date(twentyFourHoursAgo).toISOString(),
-          end: new Date(now).toISOString(),
-          duration_hours: 24
-        }
-      },
-      metadata: {
-        computed_at: new Date().toISOString(),
-        computation_time_ms: Date.now() - startTime,
-        thresholds: VOLUME_THRESHOLDS
-      }
-    };
-    
-    // Store snapshot in Vercel Blob
+    // Store snapshot in Vercel Blob: the latest copy for the read endpoints,
+    // plus a permanent per-run copy for /api/sentiment-history
     const blob = await put('market/sentiment.json', JSON.stringify(snapshot, null, 2), {
       access: 'public',
-      contentType: 'application/json'
+      contentType: 'application/json',
+      addRandomSuffix: false,
+      allowOverwrite: true
+    });
+    const historyBlob = await put(`market/history/${now}.json`, JSON.stringify(snapshot), {
+      access: 'public',
+      contentType: 'application/json',
+      addRandomSuffix: false
     });
     
-    console.log(`Market sentiment computed: ${market_state} (${totalVolume24h.toFixed(3)} ETH, ${totalSales24h} sales)`);
-    console.log(`Snapshot saved to blob: ${blob.url}`);
+    // Announce a change of published state to the configured webhooks
+    // (with any events earlier runs left pending) and ask marketplaces to
+    // refresh our tokens' metadata
+    const transition = previous && previous.market_state !== market_state;
+    const event = transition
+      ? buildTransitionEvent({ scope: 'market', previousState: previous.market_state, sentiment: snapshot, timestamp: now })
+      : null;
+    const [deliveries, metadataRefresh] = await Promise.all([
+      notifyTransitions(event, now, startTime + REFRESH_BUDGET_MS),
+      transition ? refreshMetadata(now, startTime + REFRESH_BUDGET_MS) : null
+    ]);
+    
+    annotateRequest({ contract: 'market', state: market_state });
+    logger.info('Market sentiment computed', {
+      state: market_state,
+      score: snapshot.sentiment_score,
+      volume_24h: snapshot.raw_data.volume_24h,
+      sales_count: snapshot.raw_data.sales_count,
+      transition: state_transition.reason,
+      blob_url: blob.url
+    });
     
     res.status(200).json({
       success: true,
       snapshot: {
         market_state,
-        total_volume_24h: snapshot.indicators.total_volume_24h,
-        total_sales_24h: totalSales24h,
+        sentiment_score: snapshot.sentiment_score,
+        volume_24h: snapshot.raw_data.volume_24h,
+        sales_count: snapshot.raw_data.sales_count,
+        transition: state_transition.reason,
         computation_time_ms: snapshot.metadata.computation_time_ms
       },
-      blob_url: blob.url
+      blob_url: blob.url,
+      history_url: historyBlob.url,
+      webhooks: deliveries.map(({ event_id, url, delivered, attempts }) => ({
+        event_id,
+        url: redactUrl(url),
+        url_id: urlId(url),
+        delivered,
+        attempts
+      })),
+      metadata_refresh: metadataRefresh
     });
     
   } catch (error) {
-    console.error('Scheduled sentiment refresh failed:', error);
+    logger.error('Scheduled sentiment refresh failed', { error });
     res.status(500).json({ 
       error: 'Failed to refresh sentiment data',
       message: error.message 
     });
   }
-}
\ No newline at end of file
+}
+
+// Deliver `event` (null when the state held) and every event an earlier run
+// left pending, oldest first, before `deadline`. The new event is stored as
+// pending before its first attempt, so a run cut short still hands it on;
+// each is removed once nothing is left to retry. Blobs are public, so the
+// pending entries and the delivery log (one entry per URL) carry no URLs.
+async function notifyTransitions(event, now, deadline) {
+  const config = loadWebhookConfig();
+  if (config.urls.length === 0) return [];
+  
+  const queue = await loadPendingEvents();
+  if (event) {
+    const pending = pendingEvent(event, config);
+    try {
+      await putPending(pending);
+    } catch (error) {
+      logger.error('Could not store pending webhook event', { event_id: event.id, error: error.message });
+    }
+    queue.push(pending);
+  }
+  
+  const deliveries = [];
+  for (const pending of queue) {
+    const { deliveries: sent, remaining } = await deliverPending(pending, { config, deadline, now });
+    deliveries.push(...sent);
+    try {
+      if (remaining) {
+        await putPending(remaining);
+      } else {
+        await del(`${PENDING_PREFIX}${pending.event.id}.json`);
+      }
+    } catch (error) {
+      logger.warn('Could not update pending webhook event', { event_id: pending.event.id, error: error.message });
+    }
+  }
+  
+  await Promise.all(deliveries.map(async (delivery, index) => {
+    try {
+      await put(`${DELIVERY_PREFIX}${now}-${delivery.event_id}-${index}.json`, JSON.stringify(redactDelivery(delivery)), {
+        access: 'public',
+        contentType: 'application/json',
+        addRandomSuffix: false
+      });
+    } catch (error) {
+      logger.warn('Could not log webhook delivery', { url_id: urlId(delivery.url), error: error.message });
+    }
+  }));
+  
+  return deliveries;
+}
+
+function putPending(pending) {
+  return put(`${PENDING_PREFIX}${pending.event.id}.json`, JSON.stringify(pending), {
+    access: 'public',
+    contentType: 'application/json',
+    addRandomSuffix: false,
+    allowOverwrite: true,
+    // Rewritten as URLs are delivered; keep reads close to current
+    cacheControlMaxAge: 60
+  });
+}
+
+// Events left pending by earlier runs, oldest first. One that cannot be
+// read is left in place for the next run.
+async function loadPendingEvents() {
+  let blobs = [];
+  try {
+    ({ blobs } = await list({ prefix: PENDING_PREFIX, limit: 100 }));
+  } catch (error) {
+    logger.warn('Could not list pending webhook events', { error: error.message });
+  }
+  
+  const events = [];
+  for (const blob of blobs) {
+    try {
+      const response = await fetch(blob.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      events.push(await response.json());
+    } catch (error) {
+      logger.warn('Could not read pending webhook event', { pathname: blob.pathname, error: error.message });
+    }
+  }
+  return events.sort((a, b) => Date.parse(a.event.timestamp) - Date.parse(b.event.timestamp));
+}
+
+// Refresh every token at the configured marketplaces and store the full
+// report (per-token outcomes and ERC-4906 calldata) as
+// metadata-refresh/<epoch ms>.json. Returns a summary, or null when
+// refreshes are not configured.
+async function refreshMetadata(now, deadline) {
+  const { config, error } = loadRefreshConfig();
+  if (!config) {
+    if (error) logger.error('Metadata refresh not started', { error });
+    return null;
+  }
+  
+  const report = await refreshMarketplaceMetadata(config, { deadline });
+  let reportUrl = null;
+  try {
+    const blob = await put(`metadata-refresh/${now}.json`, JSON.stringify(report), {
+      access: 'public',
+      contentType: 'application/json',
+      addRandomSuffix: false
+    });
+    reportUrl = blob.url;
+  } catch (err) {
+    logger.warn('Could not store metadata refresh report', { error: err.message });
+  }
+  
+  return {
+    run_id: report.run_id,
+    dry_run: report.dry_run,
+    summary: report.summary,
+    report_url: reportUrl
+  };
+}
+
+// Last published snapshot, or null on the first run
+async function loadPreviousSnapshot() {
+  try {
+    const cached = await loadCachedSnapshot();
+    return cached ? cached.data : null;
+  } catch (error) {
+    logger.warn('Could not load previous snapshot', { error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,87 @@
+import { list } from '@vercel/blob';
+import { buildSentimentHistory, parseHistoryQuery } from '../shared/history.js';
+import { mapWithConcurrency } from '../shared/concurrency.js';
+import { REQUEST_ID_HEADER, logger } from '../shared/logger.js';
+import { withRequestLogging } from './_lib/request.js';
+import { withRateLimit } from './_lib/rate-limit.js';
+
+// History blobs are written by api/refresh-sentiment.js as market/history/<epoch ms>.json
+const HISTORY_PREFIX = 'market/history/';
+// Snapshot bodies fetched at once
+const FETCH_CONCURRENCY = 8;
+
+export default withRequestLogging(withRateLimit(handler));
+
+async function handler(req, res) {
+  // Add CORS headers to allow cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+  res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = parseHistoryQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    // Collect every history blob inside the requested range
+    const inRange = [];
+    let cursor;
+
+    do {
+      const page = await list({ prefix: HISTORY_PREFIX, cursor, limit: 1000 });
+
+      for (const blob of page.blobs) {
+        const match = /^market\/history\/(\d+)/.exec(blob.pathname);
+        const timestamp = match ? Number(match[1]) : NaN;
+        if (timestamp >= query.from && timestamp <= query.to) {
+          inRange.push({ timestamp, url: blob.url });
+        }
+      }
+
+      cursor = page.hasMore ? page.cursor : undefined;
+    } while (cursor);
+
+    // Fetch snapshot bodies; a missing blob only drops that point
+    const snapshots = (await mapWithConcurrency(inRange, FETCH_CONCURRENCY, async ({ timestamp, url }) => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          logger.warn('Failed to fetch history snapshot', { timestamp, status: response.status });
+          return null;
+        }
+        const snapshot = await response.json();
+        return { ...snapshot, timestamp: snapshot.timestamp ?? timestamp };
+      } catch (error) {
+        logger.warn('Failed to fetch history snapshot', { timestamp, error: error.message });
+        return null;
+      }
+    })).filter(Boolean);
+
+    logger.info('Sentiment history loaded', {
+      snapshots: snapshots.length,
+      from: new Date(query.from).toISOString(),
+      to: new Date(query.to).toISOString()
+    });
+
+    // History only grows every 12 hours
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.status(200).json(buildSentimentHistory(snapshots, query));
+
+  } catch (error) {
+    logger.error('Error serving sentiment history', { error });
+    res.status(500).json({
+      error: 'Failed to load sentiment history',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,76 @@
+import { list } from '@vercel/blob';
+import { parseDeliveryQuery } from '../shared/webhooks.js';
+import { logger } from '../shared/logger.js';
+import { withRequestLogging } from './_lib/request.js';
+
+// Delivery log entries are written by api/refresh-sentiment.js as webhooks/deliveries/<epoch ms>-<event id>-<n>.json
+const DELIVERY_PREFIX = 'webhooks/deliveries/';
+
+export default withRequestLogging(handler);
+
+async function handler(req, res) {
+  // Same secret as the refresh endpoint: URLs are redacted, but the log
+  // still shows every event and subscriber origin
+  const cronSecret = req.query.secret;
+  if (!process.env.CRON_SECRET || cronSecret !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = parseDeliveryQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    // Collect every log entry, matching on event id from the pathname
+    const entries = [];
+    let cursor;
+
+    do {
+      const page = await list({ prefix: DELIVERY_PREFIX, cursor, limit: 1000 });
+
+      for (const blob of page.blobs) {
+        const match = /^webhooks\/deliveries\/(\d+)-(.+)-\d+\.json$/.exec(blob.pathname);
+        if (!match || (query.eventId && match[2] !== query.eventId)) continue;
+        entries.push({ timestamp: Number(match[1]), url: blob.url });
+      }
+
+      cursor = page.hasMore ? page.cursor : undefined;
+    } while (cursor);
+
+    // Newest first; fetch bodies until the limit is filled
+    entries.sort((a, b) => b.timestamp - a.timestamp);
+    const deliveries = [];
+
+    for (const entry of entries) {
+      if (deliveries.length >= query.limit) break;
+      try {
+        const response = await fetch(entry.url);
+        if (!response.ok) {
+          logger.warn('Failed to fetch webhook delivery', { url: entry.url, status: response.status });
+          continue;
+        }
+        const delivery = await response.json();
+        if (query.delivered === undefined || delivery.delivered === query.delivered) {
+          deliveries.push(delivery);
+        }
+      } catch (error) {
+        logger.warn('Failed to fetch webhook delivery', { url: entry.url, error: error.message });
+      }
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({ deliveries });
+
+  } catch (error) {
+    logger.error('Error serving webhook deliveries', { error });
+    res.status(500).json({
+      error: 'Failed to load webhook deliveries',
+      message: error.message
+    });
+  }
+}
@@ -5,12 +5,15 @@ import { Toaster } from "@/components/ui/toaster";
 import { TooltipProvider } from "@/components/ui/tooltip";
 import NotFound from "@/pages/not-found";
 import NFTViewer from "@/pages/nft-viewer";
+import Dashboard from "@/pages/dashboard";
 
 function Router() {
   return (
     <Switch>
       {/* NFT Viewer page */}
       <Route path="/" component={NFTViewer} />
+      {/* Sentiment dashboard */}
+      <Route path="/dashboard" component={Dashboard} />
       {/* Fallback to 404 */}
       <Route component={NotFound} />
     </Switch>
@@ -0,0 +1,321 @@
+import { useMemo, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { CartesianGrid, Line, LineChart, ReferenceArea, XAxis, YAxis } from "recharts";
+import { AlertTriangle } from "lucide-react";
+import { INDICATOR_WEIGHTS, MARKET_STATES, SCORE_THRESHOLDS } from "@shared/states";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from "@/components/ui/chart";
+import { Progress } from "@/components/ui/progress";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+
+type MarketState = (typeof MARKET_STATES)[number];
+type IndicatorKey = keyof typeof INDICATOR_WEIGHTS;
+
+type CollectionBreakdown = {
+  contract: string;
+  chain: string;
+  label: string;
+  weight_share: number;
+  market_state: MarketState;
+  sentiment_score: number;
+  contribution: number;
+  floor_price: number;
+  volume_24h: number;
+  volume_30d: number;
+  sales_count: number;
+};
+
+// The fields of /api/market-sentiment the dashboard reads. Vercel reports
+// the snapshot's age itself; Express and Netlify send its `timestamp`.
+type MarketSentiment = {
+  sentiment_score: number;
+  market_state: MarketState;
+  // null when the indicator could not be computed (no floor price)
+  indicators: Record<IndicatorKey, number | null>;
+  raw_data: {
+    collections_analyzed?: number;
+    collection_breakdown?: CollectionBreakdown[];
+  };
+  data_quality?: {
+    coverage: number;
+    failed: { label: string; input: string }[];
+    truncated: { label: string }[];
+  };
+  timestamp?: number;
+  data_age_hours?: number;
+  is_stale?: boolean;
+  fallback?: boolean;
+};
+
+type SentimentHistory = {
+  series: { timestamp: number; market_state: MarketState; sentiment_score: number }[];
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Snapshots refresh every 12 hours; as api/_lib/snapshot.js, older than
+// 36 hours counts as stale
+const REFRESH_HOURS = 12;
+const STALE_AFTER_HOURS = 36;
+
+const INDICATOR_LABELS: Record<IndicatorKey, string> = {
+  floor_price_trend: "Floor price trend",
+  sales_volume_ratio: "Sales volume ratio",
+  active_traders: "Active traders",
+  price_volatility: "Price stability",
+  market_cap_change: "Market cap change"
+};
+
+const STATE_COLORS: Record<MarketState, string> = {
+  capitulation: "#ef4444",
+  stagnation: "#9ca3af",
+  resilience: "#3b82f6",
+  euphoria: "#22c55e"
+};
+
+// Score band of each state, from SCORE_THRESHOLDS
+const STATE_BANDS = MARKET_STATES.map((state, i) => ({
+  state,
+  from: i === 0 ? 0 : SCORE_THRESHOLDS[state as keyof typeof SCORE_THRESHOLDS],
+  to: i === MARKET_STATES.length - 1 ? 1 : SCORE_THRESHOLDS[MARKET_STATES[i + 1] as keyof typeof SCORE_THRESHOLDS]
+}));
+
+const HISTORY_RANGES = {
+  "7d": { days: 7, interval: "raw" },
+  "30d": { days: 30, interval: "12h" },
+  "90d": { days: 90, interval: "1d" }
+} as const;
+
+type HistoryRange = keyof typeof HISTORY_RANGES;
+
+const chartConfig = {
+  sentiment_score: { label: "Score", color: "var(--chart-1)" }
+} satisfies ChartConfig;
+
+function dataAgeHours(sentiment: MarketSentiment) {
+  if (typeof sentiment.data_age_hours === "number") return sentiment.data_age_hours;
+  if (typeof sentiment.timestamp === "number") return (Date.now() - sentiment.timestamp) / HOUR_MS;
+  return null;
+}
+
+function formatEth(value: number) {
+  return `${value.toLocaleString(undefined, { maximumFractionDigits: 3 })} ETH`;
+}
+
+function StateBadge({ state }: { state: MarketState }) {
+  return (
+    <Badge className="capitalize text-white" style={{ backgroundColor: STATE_COLORS[state] }}>
+      {state}
+    </Badge>
+  );
+}
+
+export default function Dashboard() {
+  const [range, setRange] = useState<HistoryRange>("30d");
+
+  const sentiment = useQuery<MarketSentiment>({ queryKey: ["/api/market-sentiment"] });
+
+  // Fixed per range so the query key does not change on every render
+  const historyUrl = useMemo(() => {
+    const { days, interval } = HISTORY_RANGES[range];
+    const from = Date.now() - days * 24 * HOUR_MS;
+    return `/api/sentiment-history?from=${from}&interval=${interval}`;
+  }, [range]);
+  const history = useQuery<SentimentHistory>({ queryKey: [historyUrl] });
+
+  const data = sentiment.data;
+  const ageHours = data ? dataAgeHours(data) : null;
+  const isStale = data?.is_stale ?? (ageHours !== null && ageHours > STALE_AFTER_HOURS);
+  const breakdown = data?.raw_data.collection_breakdown ?? [];
+
+  return (
+    <div className="dark bg-gray-900 text-white min-h-screen">
+      <div className="container mx-auto px-4 py-8 max-w-5xl space-y-6">
+        <header>
+          <h1 className="text-3xl md:text-4xl font-bold mb-2 bg-gradient-to-r from-blue-400 to-blue-600 bg-clip-text text-transparent">
+            Market Sentiment
+          </h1>
+          <p className="text-gray-300">
+            What the Bull & Piano is reacting to, from the same data the image is drawn from
+          </p>
+        </header>
+
+        {sentiment.isError && (
+          <Alert variant="destructive" data-testid="alert-error">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertTitle>Sentiment unavailable</AlertTitle>
+            <AlertDescription>{(sentiment.error as Error).message}</AlertDescription>
+          </Alert>
+        )}
+
+        {data?.fallback && (
+          <Alert variant="destructive" data-testid="alert-fallback">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertTitle>No snapshot yet</AlertTitle>
+            <AlertDescription>
+              These are fallback values; the first scheduled refresh has not been stored.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {isStale && (
+          <Alert variant="destructive" data-testid="alert-stale">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertTitle>Data is stale</AlertTitle>
+            <AlertDescription>
+              The latest snapshot is {Math.round(ageHours ?? 0)} hours old; refreshes run every {REFRESH_HOURS} hours.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {data?.data_quality && (data.data_quality.coverage < 1 || data.data_quality.failed.length > 0) && (
+          <Alert data-testid="alert-data-quality">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertTitle>Incomplete data</AlertTitle>
+            <AlertDescription>
+              Sales cover {Math.round(data.data_quality.coverage * 100)}% of the window
+              {data.data_quality.failed.length > 0 &&
+                `; failed: ${data.data_quality.failed.map(({ label, input }) => `${label} (${input})`).join(", ")}`}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid gap-6 md:grid-cols-3">
+          <Card className="bg-gray-800 border-gray-700 text-white">
+            <CardHeader>
+              <CardDescription className="text-gray-400">Current state</CardDescription>
+              {data ? (
+                <CardTitle className="flex items-center gap-3" data-testid="text-market-state">
+                  <StateBadge state={data.market_state} />
+                  <span>{data.sentiment_score.toFixed(2)}</span>
+                </CardTitle>
+              ) : (
+                <Skeleton className="h-8 w-40" />
+              )}
+            </CardHeader>
+            <CardContent className="text-sm text-gray-400" data-testid="text-data-age">
+              {ageHours === null
+                ? "Data age unknown"
+                : `Updated ${ageHours < 1 ? "less than an hour" : `${Math.round(ageHours)} hours`} ago`}
+              {data?.raw_data.collections_analyzed !== undefined &&
+                ` · ${data.raw_data.collections_analyzed} collections`}
+            </CardContent>
+          </Card>
+
+          <Card className="bg-gray-800 border-gray-700 text-white md:col-span-2">
+            <CardHeader>
+              <CardTitle className="text-lg">Indicators</CardTitle>
+              <CardDescription className="text-gray-400">Each on a 0–1 scale, weighted into the score</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {(Object.keys(INDICATOR_WEIGHTS) as IndicatorKey[]).map((key) => (
+                <div key={key} data-testid={`gauge-${key}`}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span>
+                      {INDICATOR_LABELS[key]}
+                      <span className="text-gray-500"> · {Math.round(INDICATOR_WEIGHTS[key] * 100)}%</span>
+                    </span>
+                    <span className="tabular-nums">
+                      {data?.indicators[key] == null ? (data ? "n/a" : "–") : data.indicators[key].toFixed(2)}
+                    </span>
+                  </div>
+                  <Progress value={(data?.indicators[key] ?? 0) * 100} className="h-2 bg-gray-700" />
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+
+        <Card className="bg-gray-800 border-gray-700 text-white">
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <div className="space-y-1.5">
+              <CardTitle className="text-lg">Score over time</CardTitle>
+              <CardDescription className="text-gray-400">Shaded by the band each state covers</CardDescription>
+            </div>
+            <Tabs value={range} onValueChange={(value) => setRange(value as HistoryRange)}>
+              <TabsList>
+                {Object.keys(HISTORY_RANGES).map((key) => (
+                  <TabsTrigger key={key} value={key} data-testid={`tab-range-${key}`}>{key}</TabsTrigger>
+                ))}
+              </TabsList>
+            </Tabs>
+          </CardHeader>
+          <CardContent>
+            {history.isError ? (
+              <p className="text-sm text-gray-400">History unavailable: {(history.error as Error).message}</p>
+            ) : history.data && history.data.series.length === 0 ? (
+              <p className="text-sm text-gray-400">No snapshots in this range yet.</p>
+            ) : (
+              <ChartContainer config={chartConfig} className="h-64 w-full" data-testid="chart-history">
+                <LineChart data={history.data?.series ?? []} margin={{ left: 0, right: 12 }}>
+                  {STATE_BANDS.map(({ state, from, to }) => (
+                    <ReferenceArea key={state} y1={from} y2={to} fill={STATE_COLORS[state]} fillOpacity={0.12} ifOverflow="hidden" />
+                  ))}
+                  <CartesianGrid vertical={false} strokeOpacity={0.2} />
+                  <XAxis
+                    dataKey="timestamp"
+                    type="number"
+                    scale="time"
+                    domain={["dataMin", "dataMax"]}
+                    tickFormatter={(value) => new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric" })}
+                  />
+                  <YAxis domain={[0, 1]} ticks={[0, ...Object.values(SCORE_THRESHOLDS), 1]} width={36} />
+                  <ChartTooltip
+                    content={<ChartTooltipContent labelFormatter={(_, [item]) => new Date(item.payload.timestamp).toLocaleString()} />}
+                  />
+                  <Line dataKey="sentiment_score" type="stepAfter" stroke="var(--color-sentiment_score)" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ChartContainer>
+            )}
+          </CardContent>
+        </Card>
+
+        {breakdown.length > 0 && (
+          <Card className="bg-gray-800 border-gray-700 text-white">
+            <CardHeader>
+              <CardTitle className="text-lg">Collections</CardTitle>
+              <CardDescription className="text-gray-400">Volumes in ETH over the last 24 hours and 30 days</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <Table data-testid="table-collections">
+                <TableHeader>
+                  <TableRow className="border-gray-700">
+                    <TableHead>Collection</TableHead>
+                    <TableHead>State</TableHead>
+                    <TableHead className="text-right">Weight</TableHead>
+                    <TableHead className="text-right">Contribution</TableHead>
+                    <TableHead className="text-right">Floor</TableHead>
+                    <TableHead className="text-right">24h volume</TableHead>
+                    <TableHead className="text-right">30d volume</TableHead>
+                    <TableHead className="text-right">Sales</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {breakdown.map((collection) => (
+                    <TableRow key={`${collection.chain}:${collection.contract}`} className="border-gray-700">
+                      <TableCell>
+                        <div className="font-medium">{collection.label}</div>
+                        <div className="text-xs text-gray-500">{collection.chain}</div>
+                      </TableCell>
+                      <TableCell><StateBadge state={collection.market_state} /></TableCell>
+                      <TableCell className="text-right tabular-nums">{Math.round(collection.weight_share * 100)}%</TableCell>
+                      <TableCell className="text-right tabular-nums">{collection.contribution.toFixed(3)}</TableCell>
+                      <TableCell className="text-right tabular-nums">{formatEth(collection.floor_price)}</TableCell>
+                      <TableCell className="text-right tabular-nums">{formatEth(collection.volume_24h)}</TableCell>
+                      <TableCell className="text-right tabular-nums">{formatEth(collection.volume_30d)}</TableCell>
+                      <TableCell className="text-right tabular-nums">{collection.sales_count}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
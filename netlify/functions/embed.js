@@ -0,0 +1,44 @@
+// Embeddable widget Netlify Function: the live artwork for partner sites'
+// iframes, framed only by EMBED_FRAME_ANCESTORS
+import { embedHeaders, loadEmbedConfig, parseEmbedQuery, renderEmbedPage } from "../../shared/embed.js";
+import { loadContractAllowlist } from "../../shared/allowlist.js";
+import { annotateRequest, logger } from "../../shared/logger.js";
+import { withRequestLogging } from "../lib/request-logging.js";
+import { withRateLimit } from "../lib/rate-limit.js";
+
+export default withRequestLogging(withRateLimit(async (request, context) => {
+  const headers = { 'Content-Type': 'application/json' };
+  
+  if (request.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers });
+  }
+  
+  const { config, error } = loadEmbedConfig();
+  if (error) {
+    logger.error('Invalid embed configuration', { error });
+    return new Response(JSON.stringify({ error }), { status: 500, headers });
+  }
+  
+  try {
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError) {
+      return new Response(JSON.stringify({ error: allowlistError }), { status: 500, headers });
+    }
+    
+    const url = new URL(request.url);
+    const parsed = parseEmbedQuery(Object.fromEntries(url.searchParams), { allowlist });
+    if (parsed.error) {
+      return new Response(JSON.stringify({ error: parsed.error }), { status: parsed.status, headers });
+    }
+    
+    annotateRequest({ contract: parsed.options.contract ?? 'market' });
+    const baseUrl = process.env.PUBLIC_BASE_URL || url.origin;
+    return new Response(renderEmbedPage(parsed.options, { baseUrl }), {
+      status: 200,
+      headers: embedHeaders(config)
+    });
+  } catch (error) {
+    logger.error('Error rendering embed', { error });
+    return new Response(JSON.stringify({ error: 'Internal server error' }), { status: 500, headers });
+  }
+}));
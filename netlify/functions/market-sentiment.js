@@ -1,36 +1,27 @@
 // Market sentiment analysis Netlify Function
-import { z } from "zod";
+import { ZodError } from "zod";
+import { marketSentimentSchema } from "../../shared/sentiment.js";
+import { applyOverride } from "../../shared/overrides.js";
+import { resolveMarketDataProvider } from "../../shared/providers/index.js";
+import { buildMarketSnapshot, fetchTargetSentiment, resolveSentimentTarget } from "../../shared/market-data.js";
+import { loadContractAllowlist } from "../../shared/allowlist.js";
+import { createSwrCache, sentimentCacheOptions } from "../../shared/swr-cache.js";
+import { REQUEST_ID_HEADER, annotateRequest, logger } from "../../shared/logger.js";
+import { loadMarketSnapshot } from "../lib/sentiment-store.js";
+import { loadActiveOverride } from "../lib/overrides.js";
+import { withRequestLogging } from "../lib/request-logging.js";
+import { withRateLimit } from "../lib/rate-limit.js";
 
-// Validation schemas
-const marketSentimentSchema = z.object({
-  sentiment_score: z.number(),
-  market_state: z.enum(['capitulation', 'stagnation', 'resilience', 'euphoria']),
-  indicators: z.object({
-    floor_price_trend: z.number(),
-    sales_volume_ratio: z.number(),
-    active_traders: z.number(),
-    price_volatility: z.number(),
-    market_cap_change: z.number()
-  }),
-  raw_data: z.object({
-    floor_price: z.number().optional(),
-    volume_24h: z.number().optional(),
-    volume_30d: z.number().optional(),
-    sales_count: z.number().optional(),
-    unique_holders: z.number().optional()
-  })
-});
+// Bounded stale-while-revalidate cache, local to this function instance
+const cache = createSwrCache(sentimentCacheOptions());
 
-// Simple in-memory cache (note: each function invocation starts fresh)
-const cache = new Map();
-const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours
-
-export default async (request, context) => {
+export default withRequestLogging(withRateLimit(async (request, context) => {
   // Handle CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Allow-Headers': `Content-Type, Accept, ${REQUEST_ID_HEADER}`,
+    'Access-Control-Expose-Headers': REQUEST_ID_HEADER,
     'Cache-Control': 'public, max-age=43200'
   };
 
@@ -47,199 +38,111 @@ export default async (request, context) => {
 
   try {
     const url = new URL(request.url);
-    const contractAddress = url.searchParams.get('contract');
-    
-    console.log('Market sentiment endpoint called with contract:', contractAddress);
     
-    // Validate required environment variables
-    const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
-    console.log('ALCHEMY_API_KEY exists:', !!ALCHEMY_API_KEY);
+    // A curator override replaces the published state; responses are cached
+    // until it (or the next one) starts or ends
+    const { override, maxAge } = await loadActiveOverride();
+    headers['Cache-Control'] = `public, max-age=${maxAge}`;
+    
+    // Without a collection, serve the snapshot the scheduled refresh published
+    if (!url.searchParams.get('contract') && !url.searchParams.get('slug')) {
+      const snapshot = await loadStoredSnapshot();
+      if (snapshot) {
+        const published = applyOverride(snapshot, override);
+        annotateRequest({ contract: 'market', cache: 'hit', state: published.market_state });
+        return new Response(JSON.stringify({ ...published, cached: true }), {
+          status: 200,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
     
-    if (!ALCHEMY_API_KEY) {
-      return new Response(JSON.stringify({ error: 'ALCHEMY_API_KEY not configured' }), {
+    // Resolve the configured market data provider
+    const { provider, error: providerError } = resolveMarketDataProvider();
+    if (providerError) {
+      return new Response(JSON.stringify({ error: providerError }), {
         status: 500,
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
     
-    if (!contractAddress) {
-      return new Response(JSON.stringify({ error: 'contract parameter is required' }), {
-        status: 400,
+    // Only allowlisted collections are computed (shared/allowlist.js)
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError) {
+      return new Response(JSON.stringify({ error: allowlistError }), {
+        status: 500,
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
     
-    // Check cache first
-    const cacheKey = `sentiment-${contractAddress}`;
-    const cached = cache.get(cacheKey);
+    const target = resolveSentimentTarget(provider, {
+      contract: url.searchParams.get('contract'),
+      slug: url.searchParams.get('slug'),
+      chain: url.searchParams.get('chain')
+    }, { allowlist });
     
-    if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-      return new Response(JSON.stringify(cached.data), {
-        status: 200,
+    if (target.error) {
+      return new Response(JSON.stringify({ error: target.error }), {
+        status: target.status,
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
     
-    // Fetch multiple data points from Alchemy API
-    const baseUrl = 'https://eth-mainnet.g.alchemy.com/nft/v3';
-    const apiHeaders = { 'Accept': 'application/json' };
-    
-    const [floorPriceRes, salesRes] = await Promise.allSettled([
-      fetch(`${baseUrl}/${ALCHEMY_API_KEY}/getFloorPrice?contractAddress=${contractAddress}`, { headers: apiHeaders }),
-      fetch(`${baseUrl}/${ALCHEMY_API_KEY}/getNftSales?contractAddress=${contractAddress}&limit=100`, { headers: apiHeaders })
-    ]);
-    
-    let floorData = null;
-    let salesData = null;
-    
-    if (floorPriceRes.status === 'fulfilled' && floorPriceRes.value.ok) {
-      floorData = await floorPriceRes.value.json();
-    }
-    
-    if (salesRes.status === 'fulfilled' && salesRes.value.ok) {
-      salesData = await salesRes.value.json();
-    }
-    
-    // Calculate comprehensive market sentiment
-    const sentimentAnalysis = calculateMarketSentiment(floorData, salesData);
+    logger.info('Market sentiment endpoint called', { contract: target.scope, provider: provider.name });
+    annotateRequest({ contract: target.scope });
     
-    // Validate response data
+    // Cached, or calculated and validated on a miss
+    let cached;
     try {
-      marketSentimentSchema.parse(sentimentAnalysis);
+      cached = await cache.fetch(
+        `sentiment-${target.scope}`,
+        (previous) => computeSentiment(provider, target, previous),
+        { waitUntil: context?.waitUntil?.bind(context) }
+      );
     } catch (error) {
-      console.error('Sentiment validation error:', error);
+      if (!(error instanceof ZodError)) throw error;
+      logger.error('Sentiment validation error', { error });
       return new Response(JSON.stringify({ error: 'Invalid sentiment data format' }), {
         status: 500,
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
     
-    // Cache the response
-    cache.set(cacheKey, {
-      data: sentimentAnalysis,
-      timestamp: Date.now()
-    });
-    
-    return new Response(JSON.stringify(sentimentAnalysis), {
+    const result = applyOverride(cached.value, override);
+    annotateRequest({ cache: cached.status, state: result.market_state });
+    return new Response(JSON.stringify(result), {
       status: 200,
       headers: { ...headers, 'Content-Type': 'application/json' }
     });
     
   } catch (error) {
-    console.error('Error in market-sentiment function:', error);
+    logger.error('Error in market-sentiment function', { error });
     return new Response(JSON.stringify({ error: 'Internal server error' }), {
       status: 500,
       headers: { ...headers, 'Content-Type': 'application/json' }
     });
   }
-};
+}));
 
-// Market sentiment calculation function
-function calculateMarketSentiment(floorData, salesData) {
-  const now = Date.now();
-  const oneDayAgo = now - 24 * 60 * 60 * 1000;
-  const thirtyDaysAgo = now - 30 * 24 * 60 * 60 * 1000;
-  
-  // Extract base metrics - use OpenSea floor price as primary
-  const currentFloorPrice = floorData?.openSea?.floorPrice || floorData?.looksRare?.floorPrice || 0;
-  const sales = salesData?.nftSales || [];
-  
-  // Calculate time-based metrics
-  const sales24h = sales.filter(sale => 
-    new Date(sale.blockTimestamp).getTime() > oneDayAgo
-  );
-  const sales30d = sales.filter(sale => 
-    new Date(sale.blockTimestamp).getTime() > thirtyDaysAgo
-  );
-  
-  // Volume calculations using correct Alchemy price fields
-  const volume24h = sales24h.reduce((sum, sale) => {
-    // Calculate total price from fee components (all in wei strings)
-    const sellerFee = parseFloat(sale.sellerFee || 0);
-    const protocolFee = parseFloat(sale.protocolFee || 0);
-    const royaltyFee = parseFloat(sale.royaltyFee || 0);
-    const totalPriceWei = sellerFee + protocolFee + royaltyFee;
-    
-    // Convert from wei to ETH (1 ETH = 10^18 wei)
-    const priceEth = totalPriceWei / Math.pow(10, 18);
-    return sum + priceEth;
-  }, 0);
-  
-  const volume30d = sales30d.reduce((sum, sale) => {
-    const sellerFee = parseFloat(sale.sellerFee || 0);
-    const protocolFee = parseFloat(sale.protocolFee || 0);
-    const royaltyFee = parseFloat(sale.royaltyFee || 0);
-    const totalPriceWei = sellerFee + protocolFee + royaltyFee;
-    const priceEth = totalPriceWei / Math.pow(10, 18);
-    return sum + priceEth;
-  }, 0);
-  
-  // Calculate sentiment indicators (0-1 scale)
-  const indicators = {
-    // Floor price trend (comparing to historical average)
-    floor_price_trend: Math.min(Math.max((currentFloorPrice / 1) * 0.5, 0), 1),
-    
-    // Sales volume ratio (24h vs 30d average)
-    sales_volume_ratio: volume30d > 0 ? Math.min((volume24h / (volume30d / 30)) * 0.5, 1) : 0,
-    
-    // Active traders (unique addresses in recent sales)
-    active_traders: Math.min(sales24h.length / 50, 1),
-    
-    // Price volatility (lower volatility = higher confidence)
-    price_volatility: sales24h.length > 0 ? 
-      Math.max(1 - (getStandardDeviation(sales24h.map(s => {
-        const sellerFee = parseFloat(s.sellerFee || 0);
-        const protocolFee = parseFloat(s.protocolFee || 0);
-        const royaltyFee = parseFloat(s.royaltyFee || 0);
-        return (sellerFee + protocolFee + royaltyFee) / Math.pow(10, 18);
-      })) / currentFloorPrice), 0) : 0.5,
-    
-    // Market cap change proxy (based on floor price and activity)
-    market_cap_change: Math.min((currentFloorPrice * sales24h.length) / 1000, 1)
-  };
-  
-  // Weighted sentiment score
-  const weights = {
-    floor_price_trend: 0.25,
-    sales_volume_ratio: 0.25,
-    active_traders: 0.20,
-    price_volatility: 0.15,
-    market_cap_change: 0.15
-  };
-  
-  const sentiment_score = Object.entries(indicators).reduce(
-    (score, [key, value]) => score + value * weights[key], 
-    0
+// Calculate and validate sentiment, applying the transition rules against
+// the previous result held by this instance
+async function computeSentiment(provider, target, previous) {
+  const sentiment = await fetchTargetSentiment(provider, target);
+  const sentimentAnalysis = buildMarketSnapshot(
+    sentiment,
+    previous ? { ...previous.value, timestamp: previous.timestamp } : null
   );
   
-  // Determine market state based on sentiment score
-  let market_state;
-  if (sentiment_score < 0.25) market_state = 'capitulation';
-  else if (sentiment_score < 0.50) market_state = 'stagnation';
-  else if (sentiment_score < 0.75) market_state = 'resilience';
-  else market_state = 'euphoria';
-  
-  return {
-    sentiment_score: Math.round(sentiment_score * 100) / 100,
-    market_state,
-    indicators,
-    raw_data: {
-      floor_price: currentFloorPrice,
-      volume_24h: volume24h,
-      volume_30d: volume30d,
-      sales_count: sales24h.length,
-      unique_holders: new Set([
-        ...sales24h.map(s => s.buyerAddress).filter(Boolean),
-        ...sales24h.map(s => s.sellerAddress).filter(Boolean)
-      ]).size
-    }
-  };
+  marketSentimentSchema.parse(sentimentAnalysis);
+  return sentimentAnalysis;
 }
 
-// Helper function for standard deviation
-function getStandardDeviation(values) {
-  if (values.length === 0) return 0;
-  const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-  const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-  return Math.sqrt(variance);
-}
\ No newline at end of file
+// Market snapshot from netlify/functions/refresh-sentiment.js, or null
+async function loadStoredSnapshot() {
+  try {
+    return await loadMarketSnapshot();
+  } catch (error) {
+    logger.warn('Could not load stored market snapshot', { error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,39 @@
+// Prometheus metrics Netlify Function: the market-wide gauges from the
+// snapshot the scheduled refresh published
+import {
+  METRICS_CONTENT_TYPE,
+  SNAPSHOT_METRICS,
+  isMetricsRequestAuthorized,
+  onCollect,
+  recordMarketSnapshot,
+  renderMetrics
+} from "../../shared/metrics.js";
+import { logger } from "../../shared/logger.js";
+import { loadMarketSnapshot } from "../lib/sentiment-store.js";
+import { withRequestLogging } from "../lib/request-logging.js";
+
+onCollect(async () => {
+  recordMarketSnapshot(await loadMarketSnapshot());
+});
+
+export default withRequestLogging(async (request, context) => {
+  const headers = { 'Content-Type': 'application/json' };
+  
+  if (request.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers });
+  }
+  
+  if (!isMetricsRequestAuthorized(request.headers.get('authorization'))) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers });
+  }
+  
+  try {
+    return new Response(await renderMetrics({ only: SNAPSHOT_METRICS }), {
+      status: 200,
+      headers: { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    return new Response(JSON.stringify({ error: 'Failed to render metrics' }), { status: 500, headers });
+  }
+});
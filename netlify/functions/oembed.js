@@ -0,0 +1,56 @@
+// oEmbed Netlify Function for /embed pages, readable cross-origin by
+// EMBED_ALLOWED_ORIGINS
+import { OEMBED_CACHE_AGE, buildOEmbed, embedCorsHeaders, loadEmbedConfig } from "../../shared/embed.js";
+import { loadContractAllowlist } from "../../shared/allowlist.js";
+import { REQUEST_ID_HEADER, logger } from "../../shared/logger.js";
+import { withRequestLogging } from "../lib/request-logging.js";
+import { withRateLimit } from "../lib/rate-limit.js";
+
+export default withRequestLogging(withRateLimit(async (request, context) => {
+  const { config, error } = loadEmbedConfig();
+  if (error) {
+    logger.error('Invalid embed configuration', { error });
+    return new Response(JSON.stringify({ error }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const headers = {
+    ...embedCorsHeaders(config, request.headers.get('origin')),
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': `Content-Type, Accept, ${REQUEST_ID_HEADER}`,
+    'Access-Control-Expose-Headers': REQUEST_ID_HEADER,
+    'Content-Type': 'application/json'
+  };
+  
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers });
+  }
+  
+  if (request.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers });
+  }
+  
+  try {
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError) {
+      return new Response(JSON.stringify({ error: allowlistError }), { status: 500, headers });
+    }
+    
+    const url = new URL(request.url);
+    const baseUrl = process.env.PUBLIC_BASE_URL || url.origin;
+    const result = buildOEmbed(Object.fromEntries(url.searchParams), { baseUrl, allowlist });
+    if (result.error) {
+      return new Response(JSON.stringify({ error: result.error }), { status: result.status, headers });
+    }
+    
+    return new Response(JSON.stringify(result.oembed), {
+      status: 200,
+      headers: { ...headers, 'Cache-Control': `public, max-age=${OEMBED_CACHE_AGE}` }
+    });
+  } catch (error) {
+    logger.error('Error building oEmbed response', { error });
+    return new Response(JSON.stringify({ error: 'Internal server error' }), { status: 500, headers });
+  }
+}));
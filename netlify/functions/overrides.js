@@ -0,0 +1,85 @@
+// Curator overrides Netlify Function, as on the Express server: GET lists
+// active and scheduled ones (?all=true for every one), POST creates, DELETE
+// /api/admin/overrides/:id cancels. HTTP Basic auth as ADMIN_USERNAME /
+// ADMIN_PASSWORD rather than the users table (see shared/curator-auth.js).
+import { createOverrideRecord, parseOverrideRequest, serializeOverride } from "../../shared/overrides.js";
+import { CURATOR_CHALLENGE, authenticateCurator, curatorConfigured } from "../../shared/curator-auth.js";
+import { logger } from "../../shared/logger.js";
+import { cancelOverride, loadOverrides, saveOverride } from "../lib/overrides.js";
+import { withRequestLogging } from "../lib/request-logging.js";
+import { withAdminRateLimit } from "../lib/rate-limit.js";
+
+export default withRequestLogging(withAdminRateLimit(async (request, context) => {
+  const headers = { 'Content-Type': 'application/json' };
+  const json = (body, status) => new Response(JSON.stringify(body), { status, headers });
+  
+  if (!curatorConfigured()) {
+    return json({ error: 'ADMIN_USERNAME and ADMIN_PASSWORD not configured' }, 503);
+  }
+  
+  const username = authenticateCurator(request.headers.get('authorization'));
+  if (!username) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), {
+      status: 401,
+      headers: { ...headers, 'WWW-Authenticate': CURATOR_CHALLENGE }
+    });
+  }
+  
+  try {
+    const url = new URL(request.url);
+    
+    if (request.method === 'GET') {
+      const now = Date.now();
+      const overrides = (await loadOverrides()).map(override => serializeOverride(override, now));
+      
+      // Active and scheduled only, unless ?all=true
+      return json({
+        overrides: url.searchParams.get('all') === 'true'
+          ? overrides
+          : overrides.filter(override => override.status === 'active' || override.status === 'scheduled')
+      }, 200);
+    }
+    
+    if (request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return json({ error: 'Request body must be JSON' }, 400);
+      }
+      
+      const parsed = parseOverrideRequest(body);
+      if (parsed.error) {
+        return json({ error: parsed.error }, 400);
+      }
+      
+      const override = createOverrideRecord(parsed, username);
+      await saveOverride(override);
+      logger.info('Override created', {
+        id: override.id,
+        state: override.state,
+        starts_at: override.startsAt.toISOString(),
+        until: override.until.toISOString(),
+        by: override.createdBy
+      });
+      return json(serializeOverride(override), 201);
+    }
+    
+    if (request.method === 'DELETE') {
+      const id = /\/overrides\/([^/]+)\/?$/.exec(url.pathname)?.[1];
+      const override = id && await cancelOverride(decodeURIComponent(id));
+      if (!override) {
+        return json({ error: 'Override not found' }, 404);
+      }
+      
+      logger.info('Override cancelled', { id: override.id, by: username });
+      return json(serializeOverride(override), 200);
+    }
+    
+    return json({ error: 'Method not allowed' }, 405);
+    
+  } catch (error) {
+    logger.error('Error in overrides function', { error });
+    return json({ error: 'Internal server error' }, 500);
+  }
+}));
@@ -0,0 +1,199 @@
+// Scheduled market sentiment refresh, the Netlify counterpart of the Vercel
+// cron (api/refresh-sentiment.js). The schedule is set in netlify.toml.
+import { resolveMarketDataProvider } from "../../shared/providers/index.js";
+import { computeMarketSnapshot } from "../../shared/market-data.js";
+import {
+  buildTransitionEvent,
+  deliverPending,
+  loadWebhookConfig,
+  pendingEvent,
+  redactDelivery,
+  redactUrl,
+  urlId
+} from "../../shared/webhooks.js";
+import { loadRefreshConfig, refreshMarketplaceMetadata } from "../../shared/metadata-refresh.js";
+import { annotateRequest, logger } from "../../shared/logger.js";
+import {
+  DELIVERY_PREFIX,
+  HISTORY_PREFIX,
+  PENDING_PREFIX,
+  REFRESH_REPORT_PREFIX,
+  SNAPSHOT_KEY,
+  loadMarketSnapshot,
+  sentimentStore
+} from "../lib/sentiment-store.js";
+import { withRequestLogging } from "../lib/request-logging.js";
+
+// Scheduled functions stop after 30 seconds. Market data reads stop at
+// FETCH_BUDGET_MS so the snapshot is always stored; webhook retries and
+// marketplace refreshes then run side by side until REFRESH_BUDGET_MS,
+// leaving room for the rest of the run
+const FETCH_BUDGET_MS = 12000;
+const REFRESH_BUDGET_MS = 20000;
+
+export default withRequestLogging(async (request, context) => {
+  const headers = { 'Content-Type': 'application/json' };
+  
+  try {
+    logger.info('Scheduled sentiment refresh starting');
+    const startTime = Date.now();
+    const now = Date.now();
+    const store = sentimentStore();
+    
+    // Collect market data from the configured provider and apply the
+    // transition rules against the last published snapshot
+    const { provider, error } = resolveMarketDataProvider();
+    if (error) {
+      throw new Error(error);
+    }
+    const previous = await loadPreviousSnapshot();
+    const snapshot = await computeMarketSnapshot(provider, previous, { now, startTime, deadline: startTime + FETCH_BUDGET_MS });
+    const { market_state, state_transition } = snapshot;
+    
+    // The latest copy for market-sentiment, plus a per-run history copy
+    await store.setJSON(SNAPSHOT_KEY, snapshot);
+    await store.setJSON(`${HISTORY_PREFIX}${now}.json`, snapshot);
+    
+    // Announce a change of published state to the configured webhooks
+    // (with any events earlier runs left pending) and ask marketplaces to
+    // refresh our tokens' metadata
+    const transition = previous && previous.market_state !== market_state;
+    const event = transition
+      ? buildTransitionEvent({ scope: 'market', previousState: previous.market_state, sentiment: snapshot, timestamp: now })
+      : null;
+    const [deliveries, metadataRefresh] = await Promise.all([
+      notifyTransitions(store, event, now, startTime + REFRESH_BUDGET_MS),
+      transition ? refreshMetadata(store, now, startTime + REFRESH_BUDGET_MS) : null
+    ]);
+    
+    annotateRequest({ contract: 'market', state: market_state });
+    logger.info('Market sentiment computed', {
+      state: market_state,
+      score: snapshot.sentiment_score,
+      transition: state_transition.reason
+    });
+    
+    return new Response(JSON.stringify({
+      success: true,
+      snapshot: {
+        market_state,
+        sentiment_score: snapshot.sentiment_score,
+        transition: state_transition.reason,
+        computation_time_ms: snapshot.metadata.computation_time_ms
+      },
+      webhooks: deliveries.map(({ event_id, url, delivered, attempts }) => ({
+        event_id,
+        url: redactUrl(url),
+        url_id: urlId(url),
+        delivered,
+        attempts
+      })),
+      metadata_refresh: metadataRefresh
+    }), { status: 200, headers });
+    
+  } catch (error) {
+    logger.error('Scheduled sentiment refresh failed', { error });
+    return new Response(JSON.stringify({
+      error: 'Failed to refresh sentiment data',
+      message: error.message
+    }), { status: 500, headers });
+  }
+});
+
+// Deliver `event` (null when the state held) and every event an earlier run
+// left pending, oldest first, before `deadline`. The new event is stored as
+// pending before its first attempt, so a run cut short still hands it on;
+// each is removed once nothing is left to retry. As on Vercel, the pending
+// entries and the delivery log (one entry per URL) carry no URLs.
+async function notifyTransitions(store, event, now, deadline) {
+  const config = loadWebhookConfig();
+  if (config.urls.length === 0) return [];
+  
+  const queue = await loadPendingEvents(store);
+  if (event) {
+    const pending = pendingEvent(event, config);
+    try {
+      await store.setJSON(`${PENDING_PREFIX}${event.id}.json`, pending);
+    } catch (error) {
+      logger.error('Could not store pending webhook event', { event_id: event.id, error: error.message });
+    }
+    queue.push(pending);
+  }
+  
+  const deliveries = [];
+  for (const pending of queue) {
+    const { deliveries: sent, remaining } = await deliverPending(pending, { config, deadline, now });
+    deliveries.push(...sent);
+    try {
+      const key = `${PENDING_PREFIX}${pending.event.id}.json`;
+      await (remaining ? store.setJSON(key, remaining) : store.delete(key));
+    } catch (error) {
+      logger.warn('Could not update pending webhook event', { event_id: pending.event.id, error: error.message });
+    }
+  }
+  
+  await Promise.all(deliveries.map(async (delivery, index) => {
+    try {
+      await store.setJSON(`${DELIVERY_PREFIX}${now}-${delivery.event_id}-${index}.json`, redactDelivery(delivery));
+    } catch (error) {
+      logger.warn('Could not log webhook delivery', { url_id: urlId(delivery.url), error: error.message });
+    }
+  }));
+  
+  return deliveries;
+}
+
+// Events left pending by earlier runs, oldest first. One that cannot be
+// read is left in place for the next run.
+async function loadPendingEvents(store) {
+  let blobs = [];
+  try {
+    ({ blobs } = await store.list({ prefix: PENDING_PREFIX }));
+  } catch (error) {
+    logger.warn('Could not list pending webhook events', { error: error.message });
+  }
+  
+  const events = [];
+  for (const { key } of blobs) {
+    try {
+      const pending = await store.get(key, { type: 'json' });
+      if (pending) events.push(pending);
+    } catch (error) {
+      logger.warn('Could not read pending webhook event', { key, error: error.message });
+    }
+  }
+  return events.sort((a, b) => Date.parse(a.event.timestamp) - Date.parse(b.event.timestamp));
+}
+
+// Refresh every token at the configured marketplaces and store the full
+// report; returns a summary, or null when refreshes are not configured
+async function refreshMetadata(store, now, deadline) {
+  const { config, error } = loadRefreshConfig();
+  if (!config) {
+    if (error) logger.error('Metadata refresh not started', { error });
+    return null;
+  }
+  
+  const report = await refreshMarketplaceMetadata(config, { deadline });
+  try {
+    await store.setJSON(`${REFRESH_REPORT_PREFIX}${now}.json`, report);
+  } catch (err) {
+    logger.warn('Could not store metadata refresh report', { error: err.message });
+  }
+  
+  return {
+    run_id: report.run_id,
+    dry_run: report.dry_run,
+    summary: report.summary
+  };
+}
+
+// Last published snapshot, or null on the first run
+async function loadPreviousSnapshot() {
+  try {
+    return await loadMarketSnapshot();
+  } catch (error) {
+    logger.warn('Could not load previous snapshot', { error: error.message });
+    return null;
+  }
+}
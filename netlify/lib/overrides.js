@@ -0,0 +1,57 @@
+import { deserializeOverride, overrideWindow, serializeOverride } from "../../shared/overrides.js";
+import { logger } from "../../shared/logger.js";
+import { OVERRIDES_PREFIX, sentimentStore } from "./sentiment-store.js";
+
+// As in api/_lib/overrides.js, each override is its own key and is never
+// rewritten: cancelling one adds overrides/cancelled/<id>.json, so two
+// curators writing at once cannot undo each other. Reads are strongly
+// consistent, so a change is visible to the next request.
+const CANCELLED_PREFIX = 'overrides/cancelled/';
+
+function overridesStore() {
+  return sentimentStore({ consistency: 'strong' });
+}
+
+// Every stored override (shared/overrides.js records)
+export async function loadOverrides() {
+  const store = overridesStore();
+  const { blobs } = await store.list({ prefix: OVERRIDES_PREFIX });
+  const entries = await Promise.all(blobs.map(async ({ key }) => ({ key, value: await store.get(key, { type: 'json' }) })));
+
+  const cancelledAt = new Map(entries
+    .filter(({ key, value }) => key.startsWith(CANCELLED_PREFIX) && value)
+    .map(({ value }) => [value.id, new Date(value.cancelled_at)]));
+  return entries
+    .filter(({ key, value }) => !key.startsWith(CANCELLED_PREFIX) && value)
+    .map(({ value }) => deserializeOverride(value))
+    .map(override => ({ ...override, cancelledAt: cancelledAt.get(override.id) ?? override.cancelledAt }))
+    .sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime());
+}
+
+export async function saveOverride(override) {
+  await overridesStore().setJSON(`${OVERRIDES_PREFIX}${override.id}.json`, serializeOverride(override));
+}
+
+// Cancel an override, as IStorage.cancelOverride does: the override, or
+// undefined when there is no such id. Cancelling twice keeps the first time.
+export async function cancelOverride(id, at = new Date()) {
+  const override = (await loadOverrides()).find(candidate => candidate.id === id);
+  if (!override || override.cancelledAt) {
+    return override;
+  }
+
+  await overridesStore().setJSON(`${CANCELLED_PREFIX}${id}.json`, { id, cancelled_at: at.toISOString() });
+  return { ...override, cancelledAt: at };
+}
+
+// The override in force now and the cache lifetime (see overrideWindow).
+// Overrides that cannot be read are logged and ignored, so the functions
+// keep serving the computed state.
+export async function loadActiveOverride(maxAge = 43200) {
+  try {
+    return overrideWindow(await loadOverrides(), maxAge);
+  } catch (error) {
+    logger.error('Could not load curator overrides', { error });
+    return { override: undefined, maxAge };
+  }
+}
@@ -0,0 +1,36 @@
+import { createRateLimiter, loadAdminRateLimitConfig } from "../../shared/rate-limit.js";
+
+// Buckets for this function instance
+const publicLimiter = createRateLimiter();
+const adminLimiter = createRateLimiter(loadAdminRateLimitConfig());
+
+// Answer 429 once the client's token bucket is empty. Netlify passes the
+// client's address as `context.ip`.
+export function withRateLimit(handler, limiter = publicLimiter) {
+  return async (request, context) => {
+    if (request.method === 'OPTIONS') return handler(request, context);
+
+    const client = context?.ip ?? request.headers.get('x-nf-client-connection-ip');
+    const { allowed, headers } = limiter.take(client);
+
+    if (!allowed) {
+      return new Response(JSON.stringify({ error: 'Too many requests' }), {
+        status: 429,
+        headers: { ...headers, 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+
+    const response = await handler(request, context);
+    // Copied, as responses from Response.redirect() have immutable headers
+    const limited = new Response(response.body, response);
+    for (const [name, value] of Object.entries(headers)) {
+      limited.headers.set(name, value);
+    }
+    return limited;
+  };
+}
+
+// The same, at the admin budget, for endpoints behind Basic auth
+export function withAdminRateLimit(handler) {
+  return withRateLimit(handler, adminLimiter);
+}
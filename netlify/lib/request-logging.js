@@ -0,0 +1,20 @@
+import { REQUEST_ID_HEADER, createRequest, logRequestSummary, runWithRequest } from "../../shared/logger.js";
+
+// Run a function under an X-Request-Id (the caller's, or a new one) that is
+// echoed back and tagged on every log line, ending with the request summary
+export function withRequestLogging(handler) {
+  return async (request, context) => {
+    const logged = createRequest({
+      requestId: request.headers.get(REQUEST_ID_HEADER),
+      method: request.method,
+      path: new URL(request.url).pathname
+    });
+
+    const response = await runWithRequest(logged, () => handler(request, context));
+    // Copied, as responses from Response.redirect() have immutable headers
+    const tagged = new Response(response.body, response);
+    tagged.headers.set(REQUEST_ID_HEADER, logged.id);
+    logRequestSummary(logged, tagged.status);
+    return tagged;
+  };
+}
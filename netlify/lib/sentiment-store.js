@@ -0,0 +1,21 @@
+import { getStore } from "@netlify/blobs";
+
+// Netlify Blobs store written by the scheduled refresh-sentiment function,
+// with the same keys api/refresh-sentiment.js uses in Vercel Blob
+export const SNAPSHOT_KEY = 'market/sentiment.json';
+export const HISTORY_PREFIX = 'market/history/';
+export const DELIVERY_PREFIX = 'webhooks/deliveries/';
+export const PENDING_PREFIX = 'webhooks/pending/';
+export const REFRESH_REPORT_PREFIX = 'metadata-refresh/';
+// Curator overrides, written by netlify/functions/overrides.js
+export const OVERRIDES_PREFIX = 'overrides/';
+
+// `consistency: 'strong'` reads a write made moments ago (default 'eventual')
+export function sentimentStore({ consistency } = {}) {
+  return consistency ? getStore({ name: 'sentiment', consistency }) : getStore('sentiment');
+}
+
+// Latest published market snapshot, or null before the first refresh
+export async function loadMarketSnapshot() {
+  return sentimentStore().get(SNAPSHOT_KEY, { type: 'json' });
+}
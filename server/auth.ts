@@ -0,0 +1,63 @@
+import type { Request, Response, NextFunction } from "express";
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import type { User } from "@shared/schema";
+import { logger } from "@shared/logger";
+import { storage } from "./storage";
+
+const scryptAsync = promisify(scrypt);
+
+// Passwords are stored as "<hex scrypt hash>.<salt>"
+export async function hashPassword(password: string) {
+  const salt = randomBytes(16).toString("hex");
+  const buf = (await scryptAsync(password, salt, 64)) as Buffer;
+  return `${buf.toString("hex")}.${salt}`;
+}
+
+export async function comparePasswords(supplied: string, stored: string) {
+  const [hashed, salt] = stored.split(".");
+  if (!hashed || !salt) return false;
+  const hashedBuf = Buffer.from(hashed, "hex");
+  const suppliedBuf = (await scryptAsync(supplied, salt, 64)) as Buffer;
+  return hashedBuf.length === suppliedBuf.length && timingSafeEqual(hashedBuf, suppliedBuf);
+}
+
+// Create the curator account named by ADMIN_USERNAME / ADMIN_PASSWORD if it
+// does not exist yet
+export async function seedAdminUser() {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return;
+
+  if (!(await storage.getUserByUsername(username))) {
+    await storage.createUser({ username, password: await hashPassword(password) });
+    logger.info('Created curator account', { username });
+  }
+}
+
+// HTTP Basic authentication against the users table. The authenticated user
+// is left on res.locals.user.
+export async function requireCurator(req: Request, res: Response, next: NextFunction) {
+  const header = req.headers.authorization || '';
+  const [scheme, encoded] = header.split(' ');
+
+  if (scheme === 'Basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+
+    try {
+      const user: User | undefined = separator > 0 ? await storage.getUserByUsername(username) : undefined;
+      if (user && await comparePasswords(password, user.password)) {
+        res.locals.user = user;
+        return next();
+      }
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  res.set('WWW-Authenticate', 'Basic realm="curator", charset="UTF-8"');
+  res.status(401).json({ error: 'Authentication required' });
+}
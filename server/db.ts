@@ -0,0 +1,13 @@
+import { Pool, neonConfig } from "@neondatabase/serverless";
+import { drizzle } from "drizzle-orm/neon-serverless";
+import ws from "ws";
+import * as schema from "@shared/schema";
+
+neonConfig.webSocketConstructor = ws;
+
+export function createDb(connectionString: string) {
+  const pool = new Pool({ connectionString });
+  return drizzle({ client: pool, schema });
+}
+
+export type Db = ReturnType<typeof createDb>;
@@ -2,47 +2,44 @@ import express, { type Request, Response, NextFunction } from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 import { registerRoutes } from "./routes";
-import { setupVite, serveStatic, log } from "./vite";
+import { serveStatic, setupVite } from "./vite";
+import { startScheduler } from "./scheduler";
+import { storage } from "./storage";
+import { DEFAULT_REFRESH_CRON } from "@shared/cron";
+import { REQUEST_ID_HEADER, createRequest, logRequestSummary, logger, runWithRequest } from "@shared/logger";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// req.ip keys the rate limiter, so it must be the client's address rather
+// than the proxy's. Deployments (Replit included) sit behind one proxy hop,
+// which is trusted by default; TRUST_PROXY sets another hop count, "true"
+// for any, or 0 / "false" when the server is reached directly.
+const trustProxy = process.env.TRUST_PROXY || "1";
+const hops = Number(trustProxy);
+app.set("trust proxy", Number.isInteger(hops) ? hops : trustProxy === "true");
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
+// Every request runs under an X-Request-Id (the caller's, or a new one)
+// that is echoed back and tagged on its log lines; API requests end with a
+// one-line summary
 app.use((req, res, next) => {
-  const start = Date.now();
-  const path = req.path;
-  let capturedJsonResponse: Record<string, any> | undefined = undefined;
-
-  const originalResJson = res.json;
-  res.json = function (bodyJson, ...args) {
-    capturedJsonResponse = bodyJson;
-    return originalResJson.apply(res, [bodyJson, ...args]);
-  };
+  const request = createRequest({ requestId: req.get(REQUEST_ID_HEADER), method: req.method, path: req.path });
+  res.setHeader(REQUEST_ID_HEADER, request.id);
 
   res.on("finish", () => {
-    const duration = Date.now() - start;
-    if (path.startsWith("/api")) {
-      let logLine = `${req.method} ${path} ${res.statusCode} in ${duration}ms`;
-      if (capturedJsonResponse) {
-        logLine += ` :: ${JSON.stringify(capturedJsonResponse)}`;
-      }
-
-      if (logLine.length > 80) {
-        logLine = logLine.slice(0, 79) + "…";
-      }
-
-      log(logLine);
+    if (request.path.startsWith("/api")) {
+      logRequestSummary(request, res.statusCode);
     }
   });
 
-  next();
+  runWithRequest(request, next);
 });
 
 (async () => {
-  const server = await registerRoutes(app);
+  const { server, refreshMarketSentiment } = await registerRoutes(app);
 
   // Serve the single HTML file at the root
   app.get('/', (req, res) => {
@@ -52,6 +49,14 @@ app.use((req, res, next) => {
   // Serve static files from public directory
   app.use(express.static(path.join(__dirname, '../public')));
 
+  // The React client (client/src) for every other page, such as /dashboard:
+  // Vite's dev middleware in development, the build in dist/public otherwise
+  if (app.get("env") === "development") {
+    await setupVite(app, server);
+  } else {
+    serveStatic(app);
+  }
+
   app.use((err: any, _req: Request, res: Response, _next: NextFunction) => {
     const status = err.status || err.statusCode || 500;
     const message = err.message || "Internal Server Error";
@@ -70,6 +75,26 @@ app.use((req, res, next) => {
     host: "0.0.0.0",
     reusePort: true,
   }, () => {
-    log(`serving on port ${port}`);
+    logger.info(`serving on port ${port}`);
   });
+
+  // Refresh the market-wide sentiment on the Vercel cron schedule, or on
+  // SENTIMENT_REFRESH_CRON ("off" disables it). With nothing stored within
+  // the last 12 hours, or when storage cannot be read, the first run starts
+  // right away.
+  const refreshCron = process.env.SENTIMENT_REFRESH_CRON || DEFAULT_REFRESH_CRON;
+  if (refreshCron !== 'off') {
+    let stale = true;
+    try {
+      const latest = await storage.getLatestSentimentSnapshot('market');
+      stale = !latest || Date.now() - latest.takenAt.getTime() > 12 * 60 * 60 * 1000;
+    } catch (error) {
+      logger.error('Could not read the latest market snapshot', { error });
+    }
+    try {
+      startScheduler('Sentiment refresh', refreshCron, refreshMarketSentiment, { runNow: stale });
+    } catch (error) {
+      logger.error('Sentiment refresh not scheduled', { error });
+    }
+  }
 })();
@@ -0,0 +1,67 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { BASE_PRICE_TABLE, feeCurrency, pricingFor } from "@shared/prices";
+import { priceSale } from "@shared/sentiment";
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const ZERO = "0x0000000000000000000000000000000000000000";
+
+const table = {
+  ...BASE_PRICE_TABLE,
+  eth_per_unit: { ...BASE_PRICE_TABLE.eth_per_unit, USDC: 0.0004, POL: 0.0001 },
+  tokens: { ...BASE_PRICE_TABLE.tokens, [USDC]: "USDC" }
+};
+const ethereum = pricingFor("ethereum", table);
+
+function sale(sellerFee: Record<string, unknown>) {
+  return { sellerFee, protocolFee: null, royaltyFee: null };
+}
+
+describe("feeCurrency", () => {
+  test("names the zero address after the chain's native currency", () => {
+    assert.equal(feeCurrency({ tokenAddress: ZERO, symbol: "ETH" }, ethereum), "ETH");
+    assert.equal(feeCurrency({ tokenAddress: ZERO, symbol: "ETH" }, pricingFor("polygon", table)), "POL");
+  });
+
+  test("names a known token by the table, whatever its symbol", () => {
+    assert.equal(feeCurrency({ tokenAddress: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", symbol: "ETH" }, ethereum), "WETH");
+    assert.equal(feeCurrency({ tokenAddress: USDC, symbol: "usdc" }, ethereum), "USDC");
+  });
+
+  test("does not trust the symbol of a token missing from the table", () => {
+    const spoof = "0x1111111111111111111111111111111111111111";
+    for (const symbol of ["WETH", "ETH", "BLUR_POOL"]) {
+      assert.equal(feeCurrency({ tokenAddress: spoof, symbol }, ethereum), `UNKNOWN:${spoof}`);
+    }
+  });
+
+  test("uses the symbol only when the fee has no address", () => {
+    assert.equal(feeCurrency({ symbol: "usdc" }, ethereum), "USDC");
+    assert.equal(feeCurrency({}, ethereum), "UNKNOWN");
+  });
+});
+
+describe("priceSale", () => {
+  test("scales each fee by its decimals and converts it to ETH", () => {
+    const usdcSale = sale({ amount: "2500000000", decimals: 6, tokenAddress: USDC, symbol: "USDC" });
+    assert.deepEqual(priceSale(usdcSale, ethereum), { eth: 1, unpriced: null });
+
+    const ethSale = {
+      sellerFee: { amount: "900000000000000000", decimals: 18, tokenAddress: ZERO, symbol: "ETH" },
+      protocolFee: { amount: "100000000000000000", decimals: 18, tokenAddress: WETH, symbol: "WETH" },
+      royaltyFee: null
+    };
+    assert.deepEqual(priceSale(ethSale, ethereum), { eth: 1, unpriced: null });
+  });
+
+  test("reports a spoofed WETH sale as unpriced instead of adding its volume", () => {
+    const spoof = "0x2222222222222222222222222222222222222222";
+    const spoofed = sale({ amount: "1000000000000000000000", decimals: 18, tokenAddress: spoof, symbol: "WETH" });
+    assert.deepEqual(priceSale(spoofed, ethereum), { eth: null, unpriced: `UNKNOWN:${spoof}` });
+  });
+
+  test("reports a fee with no address or symbol as unpriced", () => {
+    assert.deepEqual(priceSale(sale({ amount: "1000", decimals: 0 }), ethereum), { eth: null, unpriced: "UNKNOWN" });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ADMIN_RATE_LIMIT,
+  DEFAULT_RATE_LIMIT,
+  createRateLimiter,
+  loadAdminRateLimitConfig,
+  loadRateLimitConfig
+} from "@shared/rate-limit";
+
+const NOW = Date.parse("2026-10-01T12:00:00.000Z");
+
+describe("loadRateLimitConfig", () => {
+  test("defaults to 60 a minute and reads the environment", () => {
+    assert.deepEqual(loadRateLimitConfig({}), DEFAULT_RATE_LIMIT);
+    assert.deepEqual(loadRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "30" }), { per_minute: 30, burst: 30 });
+    assert.deepEqual(
+      loadRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "30", RATE_LIMIT_BURST: "5" }),
+      { per_minute: 30, burst: 5 }
+    );
+  });
+
+  test("ignores invalid values", () => {
+    assert.deepEqual(loadRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "-1", RATE_LIMIT_BURST: "0" }), DEFAULT_RATE_LIMIT);
+    assert.deepEqual(loadRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "fast" }), DEFAULT_RATE_LIMIT);
+  });
+
+  test("RATE_LIMIT=off disables the public and admin limits", () => {
+    assert.equal(loadRateLimitConfig({ RATE_LIMIT: "off" }), null);
+    assert.equal(loadAdminRateLimitConfig({ RATE_LIMIT: "off" }), null);
+    assert.deepEqual(loadAdminRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "600" }), ADMIN_RATE_LIMIT);
+  });
+});
+
+describe("createRateLimiter", () => {
+  test("allows a burst, then refuses until a token refills", () => {
+    const limiter = createRateLimiter({ per_minute: 6, burst: 3 });
+
+    for (let remaining = 2; remaining >= 0; remaining--) {
+      const { allowed, headers } = limiter.take("1.2.3.4", NOW);
+      assert.equal(allowed, true);
+      assert.equal(headers["RateLimit-Remaining"], String(remaining));
+      assert.equal(headers["RateLimit-Limit"], "3");
+    }
+
+    const refused = limiter.take("1.2.3.4", NOW);
+    assert.equal(refused.allowed, false);
+    // One token every 10 seconds
+    assert.equal(refused.headers["Retry-After"], "10");
+    assert.equal(refused.headers["RateLimit-Reset"], "30");
+
+    assert.equal(limiter.take("1.2.3.4", NOW + 9_000).allowed, false);
+    assert.equal(limiter.take("1.2.3.4", NOW + 10_000).allowed, true);
+  });
+
+  test("never refills beyond the burst", () => {
+    const limiter = createRateLimiter({ per_minute: 60, burst: 2 });
+    limiter.take("1.2.3.4", NOW);
+
+    const later = limiter.take("1.2.3.4", NOW + 60 * 60_000);
+    assert.equal(later.headers["RateLimit-Remaining"], "1");
+  });
+
+  test("keeps a bucket per client", () => {
+    const limiter = createRateLimiter({ per_minute: 1, burst: 1 });
+    assert.equal(limiter.take("1.2.3.4", NOW).allowed, true);
+    assert.equal(limiter.take("1.2.3.4", NOW).allowed, false);
+    assert.equal(limiter.take("5.6.7.8", NOW).allowed, true);
+  });
+
+  test("allows everything without a config", () => {
+    const limiter = createRateLimiter(null);
+    for (let i = 0; i < 100; i++) {
+      assert.deepEqual(limiter.take("1.2.3.4", NOW), { allowed: true, headers: {} });
+    }
+  });
+});
@@ -1,46 +1,91 @@
-import type { Express } from "express";
+import type { Express, Request, Response } from "express";
 import { createServer, type Server } from "http";
-import { z } from "zod";
-
-// Validation schemas
-const marketSentimentSchema = z.object({
-  sentiment_score: z.number(),
-  market_state: z.enum(['capitulation', 'stagnation', 'resilience', 'euphoria']),
-  indicators: z.object({
-    floor_price_trend: z.number(),
-    sales_volume_ratio: z.number(),
-    active_traders: z.number(),
-    price_volatility: z.number(),
-    market_cap_change: z.number()
-  }),
-  raw_data: z.object({
-    floor_price: z.number().optional(),
-    volume_24h: z.number().optional(),
-    volume_7d: z.number().optional(),
-    sales_count: z.number().optional(),
-    unique_holders: z.number().optional()
-  })
-});
-
-// In-memory cache for API responses
-const cache = new Map<string, { data: any; timestamp: number }>();
-const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
-
-// Asset URLs for each market state
-const ASSET_URLS = {
-  capitulation: 'https://6txiabgkdvd5nenuupzxtp7lbxcvx4vw3kra4ly7blafm2mproda.arweave.net/9O6ABModR9aRtKPzeb_rDcVb8rbaog4vHwrAVmmPi4Y',
-  stagnation: 'https://r4vsc7esu3z27xxgh2bqrocs3jz4pin44ahw4hwk3ilabk2o2vwq.arweave.net/jyshfJKm86_e5j6DCLhS2nPHobzgD24eytoWAKtO1W0',
-  resilience: 'https://lgwaa4z6aegrwftnh3v2zdaxjgvvxyv5g7orzbzufbpc5hgqnm5q.arweave.net/WawAcz4BDRsWbT7rrIwXSatb4r033RyHNCheLpzQazs',
-  euphoria: 'https://tkf3ssqdvpe3bnk25od6twbu3rioxksaxmedvldcs3nbs4ickpoq.arweave.net/mou5SgOrybC1WuuH6dg03FDrqkC7CDqsYpbaGXECU90'
+import { randomUUID } from "crypto";
+import { ZodError } from "zod";
+import { marketSentimentSchema, salePriceEth } from "@shared/sentiment";
+import { buildSentimentHistory, parseHistoryQuery } from "@shared/history";
+import { ASSET_URLS } from "@shared/assets";
+import { buildTokenMetadata, isValidTokenId } from "@shared/metadata";
+import { buildOEmbed, embedCorsHeaders, embedHeaders, loadEmbedConfig, OEMBED_CACHE_AGE, parseEmbedQuery, renderEmbedPage } from "@shared/embed";
+import { parseCardQuery, renderCard } from "@shared/card";
+import { assetHeaders, isProxyMode, loadAsset } from "@shared/asset-cache";
+import { buildMarketSnapshot, fetchMarketSentiment, fetchTargetSentiment, resolveSentimentTarget } from "@shared/market-data";
+import { resolveMarketDataProvider } from "@shared/providers";
+import { breakerStates } from "@shared/providers/http";
+import {
+  forcedStates,
+  imageFallbacks,
+  isMetricsRequestAuthorized,
+  METRICS_CONTENT_TYPE,
+  onCollect,
+  recordCacheStats,
+  recordMarketSnapshot,
+  renderMetrics,
+  timeRefresh
+} from "@shared/metrics";
+import { annotateRequest, logger, REQUEST_ID_HEADER } from "@shared/logger";
+import { DEFAULT_CHAIN } from "@shared/chains";
+import { loadContractAllowlist } from "@shared/allowlist";
+import { createRateLimiter, loadAdminRateLimitConfig } from "@shared/rate-limit";
+import { loadPriceTable, pricingFor } from "@shared/prices";
+import {
+  applyOverride,
+  overrideWindow,
+  parseOverrideRequest,
+  serializeOverride
+} from "@shared/overrides";
+import { buildTransitionEvent, dispatchEvent, parseDeliveryQuery } from "@shared/webhooks";
+import {
+  buildBatchMetadataUpdateCalldata,
+  loadRefreshConfig,
+  parseRefreshQuery,
+  parseTokenIds,
+  refreshMarketplaceMetadata
+} from "@shared/metadata-refresh";
+import { createSwrCache, sentimentCacheOptions } from "@shared/swr-cache";
+import type { InsertSale } from "@shared/schema";
+import { storage } from "./storage";
+import { requireCurator, seedAdminUser } from "./auth";
+
+// In-memory cache for sentiment results: LRU-bounded, stale-while-revalidate
+// and one upstream fetch per key at a time (shared/swr-cache.js)
+const sentimentCache = createSwrCache(sentimentCacheOptions());
+const CACHE_MAX_AGE = 43200; // Cache-Control max-age in seconds (12 hours)
+
+// Public routes limited per client IP (shared/rate-limit.js)
+const RATE_LIMITED_ROUTES = ['/api/market-sentiment', '/api/nft-image', '/api/nft-card', '/api/sentiment-history', '/api/metadata', '/embed', '/oembed'];
+const rateLimiter = createRateLimiter();
+const adminRateLimiter = createRateLimiter(loadAdminRateLimitConfig());
+
+type ResolvedTarget = {
+  error?: undefined;
+  // Storage and cache key: the contract address, or opensea:<slug>
+  scope: string;
+  fetchSentiment: (now: number) => Promise<any>;
 };
+type SentimentTarget = ResolvedTarget | { error: string; status: number };
+
+// Public origin of this deployment, for absolute URLs in responses
+function publicBaseUrl(req: Request) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+export type RegisteredRoutes = {
+  server: Server;
+  // Recompute and store the market-wide sentiment (the scheduled refresh)
+  refreshMarketSentiment: () => Promise<any>;
+};
+
+export async function registerRoutes(app: Express): Promise<RegisteredRoutes> {
+  await seedAdminUser();
 
-export async function registerRoutes(app: Express): Promise<Server> {
   // CORS middleware
   app.use((req, res, next) => {
     const allowOrigin = process.env.ALLOW_ORIGIN || '*';
     res.header('Access-Control-Allow-Origin', allowOrigin);
     res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    res.header('Access-Control-Allow-Headers', `Content-Type, Accept, ${REQUEST_ID_HEADER}`);
+    res.header('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
     
     if (req.method === 'OPTIONS') {
       res.sendStatus(200);
@@ -50,266 +95,808 @@ export async function registerRoutes(app: Express): Promise<Server> {
     next();
   });
 
+  // Token bucket per client IP; req.ip is the client behind the trusted proxy
+  // hops (TRUST_PROXY, default 1). Basic-auth guesses on the admin routes
+  // draw on a tighter budget.
+  const limitRate = (limiter: ReturnType<typeof createRateLimiter>) =>
+    (req: Request, res: Response, next: () => void) => {
+      const { allowed, headers } = limiter.take(req.ip ?? '');
+      res.set(headers);
+      
+      if (!allowed) {
+        return res.status(429).json({ error: 'Too many requests' });
+      }
+      
+      next();
+    };
+  app.use(RATE_LIMITED_ROUTES, limitRate(rateLimiter));
+  app.use('/api/admin', limitRate(adminRateLimiter));
+
   // Market sentiment analysis endpoint
   app.get('/api/market-sentiment', async (req, res) => {
-    console.log('Market sentiment endpoint called with query:', req.query);
+    logger.info('Market sentiment endpoint called', { query: req.query });
     try {
-      const contractAddress = req.query.contract as string;
-      console.log('Contract address:', contractAddress);
-      
-      // Validate required environment variables
-      const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
-      console.log('ALCHEMY_API_KEY exists:', !!ALCHEMY_API_KEY);
-      
-      if (!ALCHEMY_API_KEY) {
-        return res.status(500).json({ 
-          error: 'ALCHEMY_API_KEY not configured' 
-        });
-      }
+      const target = await resolveTarget(req.query);
       
-      if (!contractAddress) {
-        return res.status(400).json({ 
-          error: 'contract parameter is required' 
+      if (target.error !== undefined) {
+        return res.status(target.status).json({ 
+          error: target.error 
         });
       }
       
-      // Check cache first
-      const cacheKey = `sentiment-${contractAddress}`;
-      const cached = cache.get(cacheKey);
+      const { override, maxAge } = await loadOverride();
       
-      if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-        res.set('Cache-Control', 'public, max-age=43200');
-        return res.json(cached.data);
-      }
-      
-      // Fetch multiple data points from Alchemy API
-      const baseUrl = 'https://eth-mainnet.g.alchemy.com/nft/v3';
-      const headers = {
-        'Accept': 'application/json'
-      };
-      
-      const [floorPriceRes, salesRes] = await Promise.allSettled([
-        fetch(`${baseUrl}/${ALCHEMY_API_KEY}/getFloorPrice?contractAddress=${contractAddress}`, { headers }),
-        fetch(`${baseUrl}/${ALCHEMY_API_KEY}/getNftSales?contractAddress=${contractAddress}&limit=100`, { headers })
-      ]);
-      
-      let floorData = null;
-      let salesData = null;
-      
-      if (floorPriceRes.status === 'fulfilled' && floorPriceRes.value.ok) {
-        floorData = await floorPriceRes.value.json();
-      }
-      
-      if (salesRes.status === 'fulfilled' && salesRes.value.ok) {
-        salesData = await salesRes.value.json();
-      }
-      
-      // Calculate comprehensive market sentiment
-      const sentimentAnalysis = calculateMarketSentiment(floorData, salesData);
-      
-      // Validate response data
+      // Cached, or calculated and validated on a miss
+      let cached;
       try {
-        marketSentimentSchema.parse(sentimentAnalysis);
+        cached = await fetchCachedSentiment(target);
       } catch (error) {
-        console.error('Sentiment validation error:', error);
+        if (!(error instanceof ZodError)) throw error;
+        logger.error('Sentiment validation error', { error });
         return res.status(500).json({
           error: 'Invalid sentiment data format'
         });
       }
       
-      // Cache the response
-      cache.set(cacheKey, {
-        data: sentimentAnalysis,
-        timestamp: Date.now()
-      });
-      
       // Set cache headers
-      res.set('Cache-Control', 'public, max-age=43200');
-      res.json(sentimentAnalysis);
+      const result = applyOverride(cached.value, override);
+      annotateRequest({ state: result.market_state });
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      res.json({ ...result, timestamp: cached.timestamp });
       
     } catch (error) {
-      console.error('Error in /api/market-sentiment:', error);
+      logger.error('Error in /api/market-sentiment', { error });
       res.status(500).json({
         error: 'Internal server error'
       });
     }
   });
 
-  // Market sentiment calculation function
-  function calculateMarketSentiment(floorData: any, salesData: any) {
-    const now = Date.now();
-    const oneDayAgo = now - 24 * 60 * 60 * 1000;
-    const sevenDaysAgo = now - 7 * 24 * 60 * 60 * 1000;
+  // Resolve the configured provider and the collection a request targets,
+  // which must be on the allowlist (shared/allowlist.js)
+  async function resolveTarget(query: Record<string, any>, defaultContract?: string): Promise<SentimentTarget> {
+    const { provider, error } = resolveMarketDataProvider();
+    logger.debug('Market data provider', { provider: provider?.name ?? null, error });
+    
+    if (!provider) {
+      return { status: 500, error: error ?? 'Market data provider not configured' };
+    }
     
-    // Extract base metrics
-    const currentFloorPrice = floorData?.floorPrice?.priceCurrency?.native || 0;
-    const sales = salesData?.nftSales || [];
+    const recordingProvider = withSalesRecording(provider);
     
-    // Calculate time-based metrics
-    const sales24h = sales.filter((sale: any) => 
-      new Date(sale.blockTimestamp).getTime() > oneDayAgo
-    );
-    const sales7d = sales.filter((sale: any) => 
-      new Date(sale.blockTimestamp).getTime() > sevenDaysAgo
-    );
+    // Without a collection, the market-wide sentiment the refresh keeps warm,
+    // as /api/market-sentiment serves it on Vercel and Netlify
+    if (!query.contract && !query.slug && !defaultContract) {
+      annotateRequest({ contract: 'market' });
+      return {
+        scope: 'market',
+        fetchSentiment: (now) => fetchMarketSentiment(recordingProvider, { now })
+      };
+    }
     
-    // Volume calculations
-    const volume24h = sales24h.reduce((sum: number, sale: any) => 
-      sum + parseFloat(sale.sellerFee?.amount || 0), 0
-    );
-    const volume7d = sales7d.reduce((sum: number, sale: any) => 
-      sum + parseFloat(sale.sellerFee?.amount || 0), 0
+    const { allowlist, error: allowlistError } = await loadContractAllowlist();
+    if (allowlistError !== undefined) {
+      return { status: 500, error: allowlistError };
+    }
+    
+    const target = resolveSentimentTarget(
+      provider,
+      { contract: query.contract as string, slug: query.slug as string, chain: query.chain as string },
+      { defaultContract, allowlist }
     );
+    if (target.error !== undefined) {
+      return { status: target.status, error: target.error };
+    }
+    annotateRequest({ contract: target.scope });
     
-    // Calculate sentiment indicators (0-1 scale)
-    const indicators = {
-      // Floor price trend (comparing to historical average)
-      floor_price_trend: Math.min(Math.max((currentFloorPrice / 1) * 0.5, 0), 1),
-      
-      // Sales volume ratio (24h vs 7d average)
-      sales_volume_ratio: volume7d > 0 ? Math.min((volume24h / (volume7d / 7)) * 0.5, 1) : 0,
-      
-      // Active traders (unique addresses in recent sales)
-      active_traders: Math.min(sales24h.length / 50, 1),
+    return {
+      scope: target.scope,
+      fetchSentiment: (now) => fetchTargetSentiment(recordingProvider, target, { now })
+    };
+  }
+
+  // Keep every sale the provider returns so the sales table builds up
+  function withSalesRecording<P extends { getSales: (contract: string, options: any) => Promise<any> }>(provider: P): P {
+    return {
+      ...provider,
+      async getSales(contract: string, options: Record<string, any>) {
+        const salesData = await provider.getSales(contract, options);
+        await recordSales(contract, salesData.nftSales, options.chain);
+        return salesData;
+      }
+    };
+  }
+
+  // The market-wide sentiment (the basket, or the volume-ratio collection)
+  // under the "market" scope read by /api/metadata and /api/sentiment-history.
+  // Storing it can fire webhooks and marketplace refreshes like any transition.
+  function refreshMarketSentiment() {
+    return timeRefresh('express', async () => {
+      const { provider, error } = resolveMarketDataProvider();
+      if (!provider) {
+        throw new Error(error ?? 'Market data provider not configured');
+      }
       
-      // Price volatility (lower volatility = higher confidence)
-      price_volatility: sales24h.length > 0 ? 
-        Math.max(1 - (getStandardDeviation(sales24h.map((s: any) => parseFloat(s.sellerFee?.amount || 0))) / currentFloorPrice), 0) : 0.5,
+      const recordingProvider = withSalesRecording(provider);
+      const result = await computeSentiment({
+        scope: 'market',
+        fetchSentiment: (now) => fetchMarketSentiment(recordingProvider, { now })
+      }, { scheduled: true });
+      sentimentCache.set('sentiment-market', result);
       
-      // Market cap change proxy (based on floor price and activity)
-      market_cap_change: Math.min((currentFloorPrice * sales24h.length) / 1000, 1)
-    };
+      logger.info('Market sentiment refreshed', { state: result.market_state, score: result.sentiment_score });
+      return result;
+    });
+  }
+
+  // Store provider sales priced in ETH; sales in currencies without a rate
+  // are skipped, and a storage failure never fails the request
+  async function recordSales(contract: string, nftSales: any[], chain: string = DEFAULT_CHAIN) {
+    const pricing = pricingFor(chain, await loadPriceTable());
+    const rows: InsertSale[] = nftSales
+      .filter((sale) => sale.transactionHash && sale.blockTimestamp && salePriceEth(sale, pricing) !== null)
+      .map((sale) => ({
+        chain,
+        contract: contract.toLowerCase(),
+        tokenId: String(sale.tokenId),
+        marketplace: sale.marketplace ?? null,
+        buyerAddress: sale.buyerAddress ?? null,
+        sellerAddress: sale.sellerAddress ?? null,
+        priceEth: salePriceEth(sale, pricing) ?? 0,
+        transactionHash: sale.transactionHash,
+        logIndex: Number(sale.logIndex ?? 0),
+        bundleIndex: Number(sale.bundleIndex ?? 0),
+        blockNumber: sale.blockNumber ?? null,
+        blockTimestamp: new Date(sale.blockTimestamp)
+      }));
     
-    // Weighted sentiment score
-    const weights = {
-      floor_price_trend: 0.25,
-      sales_volume_ratio: 0.25,
-      active_traders: 0.20,
-      price_volatility: 0.15,
-      market_cap_change: 0.15
-    };
+    try {
+      const added = await storage.addSales(rows);
+      if (added > 0) {
+        logger.info('Recorded new sales', { contract, chain, count: added });
+      }
+    } catch (error) {
+      logger.error('Failed to record sales', { contract, chain, error });
+    }
+  }
+
+  // Fetch market data for a target, apply the transition rules against the
+  // previous snapshot and record the result for /api/sentiment-history. As
+  // on Vercel and Netlify, only the `scheduled` refresh records the
+  // market-wide state and announces its transitions to webhooks and
+  // marketplaces; a page view that misses the cache computes the market
+  // without recording it, so the next refresh still sees the change.
+  async function computeSentiment(target: ResolvedTarget, { scheduled = false } = {}) {
+    const now = Date.now();
+    const sentiment = await target.fetchSentiment(now);
     
-    const sentiment_score = Object.entries(indicators).reduce(
-      (score, [key, value]) => score + value * weights[key as keyof typeof weights], 
-      0
+    const previous = await storage.getLatestSentimentSnapshot(target.scope);
+    const result = buildMarketSnapshot(
+      sentiment,
+      previous ? {
+        market_state: previous.marketState,
+        timestamp: previous.takenAt.getTime(),
+        state_transition: previous.stateTransition
+      } : null,
+      { now }
     );
     
-    // Determine market state based on sentiment score
-    let market_state: 'capitulation' | 'stagnation' | 'resilience' | 'euphoria';
-    if (sentiment_score < 0.25) market_state = 'capitulation';
-    else if (sentiment_score < 0.50) market_state = 'stagnation';
-    else if (sentiment_score < 0.75) market_state = 'resilience';
-    else market_state = 'euphoria';
+    if (target.scope === 'market' && !scheduled) {
+      return result;
+    }
     
-    return {
-      sentiment_score: Math.round(sentiment_score * 100) / 100,
-      market_state,
-      indicators,
-      raw_data: {
-        floor_price: currentFloorPrice,
-        volume_24h: volume24h,
-        volume_7d: volume7d,
-        sales_count: sales24h.length,
-        unique_holders: new Set(sales24h.map((s: any) => s.from)).size
+    try {
+      const snapshot = await storage.addSentimentSnapshot({
+        scope: target.scope,
+        takenAt: new Date(now),
+        marketState: result.market_state,
+        sentimentScore: result.sentiment_score,
+        indicators: result.indicators,
+        rawData: result.raw_data,
+        stateTransition: result.state_transition
+      });
+      
+      if (previous && previous.marketState !== result.market_state) {
+        await storage.addStateTransition({
+          scope: target.scope,
+          occurredAt: new Date(now),
+          fromState: previous.marketState,
+          toState: result.market_state,
+          sentimentScore: result.sentiment_score,
+          snapshotId: snapshot.id
+        });
       }
-    };
+    } catch (error) {
+      logger.error('Failed to record sentiment snapshot', { scope: target.scope, error });
+    }
+    
+    if (scheduled && previous && previous.marketState !== result.market_state) {
+      notifyTransition(target.scope, previous.marketState, result, now);
+      startMetadataRefresh('transition');
+    }
+    
+    return result;
   }
-  
-  // Helper function for standard deviation
-  function getStandardDeviation(values: number[]): number {
-    if (values.length === 0) return 0;
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-    return Math.sqrt(variance);
+
+  // Fire the transition webhooks in the background and log each delivery
+  function notifyTransition(scope: string, previousState: string, sentiment: any, now: number) {
+    const event = buildTransitionEvent({ scope, previousState, sentiment, timestamp: now });
+    
+    dispatchEvent(event)
+      .then((deliveries) => Promise.all(deliveries.map((delivery) => storage.addWebhookDelivery({
+        eventId: delivery.event_id,
+        eventType: delivery.event_type,
+        scope: delivery.scope,
+        url: delivery.url,
+        delivered: delivery.delivered,
+        attempts: delivery.attempts,
+        lastStatus: delivery.last_status,
+        lastError: delivery.last_error,
+        attemptLog: delivery.attempt_log,
+        payload: delivery.payload,
+        startedAt: new Date(delivery.started_at),
+        completedAt: new Date(delivery.completed_at)
+      }))))
+      .catch((error) => logger.error('Failed to deliver transition webhooks', { scope, error }));
+  }
+
+  // Ask the configured marketplaces to refresh every token, in the background,
+  // and record each token's outcome. Returns the run's id and config, or
+  // `{ error }` when refreshes are off or misconfigured.
+  function startMetadataRefresh(trigger: string, options: { dryRun?: boolean; tokenIds?: string[] } = {}) {
+    const { config, error } = loadRefreshConfig();
+    if (!config) {
+      if (error) logger.error('Metadata refresh not started', { error });
+      return { error: error ?? 'NFT_CONTRACT not configured' };
+    }
+    
+    const runConfig = { ...config, tokenIds: options.tokenIds ?? config.tokenIds };
+    const dryRun = options.dryRun ?? config.dryRun;
+    const runId = randomUUID();
+    
+    refreshMarketplaceMetadata(runConfig, { runId, trigger, dryRun })
+      .then((report) => storage.addMetadataRefreshes(report.results.map((result) => ({
+        runId,
+        trigger,
+        marketplace: result.marketplace,
+        tokenId: result.token_id,
+        outcome: result.outcome,
+        status: result.status,
+        error: result.error,
+        attempts: result.attempts,
+        attemptedAt: new Date(result.at)
+      }))))
+      .catch((error) => logger.error('Metadata refresh failed', { run_id: runId, error }));
+    
+    return { runId, config: runConfig, dryRun };
+  }
+
+  // Cached sentiment for a target as `{ value, timestamp, status }`: computed
+  // (and validated) when missing, and once older than 12 hours served stale
+  // while a single background computation replaces it
+  async function fetchCachedSentiment(target: ResolvedTarget) {
+    const cached = await sentimentCache.fetch(`sentiment-${target.scope}`, async () => {
+      const result = await computeSentiment(target);
+      marketSentimentSchema.parse(result);
+      return result;
+    });
+    annotateRequest({ cache: cached.status });
+    return cached;
+  }
+
+  // The cached result carrying the time it was computed as `timestamp`
+  async function getCachedSentiment(target: ResolvedTarget) {
+    const { value, timestamp } = await fetchCachedSentiment(target);
+    return { ...value, timestamp };
+  }
+
+  // The curator override in force now, and how long responses may be cached
+  // before an override starts or ends
+  async function loadOverride() {
+    return overrideWindow(await storage.getOverrides(), CACHE_MAX_AGE);
+  }
+
+  // Answer with a state's artwork: a 302 to Arweave by default, or the
+  // verified bytes themselves when NFT_IMAGE_MODE=proxy
+  async function sendStateImage(req: Request, res: Response, state: string, maxAge = CACHE_MAX_AGE) {
+    const marketState = (state in ASSET_URLS ? state : 'stagnation') as keyof typeof ASSET_URLS;
+    annotateRequest({ state: marketState });
+    
+    if (isProxyMode()) {
+      try {
+        const asset = await loadAsset(marketState);
+        res.set(assetHeaders(asset));
+        res.set('Cache-Control', `public, max-age=${maxAge}`);
+        if (req.headers['if-none-match'] === `"${asset.sha256}"`) {
+          return res.status(304).end();
+        }
+        return res.send(asset.body);
+      } catch (error) {
+        // Fall back to the redirect when no verified copy is available
+        logger.error('Error proxying artwork', { state: marketState, error });
+      }
+    }
+    
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    res.redirect(302, ASSET_URLS[marketState]);
   }
 
-  // Simple NFT image endpoint - redirects to appropriate Arweave URL based on market sentiment
+  // Count a stagnation fallback in the metrics and the request summary
+  function recordImageFallback(reason: string) {
+    imageFallbacks.inc({ reason });
+    annotateRequest({ fallback: reason, state: 'stagnation' });
+  }
+
+  // Simple NFT image endpoint - redirects to (or proxies) the Arweave artwork based on market sentiment
   app.get('/api/nft-image', async (req, res) => {
-    console.log('NFT image endpoint called with query:', req.query);
+    logger.info('NFT image endpoint called', { query: req.query });
     try {
-      const contractAddress = req.query.contract as string || '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D'; // Default to BAYC
       const forceState = req.query.force as string;
       
       // Check for manual override first
       if (forceState && forceState in ASSET_URLS) {
-        res.set('Cache-Control', 'public, max-age=43200');
-        return res.redirect(302, ASSET_URLS[forceState as keyof typeof ASSET_URLS]);
+        forcedStates.inc({ endpoint: 'nft-image', state: forceState });
+        return sendStateImage(req, res, forceState);
       }
       
-      // Validate API key
-      const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
-      if (!ALCHEMY_API_KEY) {
-        // Fallback to default state if API not configured
-        return res.redirect(302, ASSET_URLS.stagnation);
+      // Then for a curator override
+      const { override, maxAge } = await loadOverride();
+      if (override) {
+        return sendStateImage(req, res, override.state, maxAge);
       }
       
-      // Check cache first
-      const cacheKey = `sentiment-${contractAddress}`;
-      const cached = cache.get(cacheKey);
+      const target = await resolveTarget(req.query, '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D'); // Default to BAYC
+      if (target.error !== undefined && target.status === 403) {
+        return res.status(403).json({ error: target.error });
+      }
+      if (target.error !== undefined) {
+        // Fallback to default state if the provider is not configured
+        recordImageFallback('no_target');
+        return sendStateImage(req, res, 'stagnation', maxAge);
+      }
       
       let sentimentData;
+      try {
+        sentimentData = await getCachedSentiment(target);
+      } catch (error) {
+        logger.error('Error fetching sentiment data for image', { error });
+        // Fallback to default state on error
+        recordImageFallback('sentiment_error');
+        return sendStateImage(req, res, 'stagnation', maxAge);
+      }
       
-      if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-        sentimentData = cached.data;
-      } else {
-        // Fetch fresh sentiment data
-        try {
-          const baseUrl = 'https://eth-mainnet.g.alchemy.com/nft/v3';
-          const headers = { 'Accept': 'application/json' };
-          
-          const [floorPriceRes, salesRes] = await Promise.allSettled([
-            fetch(`${baseUrl}/${ALCHEMY_API_KEY}/getFloorPrice?contractAddress=${contractAddress}`, { headers }),
-            fetch(`${baseUrl}/${ALCHEMY_API_KEY}/getNftSales?contractAddress=${contractAddress}&limit=100`, { headers })
-          ]);
-          
-          let floorData = null;
-          let salesData = null;
-          
-          if (floorPriceRes.status === 'fulfilled' && floorPriceRes.value.ok) {
-            floorData = await floorPriceRes.value.json();
-          }
-          
-          if (salesRes.status === 'fulfilled' && salesRes.value.ok) {
-            salesData = await salesRes.value.json();
-          }
-          
-          sentimentData = calculateMarketSentiment(floorData, salesData);
-          
-          // Cache the result
-          cache.set(cacheKey, {
-            data: sentimentData,
-            timestamp: Date.now()
-          });
-        } catch (error) {
-          console.error('Error fetching sentiment data for image:', error);
-          // Fallback to default state on error
-          return res.redirect(302, ASSET_URLS.stagnation);
+      await sendStateImage(req, res, sentimentData.market_state, maxAge);
+      
+    } catch (error) {
+      logger.error('Error in /api/nft-image', { error });
+      // Fallback to default state on any error
+      recordImageFallback('handler_error');
+      res.redirect(302, ASSET_URLS.stagnation);
+    }
+  });
+
+  // State card: the current artwork with the state name, score, volumes and
+  // last-updated time overlaid, as SVG or PNG (?format=png&width=&height=)
+  app.get('/api/nft-card', async (req, res) => {
+    const query = parseCardQuery(req.query as Record<string, string>);
+    if (query.error !== undefined) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    const forceState = req.query.force as string;
+    let snapshot = null;
+    let override;
+    let maxAge = CACHE_MAX_AGE;
+    
+    if (forceState && forceState in ASSET_URLS) {
+      forcedStates.inc({ endpoint: 'nft-card', state: forceState });
+    } else {
+      try {
+        const target = await resolveTarget(req.query, '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D'); // Default to BAYC
+        // A malformed or non-allowlisted collection is the caller's error;
+        // anything else falls back to the stagnation card
+        if (target.error !== undefined && (target.status === 400 || target.status === 403)) {
+          return res.status(target.status).json({ error: target.error });
+        }
+        ({ override, maxAge } = await loadOverride());
+        if (target.error === undefined) {
+          snapshot = await getCachedSentiment(target);
+        }
+      } catch (error) {
+        // Fallback to the stagnation card on error
+        logger.error('Error fetching sentiment data for card', { error });
+        annotateRequest({ fallback: 'sentiment_error' });
+      }
+    }
+    
+    try {
+      const card = await renderCard(applyOverride(snapshot, override), { ...query, state: forceState });
+      annotateRequest({ state: card.state });
+      res.set('Content-Type', card.contentType);
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      res.send(card.body);
+    } catch (error) {
+      logger.error('Error in /api/nft-card', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // Sentiment time series and state transitions
+  app.get('/api/sentiment-history', async (req, res) => {
+    try {
+      const query = parseHistoryQuery(req.query as Record<string, string>);
+      if (query.error !== undefined) {
+        return res.status(400).json({ error: query.error });
+      }
+
+      // "market" is the basket; ?contract= (or ?slug=) picks a single
+      // collection under the scope its snapshots are stored with
+      let scope = 'market';
+      if (req.query.contract || req.query.slug) {
+        const target = await resolveTarget(req.query);
+        if (target.error !== undefined) {
+          return res.status(target.status).json({ error: target.error });
         }
+        scope = target.scope;
+      }
+      
+      const from = new Date(query.from);
+      const to = new Date(query.to);
+      const [snapshots, transitions] = await Promise.all([
+        storage.getSentimentSnapshots(scope, from, to),
+        storage.getStateTransitions(scope, from, to)
+      ]);
+
+      res.json(buildSentimentHistory(
+        snapshots.map((snapshot) => ({
+          timestamp: snapshot.takenAt.getTime(),
+          market_state: snapshot.marketState,
+          sentiment_score: snapshot.sentimentScore,
+          indicators: snapshot.indicators
+        })),
+        query,
+        {
+          transitions: transitions.map((transition) => ({
+            timestamp: transition.occurredAt.getTime(),
+            from: transition.fromState,
+            to: transition.toState,
+            sentiment_score: transition.sentimentScore
+          }))
+        }
+      ));
+    } catch (error) {
+      logger.error('Error in /api/sentiment-history', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // ERC-721 tokenURI metadata built from the latest market snapshot
+  app.get('/api/metadata/:tokenId', async (req, res) => {
+    const { tokenId } = req.params;
+    if (!isValidTokenId(tokenId)) {
+      return res.status(400).json({ error: 'tokenId must be a non-negative integer' });
+    }
+    
+    const baseUrl = publicBaseUrl(req);
+    let snapshot = null;
+    let override;
+    let maxAge = CACHE_MAX_AGE;
+    
+    try {
+      ({ override, maxAge } = await loadOverride());
+      const latest = await storage.getLatestSentimentSnapshot('market');
+      if (latest) {
+        snapshot = {
+          timestamp: latest.takenAt.getTime(),
+          market_state: latest.marketState,
+          sentiment_score: latest.sentimentScore,
+          raw_data: latest.rawData
+        };
+      } else {
+        logger.warn('No market snapshot stored yet, serving stagnation metadata');
+        annotateRequest({ fallback: 'no_snapshot' });
+      }
+    } catch (error) {
+      // Fallback to stagnation metadata on any error
+      logger.error('Error loading market snapshot for metadata', { error });
+      annotateRequest({ fallback: 'snapshot_error' });
+    }
+    
+    const published = applyOverride(snapshot, override);
+    annotateRequest({ state: published?.market_state ?? 'stagnation' });
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    res.json(buildTokenMetadata(tokenId, published, { baseUrl }));
+  });
+
+  // Embeddable widget for partner sites, framed only by EMBED_FRAME_ANCESTORS
+  // (shared/embed.js)
+  app.get('/embed', async (req, res) => {
+    const embedConfig = loadEmbedConfig();
+    if (embedConfig.error !== undefined) {
+      logger.error('Invalid embed configuration', { error: embedConfig.error });
+      return res.status(500).json({ error: embedConfig.error });
+    }
+    
+    try {
+      const { allowlist, error: allowlistError } = await loadContractAllowlist();
+      if (allowlistError !== undefined) {
+        return res.status(500).json({ error: allowlistError });
       }
       
-      // Get the appropriate image URL
-      const imageUrl = ASSET_URLS[sentimentData.market_state as keyof typeof ASSET_URLS] || ASSET_URLS.stagnation;
+      const parsed = parseEmbedQuery(req.query as Record<string, string>, { allowlist });
+      if (parsed.error !== undefined) {
+        return res.status(parsed.status).json({ error: parsed.error });
+      }
       
-      // Set cache headers and redirect to the Arweave URL
-      res.set('Cache-Control', 'public, max-age=43200');
-      res.redirect(302, imageUrl);
+      annotateRequest({ contract: parsed.options.contract ?? 'market' });
+      res.set(embedHeaders(embedConfig.config));
+      res.send(renderEmbedPage(parsed.options, { baseUrl: publicBaseUrl(req) }));
+    } catch (error) {
+      logger.error('Error in /embed', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // oEmbed discovery for /embed pages, readable cross-origin by
+  // EMBED_ALLOWED_ORIGINS
+  app.get('/oembed', async (req, res) => {
+    const embedConfig = loadEmbedConfig();
+    if (embedConfig.error !== undefined) {
+      logger.error('Invalid embed configuration', { error: embedConfig.error });
+      return res.status(500).json({ error: embedConfig.error });
+    }
+    // In place of the site-wide ALLOW_ORIGIN
+    res.removeHeader('Access-Control-Allow-Origin');
+    res.set(embedCorsHeaders(embedConfig.config, req.get('origin')));
+    
+    try {
+      const { allowlist, error: allowlistError } = await loadContractAllowlist();
+      if (allowlistError !== undefined) {
+        return res.status(500).json({ error: allowlistError });
+      }
+      
+      const result = buildOEmbed(req.query as Record<string, string>, { baseUrl: publicBaseUrl(req), allowlist });
+      if (result.error !== undefined) {
+        return res.status(result.status).json({ error: result.error });
+      }
       
+      res.set('Cache-Control', `public, max-age=${OEMBED_CACHE_AGE}`);
+      res.json(result.oembed);
     } catch (error) {
-      console.error('Error in /api/nft-image:', error);
-      // Fallback to default state on any error
-      res.redirect(302, ASSET_URLS.stagnation);
+      logger.error('Error in /oembed', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // Curator overrides: pin the published state globally for a period, now or
+  // scheduled ahead. HTTP Basic auth against the users table.
+  app.get('/api/admin/overrides', requireCurator, async (req, res) => {
+    try {
+      const now = Date.now();
+      const overrides = (await storage.getOverrides()).map((override) => serializeOverride(override, now));
+      
+      // Active and scheduled only, unless ?all=true
+      res.json({
+        overrides: req.query.all === 'true'
+          ? overrides
+          : overrides.filter((override) => override.status === 'active' || override.status === 'scheduled')
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/admin/overrides', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  app.post('/api/admin/overrides', requireCurator, async (req, res) => {
+    const request = parseOverrideRequest(req.body);
+    if (request.error !== undefined) {
+      return res.status(400).json({ error: request.error });
+    }
+    
+    try {
+      const override = await storage.createOverride({
+        ...request,
+        createdBy: res.locals.user.username
+      });
+      logger.info('Override created', {
+        id: override.id,
+        state: override.state,
+        starts_at: override.startsAt.toISOString(),
+        until: override.until.toISOString(),
+        by: override.createdBy
+      });
+      res.status(201).json(serializeOverride(override));
+    } catch (error) {
+      logger.error('Error in POST /api/admin/overrides', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  app.delete('/api/admin/overrides/:id', requireCurator, async (req, res) => {
+    try {
+      const override = await storage.cancelOverride(req.params.id, new Date());
+      if (!override) {
+        return res.status(404).json({ error: 'Override not found' });
+      }
+      logger.info('Override cancelled', { id: override.id, by: res.locals.user.username });
+      res.json(serializeOverride(override));
+    } catch (error) {
+      logger.error('Error in DELETE /api/admin/overrides', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // Webhook delivery log, newest first (?event_id=&delivered=&limit=)
+  app.get('/api/admin/webhook-deliveries', requireCurator, async (req, res) => {
+    const query = parseDeliveryQuery(req.query as Record<string, string>);
+    if (query.error !== undefined) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    try {
+      const deliveries = await storage.getWebhookDeliveries(query);
+      res.json({
+        deliveries: deliveries.map((delivery) => ({
+          id: delivery.id,
+          event_id: delivery.eventId,
+          event_type: delivery.eventType,
+          scope: delivery.scope,
+          url: delivery.url,
+          delivered: delivery.delivered,
+          attempts: delivery.attempts,
+          last_status: delivery.lastStatus,
+          last_error: delivery.lastError,
+          attempt_log: delivery.attemptLog,
+          payload: delivery.payload,
+          started_at: delivery.startedAt.toISOString(),
+          completed_at: delivery.completedAt.toISOString()
+        }))
+      });
+    } catch (error) {
+      logger.error('Error in /api/admin/webhook-deliveries', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // Refresh marketplace metadata for every token now (or `token_ids`, e.g.
+  // "1-10"); `dry_run` plans the requests without sending them. Responds
+  // with the run id and the ERC-4906 calldata while requests go out.
+  app.post('/api/admin/metadata-refresh', requireCurator, async (req, res) => {
+    const { dry_run, token_ids } = req.body || {};
+    if (dry_run !== undefined && typeof dry_run !== 'boolean') {
+      return res.status(400).json({ error: 'dry_run must be a boolean' });
+    }
+    
+    let tokenIds: string[] | undefined;
+    if (token_ids !== undefined) {
+      const parsed = parseTokenIds(String(token_ids));
+      if (parsed.error !== undefined) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      tokenIds = parsed.tokenIds;
+    }
+    
+    const run = startMetadataRefresh('manual', { dryRun: dry_run, tokenIds });
+    if (run.error !== undefined) {
+      return res.status(400).json({ error: run.error });
     }
+    
+    logger.info('Metadata refresh started', { run_id: run.runId, by: res.locals.user.username });
+    res.status(202).json({
+      run_id: run.runId,
+      dry_run: run.dryRun,
+      contract: run.config.contract,
+      chain: run.config.chain,
+      token_count: run.config.tokenIds.length,
+      marketplaces: run.config.endpoints.map((endpoint) => endpoint.name),
+      calldata: buildBatchMetadataUpdateCalldata(run.config.tokenIds, run.config)
+    });
   });
 
+  // Per-token refresh outcomes, newest first (?run_id=&outcome=&limit=)
+  app.get('/api/admin/metadata-refreshes', requireCurator, async (req, res) => {
+    const query = parseRefreshQuery(req.query as Record<string, string>);
+    if (query.error !== undefined) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    try {
+      const refreshes = await storage.getMetadataRefreshes(query);
+      res.json({
+        refreshes: refreshes.map((refresh) => ({
+          run_id: refresh.runId,
+          trigger: refresh.trigger,
+          marketplace: refresh.marketplace,
+          token_id: refresh.tokenId,
+          outcome: refresh.outcome,
+          status: refresh.status,
+          error: refresh.error,
+          attempts: refresh.attempts,
+          attempted_at: refresh.attemptedAt.toISOString()
+        }))
+      });
+    } catch (error) {
+      logger.error('Error in /api/admin/metadata-refreshes', { error });
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // Stand-in marketplace refresh endpoint (the "stub" marketplace) for
+  // development. Token ids listed in METADATA_REFRESH_STUB_FAIL get a 500.
+  if (app.get('env') === 'development' || process.env.METADATA_REFRESH_STUB === 'true') {
+    app.post('/api/dev/marketplace-refresh/:chain/:contract/:tokenId', (req, res) => {
+      const { chain, contract, tokenId } = req.params;
+      const failing = (process.env.METADATA_REFRESH_STUB_FAIL || '').split(',').map((id) => id.trim());
+      
+      if (failing.includes(tokenId)) {
+        logger.info('Stub marketplace refresh failed', { chain, contract, token_id: tokenId });
+        return res.status(500).json({ error: 'Simulated failure' });
+      }
+      
+      logger.info('Stub marketplace refresh queued', { chain, contract, token_id: tokenId });
+      res.json({ queued: true });
+    });
+  }
+
   // Health check endpoint
   app.get('/api/health', (req, res) => {
     res.json({ 
       status: 'ok', 
       timestamp: new Date().toISOString(),
-      cache_size: cache.size
+      cache_size: sentimentCache.size,
+      // Hit, stale-hit, miss, coalesced and in-flight counts since start
+      cache: sentimentCache.stats(),
+      // Circuit breaker per market data provider
+      providers: breakerStates()
     });
   });
 
+  // Prometheus metrics (shared/metrics.js); METRICS_TOKEN protects them
+  onCollect(async () => {
+    recordCacheStats('sentiment', sentimentCache.stats());
+    const latest = await storage.getLatestSentimentSnapshot('market');
+    if (latest) {
+      recordMarketSnapshot({
+        sentiment_score: latest.sentimentScore,
+        market_state: latest.marketState,
+        raw_data: latest.rawData,
+        timestamp: latest.takenAt.getTime()
+      });
+    }
+  });
+  
+  app.get('/api/metrics', async (req, res) => {
+    if (!isMetricsRequestAuthorized(req.headers.authorization)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    try {
+      res.set('Content-Type', METRICS_CONTENT_TYPE);
+      res.send(await renderMetrics());
+    } catch (error) {
+      logger.error('Error in /api/metrics', { error });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   const httpServer = createServer(app);
-  return httpServer;
+  return { server: httpServer, refreshMarketSentiment };
 }
@@ -0,0 +1,311 @@
+// Express, Vercel and Netlify must answer with the same sentiment for the
+// same market data. Each host's own handlers are called: the Express routes
+// over HTTP, and the Vercel and Netlify refresh-sentiment and
+// market-sentiment functions directly, with their blob stores replaced by
+// in-memory ones. Alchemy and OpenSea requests are answered from the
+// recorded payloads in fixtures/market-data with the clock frozen, so the
+// response bodies must match field for field once each host's transport
+// fields (cache age, blob URL) are set aside.
+import { after, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { readFileSync } from "node:fs";
+import { register } from "node:module";
+import type { AddressInfo } from "node:net";
+import type { Server } from "node:http";
+import express from "express";
+
+const NOW = Date.parse("2026-10-01T12:00:00.000Z");
+const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const CRON_SECRET = "parity-test";
+
+process.env.MARKET_DATA_PROVIDER = "alchemy";
+process.env.ALCHEMY_API_KEY = "fixture-key";
+process.env.CRON_SECRET = CRON_SECRET;
+for (const name of ["DATABASE_URL", "SENTIMENT_SIGNAL", "WEBHOOK_URLS", "NFT_TOKEN_IDS", "OPENSEA_COLLECTION_SLUG"]) {
+  delete process.env[name];
+}
+
+// In-memory stand-ins for @vercel/blob and @netlify/blobs
+type StoredBlob = { pathname: string; body: string };
+
+function createVercelBlobStub() {
+  const blobs = new Map<string, StoredBlob>();
+  const describeBlob = ({ pathname, body }: StoredBlob) => ({
+    pathname,
+    url: `https://blob.test/${pathname}`,
+    downloadUrl: `https://blob.test/${pathname}?download=1`,
+    size: body.length
+  });
+
+  return {
+    blobs,
+    async put(pathname: string, body: string, { allowOverwrite = false } = {}) {
+      if (blobs.has(pathname) && !allowOverwrite) {
+        throw new Error(`Vercel Blob: This blob already exists (${pathname})`);
+      }
+      const blob = { pathname, body };
+      blobs.set(pathname, blob);
+      return describeBlob(blob);
+    },
+    async list({ prefix = "" }: { prefix?: string } = {}) {
+      const matching = Array.from(blobs.values())
+        .filter((blob) => blob.pathname.startsWith(prefix))
+        .sort((a, b) => a.pathname.localeCompare(b.pathname));
+      return { blobs: matching.map(describeBlob), hasMore: false };
+    },
+    async del(url: string) {
+      blobs.delete(url.replace("https://blob.test/", ""));
+    }
+  };
+}
+
+function createNetlifyBlobStub() {
+  const stores = new Map<string, Map<string, string>>();
+
+  return {
+    getStore(options: string | { name: string }) {
+      const name = typeof options === "string" ? options : options.name;
+      if (!stores.has(name)) stores.set(name, new Map());
+      const entries = stores.get(name)!;
+
+      return {
+        async get(key: string, { type }: { type?: string } = {}) {
+          const value = entries.get(key);
+          if (value === undefined) return null;
+          return type === "json" ? JSON.parse(value) : value;
+        },
+        async setJSON(key: string, value: unknown) {
+          entries.set(key, JSON.stringify(value));
+        },
+        async list({ prefix = "" }: { prefix?: string } = {}) {
+          return { blobs: Array.from(entries.keys()).filter((key) => key.startsWith(prefix)).map((key) => ({ key })) };
+        },
+        async delete(key: string) {
+          entries.delete(key);
+        }
+      };
+    }
+  };
+}
+
+const vercelBlob = createVercelBlobStub();
+const netlifyBlobs = createNetlifyBlobStub();
+(globalThis as any).__blobStubs = { vercel: vercelBlob, netlify: netlifyBlobs };
+
+const STUB_MODULES: Record<string, string> = {
+  "@vercel/blob": [
+    "const stub = globalThis.__blobStubs.vercel;",
+    "export const put = (...args) => stub.put(...args);",
+    "export const list = (...args) => stub.list(...args);",
+    "export const del = (...args) => stub.del(...args);"
+  ].join("\n"),
+  "@netlify/blobs": [
+    "const stub = globalThis.__blobStubs.netlify;",
+    "export const getStore = (...args) => stub.getStore(...args);"
+  ].join("\n")
+};
+const stubUrls = Object.fromEntries(
+  Object.entries(STUB_MODULES).map(([specifier, source]) => [specifier, `data:text/javascript,${encodeURIComponent(source)}`])
+);
+register(`data:text/javascript,${encodeURIComponent(`
+  const stubs = ${JSON.stringify(stubUrls)};
+  export async function resolve(specifier, context, next) {
+    return specifier in stubs ? { url: stubs[specifier], shortCircuit: true } : next(specifier, context);
+  }
+`)}`);
+
+// Alchemy and OpenSea answered from the fixtures, and blob URLs from the
+// Vercel stub. Sale times are shifted by the time elapsed since recording,
+// as the fixture provider does, so the 24h and 30d windows stay populated.
+const FIXTURES = "fixtures/market-data";
+const readFixture = (kind: string) => JSON.parse(readFileSync(`${FIXTURES}/${kind}/default.json`, "utf8"));
+const floorFixture = readFixture("floor");
+const salesFixture = readFixture("sales");
+const statsFixture = readFixture("stats");
+
+const realFetch = globalThis.fetch;
+
+function fixtureFetch(input: string | URL | Request, init?: RequestInit): Promise<Response> {
+  const url = new URL(input instanceof Request ? input.url : input);
+  const json = (body: unknown) => Promise.resolve(Response.json(body));
+
+  if (url.hostname === "blob.test") {
+    const blob = vercelBlob.blobs.get(url.pathname.slice(1));
+    return Promise.resolve(blob ? new Response(blob.body) : new Response("Not found", { status: 404 }));
+  }
+  if (url.hostname === "eth-mainnet.g.alchemy.com") {
+    if (url.pathname.endsWith("/getFloorPrice")) return json(floorFixture);
+    if (url.pathname.endsWith("/getNFTSales")) {
+      const shift = Date.now() - Date.parse(salesFixture.recordedAt);
+      return json({
+        nftSales: salesFixture.nftSales.map((sale: any) => ({
+          ...sale,
+          blockTimestamp: new Date(Date.parse(sale.blockTimestamp) + shift).toISOString()
+        })),
+        pageKey: null
+      });
+    }
+  }
+  if (url.hostname === "api.opensea.io" && url.pathname.endsWith("/stats")) {
+    return json(statsFixture);
+  }
+  if (url.hostname === "127.0.0.1") {
+    return realFetch(input, init);
+  }
+  return Promise.reject(new Error(`Unexpected request in the parity test: ${url.href}`));
+}
+
+const { registerRoutes } = await import("./routes");
+const { loadBasket } = await import("@shared/basket");
+const vercel = {
+  marketSentiment: (await import("../api/market-sentiment.js")).default,
+  refreshSentiment: (await import("../api/refresh-sentiment.js")).default
+};
+const netlify = {
+  marketSentiment: (await import("../netlify/functions/market-sentiment.js")).default,
+  refreshSentiment: (await import("../netlify/functions/refresh-sentiment.js")).default
+};
+
+let server: Server;
+let refreshMarketSentiment: () => Promise<any>;
+let baseUrl: string;
+
+before(async () => {
+  mock.timers.enable({ apis: ["Date"], now: NOW });
+  mock.method(globalThis, "fetch", fixtureFetch);
+
+  const app = express();
+  app.use(express.json());
+  ({ server, refreshMarketSentiment } = await registerRoutes(app));
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  mock.timers.reset();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+async function fromExpress(path: string) {
+  const res = await fetch(`${baseUrl}${path}`);
+  assert.equal(res.status, 200, `Express ${path} answered ${res.status}`);
+  return res.json();
+}
+
+// A Vercel (req, res) handler, with the parts of the Node response it uses
+async function fromVercel(handler: (req: any, res: any) => unknown, path: string) {
+  const url = new URL(path, "https://vercel.test");
+  const req = {
+    method: "GET",
+    url: `${url.pathname}${url.search}`,
+    query: Object.fromEntries(url.searchParams),
+    headers: {},
+    socket: { remoteAddress: "127.0.0.1" }
+  };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {} as Record<string, string>,
+    body: undefined as any,
+    setHeader(name: string, value: string) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    status(code: number) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body: unknown) {
+      this.body = JSON.parse(JSON.stringify(body));
+      this.emit("finish");
+      return this;
+    },
+    end() {
+      this.emit("finish");
+      return this;
+    }
+  });
+
+  await handler(req, res);
+  assert.equal(res.statusCode, 200, `Vercel ${path} answered ${res.statusCode}: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+async function fromNetlify(handler: (request: Request, context: any) => Promise<Response>, path: string) {
+  const response = await handler(new Request(new URL(path, "https://netlify.test")), {});
+  const body = await response.json();
+  assert.equal(response.status, 200, `Netlify ${path} answered ${response.status}: ${JSON.stringify(body)}`);
+  return body;
+}
+
+function omit(body: Record<string, unknown>, fields: string[]) {
+  return Object.fromEntries(Object.entries(body).filter(([name]) => !fields.includes(name)));
+}
+
+// One scheduled refresh on every host, then the market snapshot each serves
+async function refreshEverywhere() {
+  await refreshMarketSentiment();
+  await fromVercel(vercel.refreshSentiment, `/api/refresh-sentiment?secret=${CRON_SECRET}`);
+  await fromNetlify(netlify.refreshSentiment, "/.netlify/functions/refresh-sentiment");
+
+  return {
+    express: await fromExpress("/api/market-sentiment"),
+    vercel: omit(await fromVercel(vercel.marketSentiment, "/api/market-sentiment"), ["cached", "data_age_hours", "is_stale", "blob_url"]),
+    netlify: omit(await fromNetlify(netlify.marketSentiment, "/api/market-sentiment"), ["cached"])
+  };
+}
+
+async function collectionEverywhere(query: string) {
+  return {
+    express: await fromExpress(`/api/market-sentiment?${query}`),
+    vercel: await fromVercel(vercel.marketSentiment, `/api/market-sentiment?${query}`),
+    netlify: await fromNetlify(netlify.marketSentiment, `/api/market-sentiment?${query}`)
+  };
+}
+
+describe("market snapshot", () => {
+  test("every host's scheduled refresh publishes the same snapshot", async () => {
+    const first = await refreshEverywhere();
+    assert.ok(first.express.raw_data.collection_breakdown.length > 0);
+    assert.deepEqual(first.vercel, first.express);
+    assert.deepEqual(first.netlify, first.express);
+
+    // The next run applies the transition rules against the last snapshot
+    mock.timers.tick(REFRESH_INTERVAL_MS);
+    const second = await refreshEverywhere();
+    assert.notEqual(second.express.timestamp, first.express.timestamp);
+    assert.deepEqual(second.vercel, second.express);
+    assert.deepEqual(second.netlify, second.express);
+  });
+});
+
+describe("single collection", () => {
+  test("every basket collection gets the same result", async () => {
+    const { basket, error } = await loadBasket();
+    assert.ok(basket, error);
+
+    for (const { contract } of basket) {
+      // Addresses resolve whatever their case
+      const results = await collectionEverywhere(`contract=${contract.toLowerCase()}`);
+      assert.deepEqual(results.vercel, results.express);
+      assert.deepEqual(results.netlify, results.express);
+    }
+  });
+
+  test("the volume-ratio signal gets the same result", async () => {
+    process.env.MARKET_DATA_PROVIDER = "opensea";
+    process.env.OPENSEA_API_KEY = "fixture-key";
+    process.env.OPENSEA_COLLECTION_SLUG = "boredapeyachtclub";
+    try {
+      const results = await collectionEverywhere("slug=boredapeyachtclub");
+      assert.equal(results.express.collection_slug, "boredapeyachtclub");
+      assert.deepEqual(results.vercel, results.express);
+      assert.deepEqual(results.netlify, results.express);
+    } finally {
+      process.env.MARKET_DATA_PROVIDER = "alchemy";
+      delete process.env.OPENSEA_API_KEY;
+      delete process.env.OPENSEA_COLLECTION_SLUG;
+    }
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SALES_FILTER_RULES, filterSales, loadSalesFilterRules, sumExclusions } from "@shared/sales-filter";
+
+const CONTRACT = "0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d";
+const START = Date.parse("2026-10-01T00:00:00.000Z");
+
+let minute = 0;
+
+// A sale of `tokenId` from `seller` to `buyer`, a minute after the last one
+function sale(tokenId: string, seller: string, buyer: string, price = 1) {
+  return {
+    contractAddress: CONTRACT,
+    tokenId,
+    sellerAddress: seller,
+    buyerAddress: buyer,
+    price,
+    blockTimestamp: new Date(START + minute++ * 60 * 1000).toISOString()
+  };
+}
+
+const priceOf = (sale: { price: number }) => sale.price;
+
+describe("loadSalesFilterRules", () => {
+  test("reads the environment, keeping the defaults for invalid values", () => {
+    assert.deepEqual(loadSalesFilterRules({}), DEFAULT_SALES_FILTER_RULES);
+    assert.equal(loadSalesFilterRules({ SALES_FILTER: "off" }), null);
+    assert.deepEqual(
+      loadSalesFilterRules({ SALES_ROUND_TRIP_MAX_ADDRESSES: "4", SALES_OUTLIER_MULTIPLE: "5" }),
+      { round_trip_max_addresses: 4, outlier_multiple: 5 }
+    );
+    assert.deepEqual(
+      loadSalesFilterRules({ SALES_ROUND_TRIP_MAX_ADDRESSES: "1", SALES_OUTLIER_MULTIPLE: "0.5" }),
+      DEFAULT_SALES_FILTER_RULES
+    );
+  });
+});
+
+describe("filterSales", () => {
+  test("drops self trades, whatever the address case", () => {
+    const sales = [sale("1", "0xAA", "0xaa"), sale("2", "0xaa", "0xbb")];
+    const { sales: kept, excluded } = filterSales(sales, { priceOf });
+    assert.deepEqual(kept, [sales[1]]);
+    assert.equal(excluded.by_reason.self_trade.count, 1);
+  });
+
+  test("drops a token sold back to its seller through a small ring", () => {
+    const loop = [sale("7", "0xaa", "0xbb", 2), sale("7", "0xbb", "0xcc", 2), sale("7", "0xcc", "0xaa", 2)];
+    const honest = sale("8", "0xdd", "0xee", 2);
+    const { sales: kept, excluded } = filterSales([...loop, honest], { priceOf });
+
+    assert.deepEqual(kept, [honest]);
+    assert.deepEqual(excluded.by_reason.round_trip, { count: 3, volume_eth: 6 });
+    assert.deepEqual(excluded.round_trip_tokens, ["7"]);
+  });
+
+  test("keeps a token that comes back through more wallets than the ring allows", () => {
+    const loop = [
+      sale("9", "0xaa", "0xbb"),
+      sale("9", "0xbb", "0xcc"),
+      sale("9", "0xcc", "0xdd"),
+      sale("9", "0xdd", "0xaa")
+    ];
+    assert.equal(filterSales(loop, { priceOf }).excluded.by_reason.round_trip.count, 0);
+    assert.equal(
+      filterSales(loop, { priceOf, rules: { ...DEFAULT_SALES_FILTER_RULES, round_trip_max_addresses: 4 } })
+        .excluded.by_reason.round_trip.count,
+      4
+    );
+  });
+
+  test("drops prices beyond the outlier multiple of the floor in either direction", () => {
+    const sales = [sale("1", "0xa1", "0xb1", 10), sale("2", "0xa2", "0xb2", 101), sale("3", "0xa3", "0xb3", 0.9)];
+    const { sales: kept, excluded } = filterSales(sales, { priceOf, floorPrice: 10 });
+
+    assert.deepEqual(kept, [sales[0]]);
+    assert.equal(excluded.by_reason.price_outlier.count, 2);
+    assert.deepEqual(excluded.outlier_reference, { basis: "floor", price: 10, multiple: 10 });
+  });
+
+  test("measures outliers against the median sale without a floor", () => {
+    const sales = [1, 1.2, 0.8, 1.1, 50].map((price, i) => sale(String(i), `0xa${i}`, `0xb${i}`, price));
+    const { sales: kept, excluded } = filterSales(sales, { priceOf });
+
+    assert.equal(kept.length, 4);
+    assert.deepEqual(excluded.outlier_reference, { basis: "median", price: 1.1, multiple: 10 });
+    assert.deepEqual(excluded.by_reason.price_outlier, { count: 1, volume_eth: 50 });
+  });
+});
+
+describe("sumExclusions", () => {
+  test("totals each reason across collections", () => {
+    const a = filterSales([sale("1", "0xaa", "0xaa", 1.5)], { priceOf }).excluded;
+    const b = filterSales([sale("2", "0xcc", "0xcc", 2.5), sale("3", "0xdd", "0xee", 1)], { priceOf }).excluded;
+    const total = sumExclusions([a, b, null]);
+
+    assert.equal(total.count, 2);
+    assert.equal(total.volume_eth, 4);
+    assert.deepEqual(total.by_reason.self_trade, { count: 2, volume_eth: 4 });
+  });
+});
@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_REFRESH_CRON, nextCronRun, parseCron } from "@shared/cron";
+import { startScheduler } from "./scheduler";
+
+const MINUTE_MS = 60 * 1000;
+
+function next(expression: string, after: string) {
+  const { schedule, error } = parseCron(expression);
+  assert.ok(schedule, error);
+  const run = nextCronRun(schedule, Date.parse(after));
+  return run === null ? null : new Date(run).toISOString();
+}
+
+describe("parseCron", () => {
+  test("rejects malformed expressions", () => {
+    assert.match(parseCron("0 */12 * *").error, /must have 5 fields/);
+    assert.match(parseCron("60 * * * *").error, /minute out of range/);
+    assert.match(parseCron("0 5-1 * * *").error, /hour out of range/);
+    assert.match(parseCron("*/0 * * * *").error, /minute out of range/);
+    assert.match(parseCron("0 0 * JAN *").error, /invalid month field/);
+    assert.match(parseCron("").error, /must have 5 fields/);
+  });
+
+  test("expands values, ranges, lists and steps", () => {
+    const { schedule } = parseCron("0,30 8-18/2 * * 7");
+    assert.deepEqual([...schedule.minute.values], [0, 30]);
+    assert.deepEqual([...schedule.hour.values], [8, 10, 12, 14, 16, 18]);
+    // Sunday is 0 or 7
+    assert.ok(schedule.dayOfWeek.values.has(0));
+  });
+});
+
+describe("nextCronRun", () => {
+  test("finds the next matching minute in UTC", () => {
+    assert.equal(next(DEFAULT_REFRESH_CRON, "2026-10-01T11:59:59.000Z"), "2026-10-01T12:00:00.000Z");
+    // Strictly after, so a run on the minute schedules the following one
+    assert.equal(next(DEFAULT_REFRESH_CRON, "2026-10-01T12:00:00.000Z"), "2026-10-02T00:00:00.000Z");
+    assert.equal(next("*/15 * * * *", "2026-10-01T12:07:30.000Z"), "2026-10-01T12:15:00.000Z");
+  });
+
+  test("rolls over days, months and years", () => {
+    assert.equal(next("30 6 1 * *", "2026-12-15T00:00:00.000Z"), "2027-01-01T06:30:00.000Z");
+    assert.equal(next("0 0 29 2 *", "2026-03-01T00:00:00.000Z"), "2028-02-29T00:00:00.000Z");
+  });
+
+  test("matches either day field when both are restricted", () => {
+    // The 15th, or any Monday; 2026-10-05 is a Monday
+    assert.equal(next("0 0 15 * 1", "2026-10-01T00:00:00.000Z"), "2026-10-05T00:00:00.000Z");
+    assert.equal(next("0 0 15 * 1", "2026-10-12T00:00:00.000Z"), "2026-10-15T00:00:00.000Z");
+  });
+
+  test("returns null for a schedule that never matches", () => {
+    assert.equal(next("0 0 31 2 *", "2026-10-01T00:00:00.000Z"), null);
+  });
+});
+
+describe("startScheduler", () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.parse("2026-10-01T12:00:30.000Z") });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  // Let the task's promise callbacks run
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  test("runs on schedule and skips a run while the last is still going", async () => {
+    let calls = 0;
+    let finish: () => void = () => {};
+    const task = () => {
+      calls++;
+      return new Promise<void>((resolve) => { finish = resolve; });
+    };
+
+    const job = startScheduler("test", "* * * * *", task);
+    assert.equal(job.nextRun(), Date.parse("2026-10-01T12:01:00.000Z"));
+    assert.equal(calls, 0);
+
+    mock.timers.tick(30 * 1000);
+    assert.equal(calls, 1);
+    assert.equal(job.isRunning(), true);
+
+    // Still running a minute later: the due run is skipped
+    mock.timers.tick(MINUTE_MS);
+    assert.equal(calls, 1);
+
+    finish();
+    await settle();
+    assert.equal(job.isRunning(), false);
+
+    mock.timers.tick(MINUTE_MS);
+    assert.equal(calls, 2);
+    finish();
+    await settle();
+    job.stop();
+  });
+
+  test("runNow starts a run straight away, and a failed run does not stop the schedule", async () => {
+    let calls = 0;
+    const job = startScheduler("test", "* * * * *", async () => {
+      calls++;
+      throw new Error("upstream down");
+    }, { runNow: true });
+    assert.equal(calls, 1);
+    await settle();
+    assert.equal(job.isRunning(), false);
+
+    mock.timers.tick(30 * 1000);
+    await settle();
+    assert.equal(calls, 2);
+    job.stop();
+
+    mock.timers.tick(MINUTE_MS);
+    assert.equal(calls, 2);
+  });
+
+  test("refuses an invalid expression", () => {
+    assert.throws(() => startScheduler("test", "every minute", async () => {}), /Invalid schedule for test/);
+  });
+});
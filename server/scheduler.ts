@@ -0,0 +1,78 @@
+import { nextCronRun, parseCron } from "@shared/cron";
+import { logger } from "@shared/logger";
+import { log } from "./vite";
+
+// setTimeout cannot wait longer than this; longer gaps are covered in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export type ScheduledJob = {
+  stop: () => void;
+  // Epoch ms of the next scheduled run, or null when there is none
+  nextRun: () => number | null;
+  isRunning: () => boolean;
+};
+
+// Run `task` whenever the cron expression (UTC) matches. A run that is due
+// while the previous one is still going is skipped rather than overlapped.
+// `runNow` also starts a run immediately.
+export function startScheduler(
+  name: string,
+  expression: string,
+  task: () => Promise<unknown>,
+  { runNow = false }: { runNow?: boolean } = {},
+): ScheduledJob {
+  const { schedule, error } = parseCron(expression);
+  if (!schedule) {
+    throw new Error(`Invalid schedule for ${name}: ${error}`);
+  }
+
+  let running = false;
+  let next: number | null = null;
+  let timer: NodeJS.Timeout | undefined;
+
+  async function run(trigger: string) {
+    if (running) {
+      log(`${name}: previous run still in progress, skipping ${trigger} run`, "scheduler");
+      return;
+    }
+
+    running = true;
+    const started = Date.now();
+    log(`${name}: ${trigger} run starting`, "scheduler");
+    try {
+      await task();
+      log(`${name}: finished in ${Date.now() - started}ms`, "scheduler");
+    } catch (error) {
+      logger.error(`${name} failed`, { source: "scheduler", error });
+    } finally {
+      running = false;
+    }
+  }
+
+  function scheduleNext() {
+    next = nextCronRun(schedule!, Date.now());
+    if (next === null) {
+      log(`${name}: "${expression}" never matches, not scheduled`, "scheduler");
+      return;
+    }
+
+    const delay = next - Date.now();
+    timer = setTimeout(() => {
+      if (Date.now() < next!) return scheduleNext();
+      scheduleNext();
+      run('scheduled');
+    }, Math.min(delay, MAX_TIMER_MS));
+    // Never keep the process alive just for the schedule
+    timer.unref();
+  }
+
+  scheduleNext();
+  log(`${name}: scheduled "${expression}" (UTC), next run ${next === null ? 'never' : new Date(next).toISOString()}`, "scheduler");
+  if (runNow) run('startup');
+
+  return {
+    stop: () => clearTimeout(timer),
+    nextRun: () => next,
+    isRunning: () => running,
+  };
+}
@@ -1,5 +1,31 @@
-import { type User, type InsertUser } from "@shared/schema";
+import {
+  type User,
+  type InsertUser,
+  type SentimentSnapshot,
+  type InsertSentimentSnapshot,
+  type SentimentOverride,
+  type InsertSentimentOverride,
+  type StateTransition,
+  type InsertStateTransition,
+  type Sale,
+  type InsertSale,
+  type WebhookDelivery,
+  type InsertWebhookDelivery,
+  type MetadataRefresh,
+  type InsertMetadataRefresh,
+  users,
+  sentimentSnapshots,
+  sentimentOverrides,
+  stateTransitions,
+  sales,
+  webhookDeliveries,
+  metadataRefreshes,
+} from "@shared/schema";
 import { randomUUID } from "crypto";
+import { and, asc, desc, eq, gt, gte, isNull, lte } from "drizzle-orm";
+import { createDb, type Db } from "./db";
+import { MAX_RANGE_MS } from "@shared/history";
+import { LONG_WINDOW_DAYS } from "@shared/sentiment";
 
 // modify the interface with any CRUD methods
 // you might need
@@ -8,13 +34,64 @@ export interface IStorage {
   getUser(id: string): Promise<User | undefined>;
   getUserByUsername(username: string): Promise<User | undefined>;
   createUser(user: InsertUser): Promise<User>;
+  addSentimentSnapshot(snapshot: InsertSentimentSnapshot): Promise<SentimentSnapshot>;
+  getSentimentSnapshots(scope: string, from: Date, to: Date): Promise<SentimentSnapshot[]>;
+  getLatestSentimentSnapshot(scope: string): Promise<SentimentSnapshot | undefined>;
+  createOverride(override: InsertSentimentOverride): Promise<SentimentOverride>;
+  getOverrides(): Promise<SentimentOverride[]>;
+  cancelOverride(id: string, at: Date): Promise<SentimentOverride | undefined>;
+  addStateTransition(transition: InsertStateTransition): Promise<StateTransition>;
+  getStateTransitions(scope: string, from: Date, to: Date): Promise<StateTransition[]>;
+  // Stores sales not seen before and returns how many were new
+  addSales(sales: InsertSale[]): Promise<number>;
+  getSales(contract: string, since: Date): Promise<Sale[]>;
+  addWebhookDelivery(delivery: InsertWebhookDelivery): Promise<WebhookDelivery>;
+  // Newest first
+  getWebhookDeliveries(filter: WebhookDeliveryFilter): Promise<WebhookDelivery[]>;
+  addMetadataRefreshes(refreshes: InsertMetadataRefresh[]): Promise<void>;
+  // Newest first
+  getMetadataRefreshes(filter: MetadataRefreshFilter): Promise<MetadataRefresh[]>;
 }
 
+export type WebhookDeliveryFilter = {
+  eventId?: string;
+  delivered?: boolean;
+  limit: number;
+};
+
+export type MetadataRefreshFilter = {
+  runId?: string;
+  outcome?: string;
+  limit: number;
+};
+
+// MemStorage lives as long as the process, so it keeps only what can still
+// be asked for: a history range of snapshots and transitions, the longest
+// sentiment window of sales and the latest log entries.
+const HISTORY_RETENTION_MS = MAX_RANGE_MS;
+const SALES_RETENTION_MS = LONG_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+const MAX_LOG_ENTRIES = 10_000;
+
+// Each sale row binds 11 parameters; Postgres allows 65,535 per statement
+const SALES_INSERT_CHUNK = 1000;
+
 export class MemStorage implements IStorage {
   private users: Map<string, User>;
+  private sentimentSnapshots: SentimentSnapshot[];
+  private overrides: Map<string, SentimentOverride>;
+  private stateTransitions: StateTransition[];
+  private sales: Map<string, Sale>;
+  private webhookDeliveries: WebhookDelivery[];
+  private metadataRefreshes: MetadataRefresh[];
 
   constructor() {
     this.users = new Map();
+    this.sentimentSnapshots = [];
+    this.overrides = new Map();
+    this.stateTransitions = [];
+    this.sales = new Map();
+    this.webhookDeliveries = [];
+    this.metadataRefreshes = [];
   }
 
   async getUser(id: string): Promise<User | undefined> {
@@ -33,6 +110,384 @@ export class MemStorage implements IStorage {
     this.users.set(id, user);
     return user;
   }
+
+  async addSentimentSnapshot(
+    insertSnapshot: InsertSentimentSnapshot,
+  ): Promise<SentimentSnapshot> {
+    const id = randomUUID();
+    const snapshot: SentimentSnapshot = { ...insertSnapshot, id };
+    const cutoff = Date.now() - HISTORY_RETENTION_MS;
+    this.sentimentSnapshots = this.sentimentSnapshots.filter(
+      (kept) => kept.takenAt.getTime() >= cutoff,
+    );
+    this.sentimentSnapshots.push(snapshot);
+    return snapshot;
+  }
+
+  async getSentimentSnapshots(
+    scope: string,
+    from: Date,
+    to: Date,
+  ): Promise<SentimentSnapshot[]> {
+    return this.sentimentSnapshots
+      .filter(
+        (snapshot) =>
+          snapshot.scope === scope &&
+          snapshot.takenAt >= from &&
+          snapshot.takenAt <= to,
+      )
+      .sort((a, b) => a.takenAt.getTime() - b.takenAt.getTime());
+  }
+
+  async getLatestSentimentSnapshot(
+    scope: string,
+  ): Promise<SentimentSnapshot | undefined> {
+    return this.sentimentSnapshots
+      .filter((snapshot) => snapshot.scope === scope)
+      .reduce<SentimentSnapshot | undefined>(
+        (latest, snapshot) =>
+          !latest || snapshot.takenAt > latest.takenAt ? snapshot : latest,
+        undefined,
+      );
+  }
+
+  async createOverride(
+    insertOverride: InsertSentimentOverride,
+  ): Promise<SentimentOverride> {
+    const id = randomUUID();
+    const override: SentimentOverride = {
+      ...insertOverride,
+      id,
+      createdAt: new Date(),
+      cancelledAt: null,
+    };
+    this.overrides.set(id, override);
+    return override;
+  }
+
+  async getOverrides(): Promise<SentimentOverride[]> {
+    return Array.from(this.overrides.values()).sort(
+      (a, b) => a.startsAt.getTime() - b.startsAt.getTime(),
+    );
+  }
+
+  async cancelOverride(
+    id: string,
+    at: Date,
+  ): Promise<SentimentOverride | undefined> {
+    const override = this.overrides.get(id);
+    if (override && !override.cancelledAt) {
+      override.cancelledAt = at;
+    }
+    return override;
+  }
+
+  async addStateTransition(
+    insertTransition: InsertStateTransition,
+  ): Promise<StateTransition> {
+    const id = randomUUID();
+    const transition: StateTransition = { ...insertTransition, id };
+    const cutoff = Date.now() - HISTORY_RETENTION_MS;
+    this.stateTransitions = this.stateTransitions.filter(
+      (kept) => kept.occurredAt.getTime() >= cutoff,
+    );
+    this.stateTransitions.push(transition);
+    return transition;
+  }
+
+  async getStateTransitions(
+    scope: string,
+    from: Date,
+    to: Date,
+  ): Promise<StateTransition[]> {
+    return this.stateTransitions
+      .filter(
+        (transition) =>
+          transition.scope === scope &&
+          transition.occurredAt >= from &&
+          transition.occurredAt <= to,
+      )
+      .sort((a, b) => a.occurredAt.getTime() - b.occurredAt.getTime());
+  }
+
+  async addSales(insertSales: InsertSale[]): Promise<number> {
+    const cutoff = Date.now() - SALES_RETENTION_MS;
+    for (const [key, sale] of Array.from(this.sales)) {
+      if (sale.blockTimestamp.getTime() < cutoff) this.sales.delete(key);
+    }
+
+    let added = 0;
+    for (const insertSale of insertSales) {
+      const key = `${insertSale.chain}:${insertSale.transactionHash}:${insertSale.logIndex}:${insertSale.bundleIndex}`;
+      if (!this.sales.has(key) && insertSale.blockTimestamp.getTime() >= cutoff) {
+        this.sales.set(key, { ...insertSale, id: randomUUID() });
+        added++;
+      }
+    }
+    return added;
+  }
+
+  async getSales(contract: string, since: Date): Promise<Sale[]> {
+    return Array.from(this.sales.values())
+      .filter(
+        (sale) =>
+          sale.contract.toLowerCase() === contract.toLowerCase() &&
+          sale.blockTimestamp > since,
+      )
+      .sort((a, b) => b.blockTimestamp.getTime() - a.blockTimestamp.getTime());
+  }
+
+  async addWebhookDelivery(
+    insertDelivery: InsertWebhookDelivery,
+  ): Promise<WebhookDelivery> {
+    const id = randomUUID();
+    const delivery: WebhookDelivery = { ...insertDelivery, id };
+    this.webhookDeliveries.push(delivery);
+    this.webhookDeliveries.splice(0, this.webhookDeliveries.length - MAX_LOG_ENTRIES);
+    return delivery;
+  }
+
+  async getWebhookDeliveries(
+    filter: WebhookDeliveryFilter,
+  ): Promise<WebhookDelivery[]> {
+    return this.webhookDeliveries
+      .filter(
+        (delivery) =>
+          (filter.eventId === undefined || delivery.eventId === filter.eventId) &&
+          (filter.delivered === undefined || delivery.delivered === filter.delivered),
+      )
+      .sort((a, b) => b.startedAt.getTime() - a.startedAt.getTime())
+      .slice(0, filter.limit);
+  }
+
+  async addMetadataRefreshes(
+    insertRefreshes: InsertMetadataRefresh[],
+  ): Promise<void> {
+    for (const insertRefresh of insertRefreshes) {
+      this.metadataRefreshes.push({ ...insertRefresh, id: randomUUID() });
+    }
+    this.metadataRefreshes.splice(0, this.metadataRefreshes.length - MAX_LOG_ENTRIES);
+  }
+
+  async getMetadataRefreshes(
+    filter: MetadataRefreshFilter,
+  ): Promise<MetadataRefresh[]> {
+    return this.metadataRefreshes
+      .filter(
+        (refresh) =>
+          (filter.runId === undefined || refresh.runId === filter.runId) &&
+          (filter.outcome === undefined || refresh.outcome === filter.outcome),
+      )
+      .sort((a, b) => b.attemptedAt.getTime() - a.attemptedAt.getTime())
+      .slice(0, filter.limit);
+  }
+}
+
+// Postgres storage through Drizzle, used when DATABASE_URL is set so state
+// survives restarts and is shared by every instance. Create the tables with
+// `npm run db:push`.
+export class DbStorage implements IStorage {
+  private db: Db;
+
+  constructor(connectionString: string) {
+    this.db = createDb(connectionString);
+  }
+
+  async getUser(id: string): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.id, id));
+    return user;
+  }
+
+  async getUserByUsername(username: string): Promise<User | undefined> {
+    const [user] = await this.db
+      .select()
+      .from(users)
+      .where(eq(users.username, username));
+    return user;
+  }
+
+  async createUser(insertUser: InsertUser): Promise<User> {
+    const [user] = await this.db.insert(users).values(insertUser).returning();
+    return user;
+  }
+
+  async addSentimentSnapshot(
+    insertSnapshot: InsertSentimentSnapshot,
+  ): Promise<SentimentSnapshot> {
+    const [snapshot] = await this.db
+      .insert(sentimentSnapshots)
+      .values(insertSnapshot)
+      .returning();
+    return snapshot;
+  }
+
+  async getSentimentSnapshots(
+    scope: string,
+    from: Date,
+    to: Date,
+  ): Promise<SentimentSnapshot[]> {
+    return this.db
+      .select()
+      .from(sentimentSnapshots)
+      .where(
+        and(
+          eq(sentimentSnapshots.scope, scope),
+          gte(sentimentSnapshots.takenAt, from),
+          lte(sentimentSnapshots.takenAt, to),
+        ),
+      )
+      .orderBy(asc(sentimentSnapshots.takenAt));
+  }
+
+  async getLatestSentimentSnapshot(
+    scope: string,
+  ): Promise<SentimentSnapshot | undefined> {
+    const [snapshot] = await this.db
+      .select()
+      .from(sentimentSnapshots)
+      .where(eq(sentimentSnapshots.scope, scope))
+      .orderBy(desc(sentimentSnapshots.takenAt))
+      .limit(1);
+    return snapshot;
+  }
+
+  async createOverride(
+    insertOverride: InsertSentimentOverride,
+  ): Promise<SentimentOverride> {
+    const [override] = await this.db
+      .insert(sentimentOverrides)
+      .values(insertOverride)
+      .returning();
+    return override;
+  }
+
+  async getOverrides(): Promise<SentimentOverride[]> {
+    return this.db
+      .select()
+      .from(sentimentOverrides)
+      .orderBy(asc(sentimentOverrides.startsAt));
+  }
+
+  async cancelOverride(
+    id: string,
+    at: Date,
+  ): Promise<SentimentOverride | undefined> {
+    const [cancelled] = await this.db
+      .update(sentimentOverrides)
+      .set({ cancelledAt: at })
+      .where(and(eq(sentimentOverrides.id, id), isNull(sentimentOverrides.cancelledAt)))
+      .returning();
+    if (cancelled) return cancelled;
+
+    // Already cancelled (or unknown): return it unchanged, like MemStorage
+    const [existing] = await this.db
+      .select()
+      .from(sentimentOverrides)
+      .where(eq(sentimentOverrides.id, id));
+    return existing;
+  }
+
+  async addStateTransition(
+    insertTransition: InsertStateTransition,
+  ): Promise<StateTransition> {
+    const [transition] = await this.db
+      .insert(stateTransitions)
+      .values(insertTransition)
+      .returning();
+    return transition;
+  }
+
+  async getStateTransitions(
+    scope: string,
+    from: Date,
+    to: Date,
+  ): Promise<StateTransition[]> {
+    return this.db
+      .select()
+      .from(stateTransitions)
+      .where(
+        and(
+          eq(stateTransitions.scope, scope),
+          gte(stateTransitions.occurredAt, from),
+          lte(stateTransitions.occurredAt, to),
+        ),
+      )
+      .orderBy(asc(stateTransitions.occurredAt));
+  }
+
+  async addSales(insertSales: InsertSale[]): Promise<number> {
+    let added = 0;
+    for (let start = 0; start < insertSales.length; start += SALES_INSERT_CHUNK) {
+      const inserted = await this.db
+        .insert(sales)
+        .values(insertSales.slice(start, start + SALES_INSERT_CHUNK))
+        .onConflictDoNothing()
+        .returning({ id: sales.id });
+      added += inserted.length;
+    }
+    return added;
+  }
+
+  async getSales(contract: string, since: Date): Promise<Sale[]> {
+    return this.db
+      .select()
+      .from(sales)
+      .where(and(eq(sales.contract, contract.toLowerCase()), gt(sales.blockTimestamp, since)))
+      .orderBy(desc(sales.blockTimestamp));
+  }
+
+  async addWebhookDelivery(
+    insertDelivery: InsertWebhookDelivery,
+  ): Promise<WebhookDelivery> {
+    const [delivery] = await this.db
+      .insert(webhookDeliveries)
+      .values(insertDelivery)
+      .returning();
+    return delivery;
+  }
+
+  async getWebhookDeliveries(
+    filter: WebhookDeliveryFilter,
+  ): Promise<WebhookDelivery[]> {
+    return this.db
+      .select()
+      .from(webhookDeliveries)
+      .where(
+        and(
+          filter.eventId !== undefined ? eq(webhookDeliveries.eventId, filter.eventId) : undefined,
+          filter.delivered !== undefined ? eq(webhookDeliveries.delivered, filter.delivered) : undefined,
+        ),
+      )
+      .orderBy(desc(webhookDeliveries.startedAt))
+      .limit(filter.limit);
+  }
+
+  async addMetadataRefreshes(
+    insertRefreshes: InsertMetadataRefresh[],
+  ): Promise<void> {
+    if (insertRefreshes.length === 0) return;
+    await this.db.insert(metadataRefreshes).values(insertRefreshes);
+  }
+
+  async getMetadataRefreshes(
+    filter: MetadataRefreshFilter,
+  ): Promise<MetadataRefresh[]> {
+    return this.db
+      .select()
+      .from(metadataRefreshes)
+      .where(
+        and(
+          filter.runId !== undefined ? eq(metadataRefreshes.runId, filter.runId) : undefined,
+          filter.outcome !== undefined ? eq(metadataRefreshes.outcome, filter.outcome) : undefined,
+        ),
+      )
+      .orderBy(desc(metadataRefreshes.attemptedAt))
+      .limit(filter.limit);
+  }
 }
 
-export const storage = new MemStorage();
+// Postgres when DATABASE_URL is configured, otherwise process memory
+export const storage: IStorage = process.env.DATABASE_URL
+  ? new DbStorage(process.env.DATABASE_URL)
+  : new MemStorage();
+
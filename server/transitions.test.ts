@@ -0,0 +1,124 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_TRANSITION_RULES, loadTransitionRules, resolveMarketState } from "@shared/transitions";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse("2026-10-01T12:00:00.000Z");
+
+function rules(overrides: Record<string, unknown> = {}) {
+  return { ...DEFAULT_TRANSITION_RULES, ...overrides };
+}
+
+// A published snapshot that has held `state` for `heldHours`
+function previous(state: string, heldHours = 24, pending: unknown = null) {
+  const since = NOW - heldHours * HOUR_MS;
+  return { market_state: state, timestamp: since, state_transition: { state_since: since, pending } };
+}
+
+describe("loadTransitionRules", () => {
+  test("defaults to the thresholds alone", () => {
+    assert.deepEqual(loadTransitionRules({}), DEFAULT_TRANSITION_RULES);
+  });
+
+  test("reads one band or a band per threshold", () => {
+    assert.deepEqual(loadTransitionRules({ SENTIMENT_HYSTERESIS: "0.03" }).hysteresis, {
+      stagnation: 0.03,
+      resilience: 0.03,
+      euphoria: 0.03
+    });
+    assert.deepEqual(loadTransitionRules({ SENTIMENT_HYSTERESIS: '{"resilience":0.05}' }).hysteresis, {
+      stagnation: 0,
+      resilience: 0.05,
+      euphoria: 0
+    });
+  });
+
+  test("keeps the default for an invalid value", () => {
+    const loaded = loadTransitionRules({
+      SENTIMENT_HYSTERESIS: '{"bubble":0.1}',
+      SENTIMENT_MIN_DWELL_HOURS: "-2",
+      SENTIMENT_CONFIRMATIONS: "1.5",
+      SENTIMENT_MIN_COVERAGE: "2"
+    });
+    assert.deepEqual(loaded, DEFAULT_TRANSITION_RULES);
+
+    assert.equal(loadTransitionRules({ SENTIMENT_CONFIRMATIONS: "0" }).confirmations, 1);
+    assert.equal(loadTransitionRules({ SENTIMENT_CONFIRMATIONS: "3" }).confirmations, 3);
+    assert.equal(loadTransitionRules({ SENTIMENT_MIN_DWELL_HOURS: "6" }).min_dwell_hours, 6);
+  });
+});
+
+describe("resolveMarketState", () => {
+  test("publishes the first classification as is", () => {
+    const { market_state, state_transition } = resolveMarketState(0.6, null, rules(), NOW);
+    assert.equal(market_state, "resilience");
+    assert.equal(state_transition.reason, "initial");
+    assert.equal(state_transition.state_since, NOW);
+  });
+
+  test("follows the thresholds exactly by default", () => {
+    const { market_state, state_transition } = resolveMarketState(0.5, previous("stagnation"), rules(), NOW);
+    assert.equal(market_state, "resilience");
+    assert.equal(state_transition.reason, "accepted");
+    assert.equal(state_transition.previous_state, "stagnation");
+    assert.equal(state_transition.state_since, NOW);
+  });
+
+  test("holds the state within the hysteresis band", () => {
+    const banded = rules({ hysteresis: { stagnation: 0.05, resilience: 0.05, euphoria: 0.05 } });
+
+    const up = resolveMarketState(0.52, previous("stagnation"), banded, NOW);
+    assert.equal(up.market_state, "stagnation");
+    assert.equal(up.state_transition.raw_state, "resilience");
+    assert.equal(up.state_transition.reason, "within_hysteresis_band");
+
+    const down = resolveMarketState(0.47, previous("resilience"), banded, NOW);
+    assert.equal(down.market_state, "resilience");
+
+    assert.equal(resolveMarketState(0.55, previous("stagnation"), banded, NOW).market_state, "resilience");
+    assert.equal(resolveMarketState(0.44, previous("resilience"), banded, NOW).market_state, "stagnation");
+  });
+
+  test("holds the state until the minimum dwell has passed", () => {
+    const dwell = rules({ min_dwell_hours: 12 });
+
+    const early = resolveMarketState(0.8, previous("resilience", 4), dwell, NOW);
+    assert.equal(early.market_state, "resilience");
+    assert.equal(early.state_transition.reason, "min_dwell");
+    assert.equal(early.state_transition.dwell_remaining_hours, 8);
+
+    assert.equal(resolveMarketState(0.8, previous("resilience", 12), dwell, NOW).market_state, "euphoria");
+  });
+
+  test("needs consecutive snapshots to confirm a change", () => {
+    const confirmed = rules({ confirmations: 2 });
+
+    const first = resolveMarketState(0.8, previous("resilience"), confirmed, NOW);
+    assert.equal(first.market_state, "resilience");
+    assert.equal(first.state_transition.reason, "awaiting_confirmation");
+    assert.deepEqual(first.state_transition.pending, { state: "euphoria", count: 1, required: 2 });
+
+    const second = resolveMarketState(0.8, previous("resilience", 36, first.state_transition.pending), confirmed, NOW);
+    assert.equal(second.market_state, "euphoria");
+    assert.equal(second.state_transition.pending, null);
+
+    // A different candidate starts the count again
+    const other = resolveMarketState(0.1, previous("resilience", 36, first.state_transition.pending), confirmed, NOW);
+    assert.deepEqual(other.state_transition.pending, { state: "capitulation", count: 1, required: 2 });
+  });
+
+  test("keeps the state and its pending count when coverage is low", () => {
+    const pending = { state: "euphoria", count: 1, required: 2 };
+    const { market_state, state_transition } = resolveMarketState(
+      0.9,
+      previous("resilience", 24, pending),
+      rules({ confirmations: 2 }),
+      NOW,
+      { coverage: 0.5 }
+    );
+    assert.equal(market_state, "resilience");
+    assert.equal(state_transition.reason, "insufficient_coverage");
+    assert.equal(state_transition.coverage, 0.5);
+    assert.deepEqual(state_transition.pending, pending);
+  });
+});
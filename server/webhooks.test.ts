@@ -0,0 +1,126 @@
+import { afterEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { deliverPending, deliverWebhook, pendingEvent, signPayload, urlId } from "@shared/webhooks";
+
+const SECRET = "shh";
+const URL_A = "https://hooks.example/a?token=1";
+const URL_B = "https://hooks.example/b";
+
+const event = {
+  id: "evt-1",
+  type: "market_state.transition",
+  scope: "market",
+  previous_state: "stagnation",
+  new_state: "resilience",
+  timestamp: new Date().toISOString()
+};
+
+// fetch answering each URL with its queued statuses in turn (the last one
+// repeats); a status of 0 is a network error
+function stubFetch(statuses: Record<string, number[]>) {
+  const calls: { url: string; init: RequestInit }[] = [];
+  mock.method(globalThis, "fetch", async (url: string, init: RequestInit) => {
+    calls.push({ url, init });
+    const queue = statuses[url];
+    const status = queue.length > 1 ? queue.shift()! : queue[0];
+    if (status === 0) throw new Error("connect ECONNREFUSED");
+    return new Response(null, { status });
+  });
+  return calls;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("signPayload", () => {
+  test("is HMAC-SHA256 over the timestamp and body", () => {
+    const expected = createHmac("sha256", SECRET).update('1700000000.{"a":1}').digest("hex");
+    assert.equal(signPayload('{"a":1}', SECRET, 1700000000), `sha256=${expected}`);
+  });
+});
+
+describe("deliverWebhook", () => {
+  test("signs the request so the receiver can verify it", async () => {
+    const calls = stubFetch({ [URL_A]: [204] });
+    const delivery = await deliverWebhook(URL_A, event, { secret: SECRET });
+
+    assert.equal(delivery.delivered, true);
+    assert.equal(delivery.attempts, 1);
+    const headers = calls[0].init.headers as Record<string, string>;
+    assert.equal(headers["X-Webhook-Event-Id"], event.id);
+    assert.equal(
+      headers["X-Webhook-Signature"],
+      signPayload(calls[0].init.body as string, SECRET, Number(headers["X-Webhook-Timestamp"]))
+    );
+    assert.deepEqual(JSON.parse(calls[0].init.body as string), event);
+  });
+
+  test("retries failures with exponential backoff", async () => {
+    stubFetch({ [URL_A]: [503, 0, 200] });
+    const delivery = await deliverWebhook(URL_A, event, { secret: SECRET, baseDelayMs: 20 });
+
+    assert.equal(delivery.delivered, true);
+    assert.deepEqual(delivery.attempt_log.map((attempt: any) => attempt.status), [503, null, 200]);
+    assert.equal(delivery.attempt_log[1].error, "connect ECONNREFUSED");
+
+    const [first, second, third] = delivery.attempt_log.map((attempt: any) => Date.parse(attempt.at));
+    assert.ok(second - first >= 19, `waited ${second - first}ms before the second attempt`);
+    assert.ok(third - second >= 39, `waited ${third - second}ms before the third attempt`);
+  });
+
+  test("gives up after maxAttempts, or at once on a 4xx other than 429", async () => {
+    stubFetch({ [URL_A]: [500], [URL_B]: [410] });
+
+    const exhausted = await deliverWebhook(URL_A, event, { secret: SECRET, maxAttempts: 3, baseDelayMs: 1 });
+    assert.equal(exhausted.delivered, false);
+    assert.equal(exhausted.attempts, 3);
+    assert.equal(exhausted.last_error, "HTTP 500");
+
+    const rejected = await deliverWebhook(URL_B, event, { secret: SECRET, baseDelayMs: 1 });
+    assert.equal(rejected.attempts, 1);
+    assert.equal(rejected.last_status, 410);
+  });
+
+  test("does not start a retry that would wait past the deadline", async () => {
+    stubFetch({ [URL_A]: [429] });
+    const delivery = await deliverWebhook(URL_A, event, { secret: SECRET, baseDelayMs: 60000, deadline: Date.now() + 5000 });
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.delivered, false);
+  });
+
+  test("sends nothing without a secret", async () => {
+    const calls = stubFetch({ [URL_A]: [200] });
+    const delivery = await deliverWebhook(URL_A, event, { secret: "" });
+
+    assert.equal(calls.length, 0);
+    assert.equal(delivery.delivered, false);
+    assert.equal(delivery.last_error, "WEBHOOK_SECRET not configured");
+  });
+});
+
+describe("deliverPending", () => {
+  const config = { urls: [URL_A, URL_B], secret: SECRET, maxAttempts: 1 };
+
+  test("keeps only the URLs still worth retrying", async () => {
+    stubFetch({ [URL_A]: [500], [URL_B]: [200] });
+    const { deliveries, remaining } = await deliverPending(pendingEvent(event, config), { config });
+
+    assert.equal(deliveries.length, 2);
+    assert.deepEqual(remaining, { event, url_ids: [urlId(URL_A)] });
+    // Stored entries name URLs by hash only
+    assert.ok(!JSON.stringify(remaining).includes("token=1"));
+  });
+
+  test("drops URLs that rejected the event and events past their age", async () => {
+    stubFetch({ [URL_A]: [400], [URL_B]: [503] });
+    const rejected = await deliverPending({ event, url_ids: [urlId(URL_A)] }, { config });
+    assert.equal(rejected.remaining, null);
+
+    const old = { ...event, timestamp: "2026-01-01T00:00:00.000Z" };
+    const expired = await deliverPending({ event: old, url_ids: [urlId(URL_B)] }, { config, now: Date.parse("2026-02-01T00:00:00.000Z") });
+    assert.equal(expired.deliveries.length, 1);
+    assert.equal(expired.remaining, null);
+  });
+});
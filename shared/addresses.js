@@ -0,0 +1,42 @@
+// EVM contract addresses. Mixed-case addresses must carry a valid EIP-55
+// checksum, which catches mistyped characters; all-lowercase and
+// all-uppercase addresses carry none and are accepted as they are.
+import { keccak_256 } from "@noble/hashes/sha3";
+import { z } from "zod";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// The EIP-55 checksummed form of a 0x-prefixed address
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = Buffer.from(keccak_256(hex)).toString('hex');
+  let checksummed = '0x';
+  for (let i = 0; i < hex.length; i++) {
+    checksummed += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+  }
+  return checksummed;
+}
+
+// `{ address }` in checksummed form, or `{ error }` for a malformed address
+// or a mixed-case one whose checksum does not match
+export function parseAddress(value) {
+  const address = String(value ?? '').trim();
+  if (!ADDRESS_PATTERN.test(address)) {
+    return { error: `Invalid address: ${address} (expected 0x followed by 40 hex digits)` };
+  }
+
+  const checksummed = toChecksumAddress(address);
+  const digits = address.slice(2);
+  const mixedCase = digits !== digits.toLowerCase() && digits !== digits.toUpperCase();
+  if (mixedCase && address !== checksummed) {
+    return { error: `Invalid address checksum: ${address} (did you mean ${checksummed}?)` };
+  }
+  return { address: checksummed };
+}
+
+export const addressSchema = z.string().superRefine((value, ctx) => {
+  const parsed = parseAddress(value);
+  if (parsed.error !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: parsed.error });
+  }
+});
@@ -0,0 +1,93 @@
+// Collections the public endpoints compute sentiment for, so arbitrary
+// `?contract=` values cannot spend the provider quota or fill the cache:
+//   CONTRACT_ALLOWLIST  comma-separated addresses, each optionally prefixed
+//                       with its chain (`base:0x…`, default ethereum), or `*`
+//                       to allow any contract. Unset, the basket's
+//                       collections (shared/basket.js) are allowed.
+// With the OpenSea signal the configured OPENSEA_COLLECTION_SLUG is the only
+// allowed slug, unless CONTRACT_ALLOWLIST is `*`.
+import { parseAddress } from "./addresses.js";
+import { loadBasket } from "./basket.js";
+import { DEFAULT_CHAIN, resolveChain } from "./chains.js";
+
+// The basket can change without a deploy; it is re-read after this long
+const RELOAD_MS = 60 * 1000;
+
+let cached = null;
+
+function allowlistKey(chain, contract) {
+  return `${chain}:${contract.toLowerCase()}`;
+}
+
+function parseAllowlist(value) {
+  const contracts = new Set();
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [chainName, address] = entry.includes(':') ? entry.split(':') : [DEFAULT_CHAIN, entry];
+    const chain = resolveChain(chainName);
+    if (chain.error !== undefined) return { error: `Invalid CONTRACT_ALLOWLIST entry ${entry}: ${chain.error}` };
+    const parsed = parseAddress(address);
+    if (parsed.error !== undefined) return { error: `Invalid CONTRACT_ALLOWLIST entry ${entry}: ${parsed.error}` };
+    contracts.add(allowlistKey(chain.chain, parsed.address));
+  }
+  return { contracts };
+}
+
+// `{ allowlist }`, null when every collection is allowed, or `{ error }` when
+// the configuration cannot be read
+export async function loadContractAllowlist(env = process.env) {
+  const key = [env.CONTRACT_ALLOWLIST, env.SENTIMENT_BASKET, env.SENTIMENT_BASKET_FILE, env.OPENSEA_COLLECTION_SLUG].join('|');
+  if (cached?.key === key && Date.now() < cached.expires) {
+    return cached.result;
+  }
+
+  const result = await buildAllowlist(env);
+  // Errors are retried on the next request
+  if (result.error === undefined) {
+    cached = { key, result, expires: Date.now() + RELOAD_MS };
+  }
+  return result;
+}
+
+async function buildAllowlist(env) {
+  if (env.CONTRACT_ALLOWLIST?.trim() === '*') return { allowlist: null };
+
+  const slugs = new Set(env.OPENSEA_COLLECTION_SLUG ? [env.OPENSEA_COLLECTION_SLUG] : []);
+
+  if (env.CONTRACT_ALLOWLIST) {
+    const { contracts, error } = parseAllowlist(env.CONTRACT_ALLOWLIST);
+    if (error !== undefined) return { error };
+    return { allowlist: { contracts, slugs } };
+  }
+
+  const { basket, error } = await loadBasket(env);
+  if (error !== undefined) return { error };
+  return {
+    allowlist: {
+      contracts: new Set(basket.map(({ contract, chain }) => allowlistKey(chain, contract))),
+      slugs
+    }
+  };
+}
+
+// `{ status: 403, error }` for a slug outside `allowlist`, else null
+export function checkSlugAllowed(allowlist, slug) {
+  if (!allowlist || allowlist.slugs.has(slug)) return null;
+  return { status: 403, error: `Collection not allowed: ${slug}` };
+}
+
+// A requested `contract` and `chain` as `{ contract, chain }`, the address
+// checksummed; `{ status: 400, error }` for a malformed address or unknown
+// chain, `{ status: 403, error }` for a contract outside `allowlist`
+export function resolveAllowedContract(allowlist, { contract, chain }) {
+  const parsed = parseAddress(contract);
+  if (parsed.error !== undefined) return { status: 400, error: parsed.error };
+
+  const resolved = resolveChain(chain);
+  if (resolved.error !== undefined) return { status: 400, error: resolved.error };
+
+  if (allowlist && !allowlist.contracts.has(allowlistKey(resolved.chain, parsed.address))) {
+    const scope = resolved.chain === DEFAULT_CHAIN ? parsed.address : `${resolved.chain}:${parsed.address}`;
+    return { status: 403, error: `Contract not allowed: ${scope}` };
+  }
+  return { contract: parsed.address, chain: resolved.chain };
+}
@@ -0,0 +1,170 @@
+// Local cache of the state artwork so /api/nft-image can serve the bytes
+// itself (NFT_IMAGE_MODE=proxy) instead of redirecting to Arweave. Each asset
+// is fetched from its ASSET_URLS host or, failing that, from alternative
+// Arweave gateways, and must match its content hash before it is used:
+//   ASSET_SHA256      JSON object of expected SHA-256 hex digests per state
+//   ARWEAVE_GATEWAYS  comma-separated gateway origins tried after the asset URL
+//   ASSET_CACHE_DIR   where verified bytes are kept (default: OS temp dir)
+// A state without a configured digest is never served from here: whatever
+// a gateway returned first cannot be trusted, least of all in a serverless
+// /tmp that starts empty on every cold start. /api/nft-image then redirects.
+// Arweave URLs name transactions, not content, so the digests have to be
+// taken from the published files (`curl -sL <url> | sha256sum`).
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { ASSET_URLS } from "./assets.js";
+import { logger } from "./logger.js";
+
+export const DEFAULT_ARWEAVE_GATEWAYS = ['https://arweave.net', 'https://ar-io.net', 'https://permagate.io'];
+
+const FETCH_TIMEOUT_MS = 10000;
+
+// Every gateway shares one budget, so a load fits in a 10-second serverless
+// function with time left to answer (or render a card)
+const LOAD_TIMEOUT_MS = 7000;
+
+// Verified assets already loaded by this process, by state
+const memoryCache = new Map();
+
+export function isProxyMode(env = process.env) {
+  return (env.NFT_IMAGE_MODE || 'redirect').toLowerCase() === 'proxy';
+}
+
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+function cacheDir(env) {
+  return env.ASSET_CACHE_DIR || path.join(os.tmpdir(), 'bull-piano-assets');
+}
+
+function pinnedDigest(state, env) {
+  if (!env.ASSET_SHA256) return null;
+  let digests;
+  try {
+    digests = JSON.parse(env.ASSET_SHA256);
+  } catch (error) {
+    logger.warn('Ignoring invalid ASSET_SHA256', { error: error.message });
+    return null;
+  }
+  const digest = typeof digests?.[state] === 'string' ? digests[state].toLowerCase() : null;
+  return /^[0-9a-f]{64}$/.test(digest ?? '') ? digest : null;
+}
+
+// The asset URL followed by the same transaction on each gateway
+export function assetSources(state, env = process.env) {
+  const url = ASSET_URLS[state];
+  const txId = new URL(url).pathname.replace(/^\//, '');
+  const gateways = env.ARWEAVE_GATEWAYS
+    ? env.ARWEAVE_GATEWAYS.split(',').map(gateway => gateway.trim()).filter(Boolean)
+    : DEFAULT_ARWEAVE_GATEWAYS;
+
+  return [...new Set([url, ...gateways.map(gateway => `${gateway.replace(/\/$/, '')}/${txId}`)])];
+}
+
+// Previously verified bytes from disk, re-hashed before use
+async function readCached(dir, state) {
+  try {
+    const manifest = JSON.parse(await readFile(path.join(dir, `${state}.json`), 'utf8'));
+    const body = await readFile(path.join(dir, `${manifest.sha256}.bin`));
+    if (sha256(body) !== manifest.sha256) {
+      logger.warn('Discarding corrupt cached artwork', { state });
+      return { manifest };
+    }
+    return { manifest, asset: { ...manifest, body } };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Could not read cached artwork', { state, error: error.message });
+    }
+    return {};
+  }
+}
+
+async function download(source, timeoutMs) {
+  const response = await fetch(source, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`${response.status}`);
+  }
+  return {
+    body: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || 'application/octet-stream'
+  };
+}
+
+// Verified artwork for a state: `{ body, contentType, sha256, source }`.
+// Throws when ASSET_SHA256 pins no digest for the state, or when no source
+// returns bytes matching it within `timeoutMs` across all of them.
+export async function loadAsset(state, { env = process.env, timeoutMs = LOAD_TIMEOUT_MS } = {}) {
+  if (!(state in ASSET_URLS)) {
+    throw new Error(`Unknown market state: ${state}`);
+  }
+
+  const expected = pinnedDigest(state, env);
+  if (!expected) {
+    throw new Error(`ASSET_SHA256 has no digest for the ${state} artwork`);
+  }
+  if (memoryCache.get(state)?.sha256 === expected) return memoryCache.get(state);
+
+  const dir = cacheDir(env);
+  const { asset: cached } = await readCached(dir, state);
+
+  if (cached && cached.sha256 === expected) {
+    memoryCache.set(state, cached);
+    return cached;
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  for (const source of assetSources(state, env)) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      logger.warn('Artwork fetch budget spent, skipping remaining gateways', { state, source });
+      break;
+    }
+
+    let fetched;
+    try {
+      fetched = await download(source, Math.min(FETCH_TIMEOUT_MS, remaining));
+    } catch (error) {
+      logger.warn('Artwork fetch failed', { state, source, error: error.message });
+      continue;
+    }
+
+    const digest = sha256(fetched.body);
+    if (digest !== expected) {
+      logger.warn('Artwork does not match the expected digest, trying next gateway', { state, source });
+      continue;
+    }
+
+    const asset = { ...fetched, sha256: digest, source };
+    try {
+      await mkdir(dir, { recursive: true });
+      await writeFile(path.join(dir, `${digest}.bin`), fetched.body);
+      await writeFile(path.join(dir, `${state}.json`), JSON.stringify({
+        sha256: digest,
+        contentType: fetched.contentType,
+        source,
+        fetchedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      // Still serve from memory when the cache directory is not writable
+      logger.warn('Could not cache artwork', { state, error: error.message });
+    }
+
+    memoryCache.set(state, asset);
+    return asset;
+  }
+
+  throw new Error(`No verified copy of the ${state} artwork is available`);
+}
+
+// Response headers for serving a verified asset
+export function assetHeaders(asset) {
+  return {
+    'Content-Type': asset.contentType,
+    'Content-Length': String(asset.body.length),
+    'ETag': `"${asset.sha256}"`,
+    'Cache-Control': 'public, max-age=43200'
+  };
+}
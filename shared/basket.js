@@ -0,0 +1,42 @@
+// The basket of collections behind the market-wide sentiment. It is read from
+// configuration at refresh time so the basket can change without a deploy:
+//   SENTIMENT_BASKET       inline JSON array (takes precedence)
+//   SENTIMENT_BASKET_FILE  path to a JSON file (default config/basket.json)
+import { readFile } from "node:fs/promises";
+import { z } from "zod";
+import { chainSchema, DEFAULT_CHAIN } from "./chains.js";
+import { addressSchema } from "./addresses.js";
+
+export const DEFAULT_BASKET_FILE = 'config/basket.json';
+
+export const basketSchema = z.array(z.object({
+  contract: addressSchema,
+  // Network the contract is deployed on (shared/chains.js)
+  chain: chainSchema.default(DEFAULT_CHAIN),
+  label: z.string().min(1),
+  // Relative share of the basket score; normalised across the basket
+  weight: z.number().positive().default(1),
+  // Most ETH a single sale adds to this collection's volume, so one whale
+  // sale cannot dominate the collection (or the basket)
+  volume_cap: z.number().positive().optional()
+})).min(1, 'basket must contain at least one collection');
+
+// Returns `{ basket }` or `{ error }` when the configuration is missing or invalid
+export async function loadBasket(env = process.env) {
+  const source = env.SENTIMENT_BASKET ? 'SENTIMENT_BASKET' : (env.SENTIMENT_BASKET_FILE || DEFAULT_BASKET_FILE);
+
+  let config;
+  try {
+    config = JSON.parse(env.SENTIMENT_BASKET || await readFile(source, 'utf8'));
+  } catch (error) {
+    return { error: `Could not read basket from ${source}: ${error.message}` };
+  }
+
+  const parsed = basketSchema.safeParse(config);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `Invalid basket in ${source}: ${issue.path.join('.') || 'basket'} ${issue.message}` };
+  }
+
+  return { basket: parsed.data };
+}
@@ -0,0 +1,142 @@
+// State card: the current artwork with a typographic overlay of the state
+// name, the brief's status line (1d vol, 30d avg/day, state), the score and
+// the last-updated time. Rendered as SVG and rasterised to PNG on request.
+import { Resvg } from "@resvg/resvg-js";
+import { ASSET_URLS } from "./assets.js";
+import { loadAsset } from "./asset-cache.js";
+import { logger } from "./logger.js";
+import { DEFAULT_MARKET_STATE, LONG_WINDOW_DAYS, MARKET_STATES } from "./sentiment.js";
+
+export const CARD_FORMATS = ['svg', 'png'];
+
+// Default is the Open Graph / X large-card size
+export const DEFAULT_CARD_WIDTH = 1200;
+export const DEFAULT_CARD_HEIGHT = 630;
+const MIN_CARD_SIZE = 200;
+const MAX_CARD_SIZE = 2400;
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+// `?format=svg|png&width=&height=` with the defaults above. Returns `{ error }`
+// for an unknown format or a size outside MIN_CARD_SIZE..MAX_CARD_SIZE.
+export function parseCardQuery({ format, width, height } = {}) {
+  const cardFormat = (format || 'svg').toLowerCase();
+  if (!CARD_FORMATS.includes(cardFormat)) {
+    return { error: `format must be one of: ${CARD_FORMATS.join(', ')}` };
+  }
+
+  const size = {};
+  for (const [key, value, fallback] of [['width', width, DEFAULT_CARD_WIDTH], ['height', height, DEFAULT_CARD_HEIGHT]]) {
+    if (value === undefined || value === null || value === '') {
+      size[key] = fallback;
+      continue;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < MIN_CARD_SIZE || parsed > MAX_CARD_SIZE) {
+      return { error: `${key} must be an integer between ${MIN_CARD_SIZE} and ${MAX_CARD_SIZE}` };
+    }
+    size[key] = parsed;
+  }
+
+  return { format: cardFormat, contentType: CONTENT_TYPES[cardFormat], ...size };
+}
+
+// Artwork for a state as a data URI, inlined so the card renders without the
+// viewer (or the rasteriser) fetching Arweave; null when no copy is available
+export async function loadArtwork(state) {
+  try {
+    const asset = await loadAsset(state);
+    return `data:${asset.contentType};base64,${asset.body.toString('base64')}`;
+  } catch (error) {
+    logger.warn('Could not load artwork for card', { state, error: error.message });
+    return null;
+  }
+}
+
+// A forced state (?force=) wins over the snapshot's; stagnation without either
+function cardState(snapshot, state) {
+  if (MARKET_STATES.includes(state)) return state;
+  return MARKET_STATES.includes(snapshot?.market_state) ? snapshot.market_state : DEFAULT_MARKET_STATE;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatEth(value) {
+  return `${(Math.round((value ?? 0) * 100) / 100).toFixed(2)} ETH`;
+}
+
+// `snapshot` is what /api/market-sentiment serves (or null for the fallback
+// card); `artwork` is a data URI from loadArtwork, else the Arweave URL is linked.
+export function buildCardSvg(snapshot, { width = DEFAULT_CARD_WIDTH, height = DEFAULT_CARD_HEIGHT, artwork = null, state = '' } = {}) {
+  const marketState = cardState(snapshot, state);
+  const volume1d = snapshot?.raw_data?.volume_24h ?? 0;
+  const avgPerDay = (snapshot?.raw_data?.volume_30d ?? 0) / LONG_WINDOW_DAYS;
+  const score = snapshot?.sentiment_score ?? 0.5;
+  const updated = snapshot?.timestamp
+    ? new Date(snapshot.timestamp).toISOString().slice(0, 16).replace('T', ' ') + ' UTC'
+    : 'awaiting data';
+
+  // Type scales with the shorter side so small and portrait cards stay legible
+  const unit = Math.min(width, height) / 100;
+  const pad = Math.round(unit * 6);
+  const titleSize = Math.round(unit * 14);
+  const statusSize = Math.round(unit * 4.6);
+  const detailSize = Math.round(unit * 3.4);
+
+  const statusLine = `1d vol ${formatEth(volume1d)}  ·  30d avg/day ${formatEth(avgPerDay)}  ·  ${marketState.toUpperCase()}`;
+  const detailLine = `Score ${score.toFixed(2)}  ·  Updated ${updated}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0" stop-color="#000" stop-opacity="0"/>
+      <stop offset="1" stop-color="#000" stop-opacity="0.85"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="#111"/>
+  <image href="${escapeXml(artwork || ASSET_URLS[marketState])}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice"/>
+  <rect y="${Math.round(height * 0.45)}" width="${width}" height="${height - Math.round(height * 0.45)}" fill="url(#shade)"/>
+  <g font-family="Inter, 'Helvetica Neue', Arial, sans-serif" fill="#fff">
+    <text x="${pad}" y="${height - pad - statusSize * 1.6 - detailSize * 1.6}" font-size="${titleSize}" font-weight="700" letter-spacing="${Math.round(unit * 0.4)}">${escapeXml(marketState.toUpperCase())}</text>
+    <text x="${pad}" y="${height - pad - detailSize * 1.6}" font-size="${statusSize}">${escapeXml(statusLine)}</text>
+    <text x="${pad}" y="${height - pad}" font-size="${detailSize}" fill-opacity="0.75">${escapeXml(detailLine)}</text>
+  </g>
+</svg>
+`;
+}
+
+// Rasterise a card. Hosts without system fonts can point CARD_FONT_FILES at
+// one or more comma-separated .ttf/.otf files.
+export function renderCardPng(svg, { width = DEFAULT_CARD_WIDTH, env = process.env } = {}) {
+  const fontFiles = (env.CARD_FONT_FILES || '').split(',').map(file => file.trim()).filter(Boolean);
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: width },
+    font: {
+      loadSystemFonts: true,
+      fontFiles,
+      defaultFontFamily: 'Inter'
+    }
+  });
+  return resvg.render().asPng();
+}
+
+// The card in the requested format: `{ body, contentType, state }`
+export async function renderCard(snapshot, { format = 'svg', width = DEFAULT_CARD_WIDTH, height = DEFAULT_CARD_HEIGHT, state = '' } = {}) {
+  const marketState = cardState(snapshot, state);
+  const artwork = await loadArtwork(marketState);
+  const svg = buildCardSvg(snapshot, { width, height, artwork, state: marketState });
+
+  if (format === 'png') {
+    return { body: renderCardPng(svg, { width }), contentType: CONTENT_TYPES.png, state: marketState };
+  }
+  return { body: svg, contentType: CONTENT_TYPES.svg, state: marketState };
+}
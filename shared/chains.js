@@ -0,0 +1,42 @@
+// Chains a tracked collection can live on. Market data is fetched from the
+// chain's own network, and prices in its native currency are converted to
+// ETH (shared/prices.js) so collections on different chains aggregate in one
+// unit.
+import { z } from "zod";
+
+export const DEFAULT_CHAIN = 'ethereum';
+
+export const CHAINS = {
+  ethereum: { alchemyNetwork: 'eth-mainnet', nativeCurrency: 'ETH' },
+  base: { alchemyNetwork: 'base-mainnet', nativeCurrency: 'ETH' },
+  arbitrum: { alchemyNetwork: 'arb-mainnet', nativeCurrency: 'ETH' },
+  optimism: { alchemyNetwork: 'opt-mainnet', nativeCurrency: 'ETH' },
+  polygon: { alchemyNetwork: 'polygon-mainnet', nativeCurrency: 'POL' }
+};
+
+// Other names accepted for a chain
+const CHAIN_ALIASES = {
+  eth: 'ethereum',
+  mainnet: 'ethereum',
+  arb: 'arbitrum',
+  op: 'optimism',
+  matic: 'polygon'
+};
+
+export function normalizeChain(value) {
+  const name = String(value ?? '').trim().toLowerCase();
+  return CHAIN_ALIASES[name] ?? name;
+}
+
+export const chainSchema = z.preprocess(normalizeChain, z.enum(Object.keys(CHAINS)));
+
+// `{ chain }` for a chain name or alias (the default when empty), or
+// `{ error }` for one that is not supported
+export function resolveChain(value) {
+  if (value === undefined || value === null || value === '') return { chain: DEFAULT_CHAIN };
+  const chain = normalizeChain(value);
+  if (!CHAINS[chain]) {
+    return { error: `Unsupported chain: ${value} (expected one of ${Object.keys(CHAINS).join(', ')})` };
+  }
+  return { chain };
+}
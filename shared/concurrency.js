@@ -0,0 +1,18 @@
+// Run `task` over `items` with at most `limit` in flight, keeping the
+// results in input order. Used where a request fans out to many upstream
+// reads that would otherwise all start at once.
+export async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,94 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in UTC like Vercel and Netlify scheduled functions. Fields take
+// `*`, values, ranges, lists and steps ("*/15", "1-5", "0,30", "8-18/2").
+
+// The Vercel cron schedule in vercel.json
+export const DEFAULT_REFRESH_CRON = '0 */12 * * *';
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Schedules with no match in this long (e.g. "0 0 31 2 *") never run
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return { error: `invalid ${name} field: ${text}` };
+
+    let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (to === undefined) to = match[2] === undefined ? from : max;
+    const step = match[2] === undefined ? 1 : Number(match[2]);
+
+    if (from < min || to > max || from > to || step < 1) {
+      return { error: `${name} out of range: ${part}` };
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return { values, any: text === '*' };
+}
+
+// Returns `{ schedule }` or `{ error }`
+export function parseCron(expression) {
+  const parts = (expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: `cron expression must have ${FIELDS.length} fields: ${expression}` };
+  }
+
+  const fields = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const field = parseField(parts[i], FIELDS[i]);
+    if (field.error) return { error: field.error };
+    fields.push(field);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  // Sunday is 0 or 7
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+
+  return { schedule: { expression, minute, hour, dayOfMonth, month, dayOfWeek } };
+}
+
+// Standard cron: when both day fields are restricted, either may match
+function dayMatches(schedule, date) {
+  const { dayOfMonth, dayOfWeek } = schedule;
+  const domMatch = dayOfMonth.values.has(date.getUTCDate());
+  const dowMatch = dayOfWeek.values.has(date.getUTCDay());
+  if (dayOfMonth.any) return dowMatch;
+  if (dayOfWeek.any) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// The first matching minute strictly after `after` (epoch ms), or null
+export function nextCronRun(schedule, after = Date.now()) {
+  const date = new Date(Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after + SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  return null;
+}
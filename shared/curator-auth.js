@@ -0,0 +1,36 @@
+// HTTP Basic authentication for the serverless curator endpoints. Unlike
+// the Express server, which checks the `users` table through IStorage, the
+// Vercel and Netlify functions have no database: their one curator is the
+// ADMIN_USERNAME / ADMIN_PASSWORD account the Express server seeds
+// (server/auth.ts). Without both set the endpoints refuse every request.
+import { createHash, timingSafeEqual } from "node:crypto";
+
+export const CURATOR_CHALLENGE = 'Basic realm="curator", charset="UTF-8"';
+
+// Compared as digests so the lengths always match
+function sameSecret(supplied, expected) {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(supplied), digest(expected));
+}
+
+export function curatorConfigured(env = process.env) {
+  return Boolean(env.ADMIN_USERNAME && env.ADMIN_PASSWORD);
+}
+
+// The curator's username for an `Authorization` header, or null
+export function authenticateCurator(authorization, env = process.env) {
+  const username = env.ADMIN_USERNAME;
+  const password = env.ADMIN_PASSWORD;
+  if (!username || !password) return null;
+
+  const [scheme, encoded] = (authorization || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) return null;
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator <= 0) return null;
+
+  const userOk = sameSecret(decoded.slice(0, separator), username);
+  const passwordOk = sameSecret(decoded.slice(separator + 1), password);
+  return userOk && passwordOk ? username : null;
+}
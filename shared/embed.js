@@ -0,0 +1,302 @@
+// Embeddable widget (/embed) and its oEmbed endpoint (/oembed), served the
+// same way by the Express server, Vercel and Netlify:
+//   EMBED_FRAME_ANCESTORS  origins allowed to frame /embed, comma- or
+//                          space-separated (`https://example.com`,
+//                          `https://*.example.com`); default `*` for any
+//                          site, `none` to forbid framing
+//   EMBED_ALLOWED_ORIGINS  origins allowed to read /oembed cross-origin,
+//                          comma-separated; default `*`
+// The page is self-contained: its script and stylesheet are allowed by hash
+// in the Content-Security-Policy, and it loads only /api/nft-image and
+// /api/market-sentiment from its own origin.
+import { createHash } from "node:crypto";
+import { resolveAllowedContract } from "./allowlist.js";
+import { ASSET_URLS } from "./assets.js";
+import { DEFAULT_CHAIN, resolveChain } from "./chains.js";
+import { COLLECTION_NAME } from "./metadata.js";
+
+export const EMBED_THEMES = ['dark', 'light'];
+
+// Largest side of the artwork for each `size`
+export const EMBED_SIZES = { small: 300, medium: 480, large: 720 };
+const DEFAULT_SIZE = 'medium';
+
+// Height of the caption bar below the artwork
+const CAPTION_HEIGHT = 36;
+
+// Smallest iframe an oEmbed consumer can ask for with maxwidth / maxheight
+const MIN_OEMBED_WIDTH = 100;
+
+// Consumers may cache oEmbed responses for as long as a snapshot lasts
+export const OEMBED_CACHE_AGE = 43200;
+
+const ORIGIN_PATTERN = /^https?:\/\/(\*\.)?[A-Za-z0-9.-]+(:\d+)?$/;
+
+function parseOrigins(value, name) {
+  const origins = value.split(/[\s,]+/).filter(Boolean);
+  const invalid = origins.find(origin => !ORIGIN_PATTERN.test(origin));
+  if (invalid) return { error: `Invalid ${name} entry ${invalid} (expected an origin such as https://example.com)` };
+  return { origins };
+}
+
+// `{ config }` with `frameAncestors` and `allowedOrigins` (null for any),
+// or `{ error }` for an origin that cannot be used
+export function loadEmbedConfig(env = process.env) {
+  const ancestors = (env.EMBED_FRAME_ANCESTORS || '*').trim();
+  let frameAncestors = null;
+  if (ancestors === 'none') {
+    frameAncestors = [];
+  } else if (ancestors !== '*') {
+    const parsed = parseOrigins(ancestors, 'EMBED_FRAME_ANCESTORS');
+    if (parsed.error !== undefined) return { error: parsed.error };
+    frameAncestors = parsed.origins;
+  }
+
+  const allowed = (env.EMBED_ALLOWED_ORIGINS || '*').trim();
+  let allowedOrigins = null;
+  if (allowed !== '*') {
+    const parsed = parseOrigins(allowed, 'EMBED_ALLOWED_ORIGINS');
+    if (parsed.error !== undefined) return { error: parsed.error };
+    allowedOrigins = parsed.origins;
+  }
+
+  return { config: { frameAncestors, allowedOrigins } };
+}
+
+// CORS headers for /oembed: any origin, or the request's `origin` when it is
+// allowed (and none otherwise, so browsers refuse the response)
+export function embedCorsHeaders(config, origin) {
+  if (!config.allowedOrigins) return { 'Access-Control-Allow-Origin': '*' };
+  return config.allowedOrigins.includes(origin)
+    ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+    : { 'Vary': 'Origin' };
+}
+
+function isDisabled(value) {
+  return ['0', 'false', 'off', 'no'].includes(String(value).toLowerCase());
+}
+
+// `?contract=&chain=&theme=&size=&caption=` as embed options. A `contract`
+// must be on `allowlist` (shared/allowlist.js); without one the artwork
+// follows the host's default collection. Returns `{ status, error }` for
+// anything unusable.
+export function parseEmbedQuery({ contract, chain, theme, size, caption } = {}, { allowlist = null } = {}) {
+  const embedTheme = (theme || 'dark').toLowerCase();
+  if (!EMBED_THEMES.includes(embedTheme)) {
+    return { status: 400, error: `theme must be one of: ${EMBED_THEMES.join(', ')}` };
+  }
+
+  const embedSize = (size || DEFAULT_SIZE).toLowerCase();
+  if (!Object.hasOwn(EMBED_SIZES, embedSize)) {
+    return { status: 400, error: `size must be one of: ${Object.keys(EMBED_SIZES).join(', ')}` };
+  }
+
+  const options = {
+    contract: null,
+    chain: DEFAULT_CHAIN,
+    theme: embedTheme,
+    size: embedSize,
+    caption: !isDisabled(caption ?? '')
+  };
+
+  if (!contract) {
+    const resolved = resolveChain(chain);
+    if (resolved.error !== undefined) return { status: 400, error: resolved.error };
+    return { options: { ...options, chain: resolved.chain } };
+  }
+
+  const resolved = resolveAllowedContract(allowlist, { contract, chain });
+  if (resolved.error !== undefined) return { status: resolved.status, error: resolved.error };
+  return { options: { ...options, contract: resolved.contract, chain: resolved.chain } };
+}
+
+// Query string naming the collection, shared by the page's API calls
+function collectionQuery({ contract, chain }) {
+  const params = new URLSearchParams();
+  if (contract) params.set('contract', contract);
+  if (chain !== DEFAULT_CHAIN) params.set('chain', chain);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Canonical /embed URL for `options`, leaving out defaults
+export function embedUrl(baseUrl, options) {
+  const params = new URLSearchParams(collectionQuery(options));
+  if (options.theme !== 'dark') params.set('theme', options.theme);
+  if (options.size !== DEFAULT_SIZE) params.set('size', options.size);
+  if (!options.caption) params.set('caption', '0');
+  const query = params.toString();
+  return `${baseUrl}/embed${query ? `?${query}` : ''}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLE = `
+*{margin:0;padding:0;box-sizing:border-box}
+html,body{height:100%}
+body{display:flex;flex-direction:column;align-items:center;justify-content:center;background:#000;color:#f3f4f6;font:14px/1.2 system-ui,-apple-system,sans-serif;overflow:hidden}
+body.light{background:#fff;color:#111827}
+a{color:inherit;text-decoration:none}
+.stage{display:flex;flex-direction:column;width:100%;height:100%}
+.size-small .stage{max-width:${EMBED_SIZES.small}px;max-height:${EMBED_SIZES.small + CAPTION_HEIGHT}px}
+.size-medium .stage{max-width:${EMBED_SIZES.medium}px;max-height:${EMBED_SIZES.medium + CAPTION_HEIGHT}px}
+.size-large .stage{max-width:${EMBED_SIZES.large}px;max-height:${EMBED_SIZES.large + CAPTION_HEIGHT}px}
+.link{display:flex;flex:1;min-height:0}
+.art{width:100%;height:100%;object-fit:contain}
+.caption{display:flex;justify-content:space-between;align-items:center;height:${CAPTION_HEIGHT}px;padding:0 12px;background:#111827;font-weight:600}
+body.light .caption{background:#f3f4f6}
+.state{text-transform:capitalize;font-variant-numeric:tabular-nums;opacity:.85}
+`;
+
+// Reads its URLs from the body's data attributes so the script never varies
+// and its hash can stay in the policy. Refreshes on the snapshot schedule.
+const SCRIPT = `
+const { image, fallback, sentiment } = document.body.dataset;
+const art = document.getElementById('art');
+const state = document.getElementById('state');
+art.addEventListener('error', () => { if (art.src !== fallback) art.src = fallback; });
+if (art.complete && art.naturalWidth === 0) art.src = fallback;
+function showState() {
+  if (!state) return;
+  fetch(sentiment)
+    .then(response => response.ok ? response.json() : Promise.reject(response.status))
+    .then(data => { state.textContent = data.market_state + ' · ' + data.sentiment_score.toFixed(2); })
+    .catch(() => { state.textContent = ''; });
+}
+showState();
+setInterval(() => { art.src = image + (image.includes('?') ? '&' : '?') + '_refresh=' + Date.now(); showState(); }, 12 * 60 * 60 * 1000);
+`;
+
+function sourceHash(source) {
+  return `'sha256-${createHash('sha256').update(source).digest('base64')}'`;
+}
+
+const STYLE_HASH = sourceHash(STYLE);
+const SCRIPT_HASH = sourceHash(SCRIPT);
+
+// Response headers for the /embed page under `config`
+export function embedHeaders(config) {
+  const ancestors = config.frameAncestors === null
+    ? '*'
+    : config.frameAncestors.length > 0 ? config.frameAncestors.join(' ') : "'none'";
+
+  return {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Security-Policy': [
+      "default-src 'none'",
+      "img-src 'self' https: data:",
+      "connect-src 'self'",
+      `style-src ${STYLE_HASH}`,
+      `script-src ${SCRIPT_HASH}`,
+      "base-uri 'none'",
+      "form-action 'none'",
+      `frame-ancestors ${ancestors}`
+    ].join('; '),
+    // Older browsers ignore frame-ancestors
+    ...(config.frameAncestors?.length === 0 ? { 'X-Frame-Options': 'DENY' } : {}),
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cache-Control': 'public, max-age=3600'
+  };
+}
+
+// The /embed page: the live artwork, linked to the full site, with an
+// optional caption bar of the current state and score. `baseUrl` is the
+// public origin of this deployment, for the link-preview and oEmbed tags.
+export function renderEmbedPage(options, { baseUrl }) {
+  const query = collectionQuery(options);
+  const image = `/api/nft-image${query}`;
+  const pageUrl = embedUrl(baseUrl, options);
+
+  const caption = options.caption
+    ? `<div class="caption"><span>${escapeHtml(COLLECTION_NAME)}</span><span class="state" id="state"></span></div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(COLLECTION_NAME)}</title>
+<meta property="og:type" content="website">
+<meta property="og:title" content="${escapeHtml(COLLECTION_NAME)}">
+<meta property="og:description" content="Dynamic NFT reflecting market sentiment">
+<meta property="og:url" content="${escapeHtml(pageUrl)}">
+<meta property="og:image" content="${escapeHtml(`${baseUrl}${image}`)}">
+<link rel="alternate" type="application/json+oembed" href="${escapeHtml(`${baseUrl}/oembed?url=${encodeURIComponent(pageUrl)}`)}" title="${escapeHtml(COLLECTION_NAME)}">
+<style>${STYLE}</style>
+</head>
+<body class="${options.theme} size-${options.size}" data-image="${escapeHtml(image)}" data-fallback="${escapeHtml(ASSET_URLS.stagnation)}" data-sentiment="${escapeHtml(`/api/market-sentiment${query}`)}">
+<div class="stage">
+<a href="${escapeHtml(`${baseUrl}/${query}`)}" target="_blank" rel="noopener" class="link"><img id="art" class="art" src="${escapeHtml(image)}" alt="${escapeHtml(COLLECTION_NAME)} - dynamic NFT reflecting market sentiment"></a>
+${caption}
+</div>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function parseMaxSize(value, name) {
+  if (value === undefined || value === null || value === '') return { size: Infinity };
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) return { error: `${name} must be a positive integer` };
+  return { size: parsed };
+}
+
+// oEmbed (https://oembed.com) `rich` response for `?url=` naming an /embed
+// page (or the full-page viewer) of this deployment. The iframe is the
+// page's size, shrunk to fit `maxwidth` / `maxheight`. Returns `{ status,
+// error }` for other URLs (404), `format=xml` (501) and bad parameters.
+export function buildOEmbed({ url, format, maxwidth, maxheight } = {}, { baseUrl, allowlist = null }) {
+  if (format && format !== 'json') return { status: 501, error: 'Only format=json is supported' };
+  if (!url) return { status: 400, error: 'url parameter is required' };
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    return { status: 404, error: 'url is not an embeddable page' };
+  }
+  if (target.origin !== new URL(baseUrl).origin || !['/embed', '/'].includes(target.pathname)) {
+    return { status: 404, error: 'url is not an embeddable page' };
+  }
+
+  const maxWidth = parseMaxSize(maxwidth, 'maxwidth');
+  if (maxWidth.error !== undefined) return { status: 400, error: maxWidth.error };
+  const maxHeight = parseMaxSize(maxheight, 'maxheight');
+  if (maxHeight.error !== undefined) return { status: 400, error: maxHeight.error };
+
+  const parsed = parseEmbedQuery(Object.fromEntries(target.searchParams), { allowlist });
+  if (parsed.error !== undefined) return { status: parsed.status, error: parsed.error };
+  const { options } = parsed;
+
+  const captionHeight = options.caption ? CAPTION_HEIGHT : 0;
+  const width = Math.min(EMBED_SIZES[options.size], maxWidth.size, maxHeight.size - captionHeight);
+  if (width < MIN_OEMBED_WIDTH) {
+    return { status: 404, error: `No embed fits within maxwidth and maxheight (at least ${MIN_OEMBED_WIDTH}px wide)` };
+  }
+  const height = width + captionHeight;
+  const src = embedUrl(baseUrl, options);
+
+  return {
+    oembed: {
+      version: '1.0',
+      type: 'rich',
+      title: COLLECTION_NAME,
+      provider_name: COLLECTION_NAME,
+      provider_url: `${baseUrl}/`,
+      cache_age: OEMBED_CACHE_AGE,
+      width,
+      height,
+      html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" title="${escapeHtml(COLLECTION_NAME)}" style="border:0" scrolling="no" loading="lazy"></iframe>`
+    }
+  };
+}
@@ -0,0 +1,112 @@
+// Sentiment history helpers shared by /api/sentiment-history on Vercel
+// (api/sentiment-history.js) and on the Express server (server/routes.ts).
+// Both feed in a list of snapshots `{ timestamp, market_state,
+// sentiment_score, indicators }` with `timestamp` in epoch milliseconds.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_MS = 30 * DAY_MS;
+// Two snapshots a day, so a year is ~730 points to read
+export const MAX_RANGE_MS = 366 * DAY_MS;
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: DAY_MS
+};
+
+// `12h`, `1d`, `30m` -> milliseconds; `raw` (or empty) keeps every snapshot
+export function parseInterval(interval) {
+  if (!interval || interval === 'raw') return 0;
+  const match = /^(\d+)([mhd])$/.exec(interval);
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+// Accepts ISO-8601 strings or epoch milliseconds
+function parseTime(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Validate `?from=&to=&interval=`. Returns `{ error }` when the query is unusable.
+export function parseHistoryQuery({ from, to, interval } = {}, now = Date.now()) {
+  const toMs = to ? parseTime(to) : now;
+  if (toMs === null) return { error: 'to must be an ISO date or epoch milliseconds' };
+
+  const fromMs = from ? parseTime(from) : toMs - DEFAULT_RANGE_MS;
+  if (fromMs === null) return { error: 'from must be an ISO date or epoch milliseconds' };
+
+  if (fromMs > toMs) return { error: 'from must be before to' };
+  if (toMs - fromMs > MAX_RANGE_MS) return { error: `from and to must be at most ${MAX_RANGE_MS / DAY_MS} days apart` };
+
+  const intervalMs = parseInterval(interval);
+  if (intervalMs === null) return { error: 'interval must look like 30m, 12h, 1d or raw' };
+
+  return { from: fromMs, to: toMs, interval: interval || 'raw', intervalMs };
+}
+
+// State changes between consecutive snapshots
+export function findTransitions(snapshots) {
+  const transitions = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+    if (previous.market_state !== current.market_state) {
+      transitions.push({
+        timestamp: current.timestamp,
+        asOf: new Date(current.timestamp).toISOString(),
+        from: previous.market_state,
+        to: current.market_state,
+        sentiment_score: current.sentiment_score
+      });
+    }
+  }
+  return transitions;
+}
+
+// Time series and transitions for the requested range. With an interval the
+// series keeps the latest snapshot in each bucket; transitions are always
+// computed from every snapshot so none are hidden by downsampling. Runtimes
+// that record transitions as they happen pass them as `transitions`
+// (`{ timestamp, from, to, sentiment_score }`) instead.
+export function buildSentimentHistory(snapshots, { from, to, interval, intervalMs }, { transitions } = {}) {
+  const inRange = snapshots
+    .filter(snapshot => snapshot.timestamp >= from && snapshot.timestamp <= to)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let points = inRange;
+  if (intervalMs > 0) {
+    const buckets = new Map();
+    for (const snapshot of inRange) {
+      buckets.set(Math.floor((snapshot.timestamp - from) / intervalMs), snapshot);
+    }
+    points = Array.from(buckets.values());
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    interval,
+    count: points.length,
+    series: points.map(snapshot => ({
+      timestamp: snapshot.timestamp,
+      asOf: new Date(snapshot.timestamp).toISOString(),
+      market_state: snapshot.market_state,
+      sentiment_score: snapshot.sentiment_score,
+      indicators: snapshot.indicators
+    })),
+    transitions: transitions
+      ? transitions
+        .filter(transition => transition.timestamp >= from && transition.timestamp <= to)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(transition => ({
+          timestamp: transition.timestamp,
+          asOf: new Date(transition.timestamp).toISOString(),
+          from: transition.from,
+          to: transition.to,
+          sentiment_score: transition.sentiment_score
+        }))
+      : findTransitions(inRange)
+  };
+}
@@ -0,0 +1,104 @@
+// Structured logging for the Express server and the serverless functions.
+// Every line is one JSON object with `time`, `level` and `msg`, plus the
+// `request_id` of the request it was written under:
+//   LOG_LEVEL  debug, info (default), warn or error
+// A request runs inside runWithRequest(), which keeps its id and summary in
+// async context, so shared modules (providers, cache, engine) log under the
+// right request and add to its summary without the id being passed along.
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Caller-supplied ids are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requests = new AsyncLocalStorage();
+
+function minimumLevel(env = process.env) {
+  return LEVELS[String(env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+}
+
+// Errors keep their message, name and stack, which JSON.stringify drops
+function replacer(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) return;
+
+  const request = requests.getStore();
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(request ? { request_id: request.id } : {}),
+    ...fields
+  }, replacer);
+
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// A request's id (the caller's X-Request-Id when valid, else a new one) and
+// its summary, logged by logRequestSummary() once the response is sent
+export function createRequest({ requestId, method, path }) {
+  return {
+    id: typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId) ? requestId : randomUUID(),
+    method,
+    path,
+    startedAt: Date.now(),
+    summary: {
+      contract: null,
+      cache: null,
+      upstream_requests: 0,
+      upstream_ms: 0,
+      state: null,
+      fallback: null
+    }
+  };
+}
+
+export function runWithRequest(request, task) {
+  return requests.run(request, task);
+}
+
+// Set summary fields (`contract`, `cache`, `state`, `fallback`) for the
+// current request; ignored outside one
+export function annotateRequest(fields) {
+  const request = requests.getStore();
+  if (request) Object.assign(request.summary, fields);
+}
+
+// Count an upstream attempt and its latency against the current request
+export function recordUpstreamCall(durationMs) {
+  const request = requests.getStore();
+  if (!request) return;
+  request.summary.upstream_requests++;
+  request.summary.upstream_ms += durationMs;
+}
+
+export function logRequestSummary(request, status) {
+  requests.run(request, () => {
+    logger.info('request completed', {
+      method: request.method,
+      path: request.path,
+      status,
+      duration_ms: Date.now() - request.startedAt,
+      ...request.summary
+    });
+  });
+}
@@ -0,0 +1,366 @@
+// Fetch market data through a provider (shared/providers) and classify it with
+// the sentiment engine. Used by every runtime so none builds API URLs itself.
+import {
+  calculateBasketSentiment,
+  calculateMarketSentiment,
+  calculateVolumeRatioSentiment,
+  LONG_WINDOW_DAYS,
+  SCORE_THRESHOLDS
+} from "./sentiment.js";
+import { loadTransitionRules, resolveMarketState } from "./transitions.js";
+import { loadBasket } from "./basket.js";
+import { loadSalesFilterRules } from "./sales-filter.js";
+import { DEFAULT_CHAIN } from "./chains.js";
+import { checkSlugAllowed, resolveAllowedContract } from "./allowlist.js";
+import { loadPriceTable, pricingFor } from "./prices.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SALES_MAX_PAGES = 10;
+// Basket collections read at once
+export const BASKET_CONCURRENCY = 3;
+
+// SALES_MAX_PAGES: most sales pages read per collection to cover the long
+// window (Alchemy pages hold 100 sales)
+export function salesPageBudget(env = process.env) {
+  const pages = parseInt(env.SALES_MAX_PAGES, 10);
+  return pages > 0 ? pages : DEFAULT_SALES_MAX_PAGES;
+}
+
+// Whether the sales behind a result reach back to the start of the long
+// window. `reason` says why not: the page budget ran out, paging failed, or
+// the refresh deadline stopped it.
+function salesCoverage(salesData, { since, maxPages }) {
+  const timestamps = (salesData?.nftSales || []).map(sale => new Date(sale.blockTimestamp).getTime());
+  const complete = Boolean(salesData?.complete);
+
+  return {
+    complete,
+    pages: salesData?.pages ?? 0,
+    max_pages: maxPages,
+    window_start: new Date(since).toISOString(),
+    oldest_sale: timestamps.length > 0 ? new Date(Math.min(...timestamps)).toISOString() : null,
+    ...(complete ? {} : { reason: salesReason(salesData) })
+  };
+}
+
+function salesReason(salesData) {
+  if (!salesData || salesData.error) return 'fetch_failed';
+  return salesData.deadlineReached ? 'deadline' : 'page_budget';
+}
+
+// How much of the data behind a result actually arrived. `coverage` is the
+// weight-averaged share of the long window each collection's sales reach back
+// over (a failed sales request counts 0); `failed` lists requests that failed
+// outright, `truncated` collections whose sales stop short of the window and
+// `unpriced` those with sales or a floor in currencies without an ETH rate;
+// `unavailable` names the indicators each collection was scored without.
+// The transition rules hold the published state when coverage is too low.
+function dataQuality(entries, { since, now }) {
+  const failed = [];
+  const truncated = [];
+  const unpriced = [];
+  const unavailable = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const { contract, chain = DEFAULT_CHAIN, label, weight = 1, coverage, floorError, salesError, unpriced: missing, unavailableIndicators } of entries) {
+    if (floorError) failed.push({ contract, chain, label, input: 'floor_price', error: floorError });
+    if (salesError) failed.push({ contract, chain, label, input: 'sales', error: salesError });
+    if (missing) unpriced.push({ contract, chain, label, ...missing });
+    if (unavailableIndicators) unavailable.push({ contract, chain, label, indicators: unavailableIndicators });
+
+    let share = 1;
+    if (!coverage.complete) {
+      const oldest = coverage.oldest_sale ? new Date(coverage.oldest_sale).getTime() : now;
+      share = Math.min(1, Math.max(0, (now - oldest) / (now - since)));
+      truncated.push({ contract, chain, label, reason: coverage.reason, oldest_sale: coverage.oldest_sale, coverage: round(share) });
+    }
+
+    weighted += weight * share;
+    totalWeight += weight;
+  }
+
+  return {
+    coverage: totalWeight > 0 ? round(weighted / totalWeight) : 0,
+    failed,
+    truncated,
+    unpriced,
+    unavailable
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Why a settled request was rejected, or null
+function failureOf(result) {
+  return result.status === 'rejected' ? result.reason?.message || String(result.reason) : null;
+}
+
+// The collection a request targets under the provider's signal: an OpenSea
+// slug for 'volume_ratio', a contract address on `chain` for 'sales'. Returns
+// `{ error, status }` when the request does not name one, names an unknown
+// chain or a malformed address (400), or names a collection outside
+// `allowlist` (403, see shared/allowlist.js; null allows any).
+export function resolveSentimentTarget(provider, { contract, slug, chain } = {}, { defaultContract = '', allowlist = null, env = process.env } = {}) {
+  if (provider.signal === 'volume_ratio') {
+    const collectionSlug = slug || env.OPENSEA_COLLECTION_SLUG;
+    if (!collectionSlug) return { status: 400, error: 'slug parameter is required' };
+    const denied = checkSlugAllowed(allowlist, collectionSlug);
+    if (denied) return { status: denied.status, error: denied.error };
+    return { scope: `opensea:${collectionSlug}`, slug: collectionSlug };
+  }
+
+  const contractAddress = contract || defaultContract;
+  if (!contractAddress) return { status: 400, error: 'contract parameter is required' };
+
+  const resolved = resolveAllowedContract(allowlist, { contract: contractAddress, chain });
+  if (resolved.error !== undefined) return { status: resolved.status, error: resolved.error };
+
+  // Checksummed, so each collection has one scope however it is written.
+  // Ethereum scopes stay bare addresses so existing history carries on.
+  return {
+    scope: resolved.chain === DEFAULT_CHAIN ? resolved.contract : `${resolved.chain}:${resolved.contract}`,
+    contract: resolved.contract,
+    chain: resolved.chain
+  };
+}
+
+// Sentiment for a single target. Floor price and sales are fetched side by
+// side; either failing leaves that input empty rather than failing the request.
+// Sales are paged back to the start of the long window within `maxPages`, and
+// `sales_coverage` reports whether they got there; `data_quality` summarises
+// what was missing. Prices are converted to ETH with `prices`, a
+// shared/prices.js table (loaded when not given).
+export async function fetchTargetSentiment(provider, target, { now = Date.now(), maxPages = salesPageBudget(), salesFilter = loadSalesFilterRules(), prices = null } = {}) {
+  if (target.slug) {
+    const stats = await provider.getCollectionStats(target.slug);
+    return {
+      ...calculateVolumeRatioSentiment(stats),
+      provider: provider.name,
+      collection_slug: target.slug
+    };
+  }
+
+  const since = now - LONG_WINDOW_DAYS * DAY_MS;
+  const chain = target.chain ?? DEFAULT_CHAIN;
+  const priceTable = prices ?? await loadPriceTable();
+  const [floorResult, salesResult] = await Promise.allSettled([
+    provider.getFloorPrice(target.contract, { chain }),
+    provider.getSales(target.contract, { chain, since, maxPages, now })
+  ]);
+
+  for (const result of [floorResult, salesResult]) {
+    if (result.status === 'rejected') {
+      logger.warn('Market data request failed', { contract: target.contract, chain, error: result.reason?.message });
+    }
+  }
+
+  const salesData = salesResult.status === 'fulfilled' ? salesResult.value : null;
+  const coverage = salesCoverage(salesData, { since, maxPages });
+  if (!coverage.complete) {
+    logger.warn('Sales stop short of the window', { contract: target.contract, chain, oldest_sale: coverage.oldest_sale, window_start: coverage.window_start, reason: coverage.reason });
+  }
+
+  const sentiment = calculateMarketSentiment(
+    floorResult.status === 'fulfilled' ? floorResult.value : null,
+    salesData,
+    { now, salesFilter, pricing: pricingFor(chain, priceTable) }
+  );
+
+  return {
+    ...sentiment,
+    provider: provider.name,
+    chain,
+    sales_coverage: coverage,
+    data_quality: dataQuality([{
+      contract: target.contract,
+      chain,
+      label: target.contract,
+      coverage,
+      floorError: failureOf(floorResult),
+      salesError: failureOf(salesResult) ?? salesData?.error ?? null,
+      unpriced: sentiment.raw_data.unpriced,
+      unavailableIndicators: sentiment.unavailable_indicators
+    }], { since, now }),
+    raw_data: {
+      ...sentiment.raw_data,
+      price_table: { source: priceTable.source, as_of: priceTable.as_of }
+    }
+  };
+}
+
+// Market-wide sentiment across a basket (shared/basket.js), with sales paged
+// back to the start of the engine's long window. Each collection reports its
+// own `sales_coverage`; the top-level one is complete only if all are, and
+// `data_quality` lists the failed, truncated and unpriced collections. Each
+// collection is read from its own chain and priced in ETH with `prices`.
+// Up to `concurrency` collections are read at once; past `deadline` (epoch
+// ms) paging stops and unread collections count as failed, so a refresh
+// inside a function time limit still publishes what it has.
+export async function fetchBasketSentiment(provider, basket, { now = Date.now(), maxPages = salesPageBudget(), salesFilter = loadSalesFilterRules(), prices = null, concurrency = BASKET_CONCURRENCY, deadline } = {}) {
+  const windowStart = now - LONG_WINDOW_DAYS * DAY_MS;
+  const priceTable = prices ?? await loadPriceTable();
+
+  logger.info('Analyzing basket market data', { from: new Date(windowStart).toISOString(), to: new Date(now).toISOString(), collections: basket.length });
+
+  const collections = [];
+  // Sales coverage per entry of `collections`
+  const coverage = [];
+  const quality = [];
+
+  const results = await mapWithConcurrency(basket, concurrency, ({ contract, chain = DEFAULT_CHAIN }) => Promise.allSettled([
+    provider.getFloorPrice(contract, { chain, deadline }),
+    provider.getSales(contract, { chain, since: windowStart, maxPages, now, deadline })
+  ]));
+
+  for (const [i, { contract: contractAddress, chain = DEFAULT_CHAIN, label, weight, volume_cap }] of basket.entries()) {
+    const [floorResult, salesResult] = results[i];
+
+    if (floorResult.status === 'rejected') {
+      logger.error('Error fetching floor price', { contract: contractAddress, chain, error: floorResult.reason?.message });
+    }
+    if (salesResult.status === 'rejected') {
+      logger.error('Error fetching sales', { contract: contractAddress, chain, error: salesResult.reason?.message });
+    }
+
+    const salesData = salesResult.status === 'fulfilled' ? salesResult.value : { nftSales: [], pages: 0 };
+    const collectionCoverage = salesCoverage(salesResult.status === 'fulfilled' ? salesResult.value : null, {
+      since: windowStart,
+      maxPages
+    });
+    coverage.push(collectionCoverage);
+    quality.push({
+      contract: contractAddress,
+      chain,
+      label,
+      weight,
+      coverage: collectionCoverage,
+      floorError: failureOf(floorResult),
+      salesError: failureOf(salesResult) ?? (salesResult.status === 'fulfilled' ? salesResult.value.error ?? null : null)
+    });
+    collections.push({
+      contract: contractAddress,
+      chain,
+      pricing: pricingFor(chain, priceTable),
+      label,
+      weight,
+      volumeCap: volume_cap,
+      floorData: floorResult.status === 'fulfilled' ? floorResult.value : null,
+      salesData
+    });
+
+    logger.debug('Collection sales fetched', {
+      contract: contractAddress,
+      chain,
+      label,
+      sales: salesData.nftSales.length,
+      pages: salesData.pages,
+      truncated: collectionCoverage.complete ? null : collectionCoverage.reason
+    });
+  }
+
+  const sentiment = calculateBasketSentiment(collections, { now, salesFilter });
+  const truncated = collections.filter((collection, i) => !coverage[i].complete).map(collection => collection.contract);
+
+  return {
+    ...sentiment,
+    provider: provider.name,
+    sales_coverage: {
+      complete: truncated.length === 0,
+      max_pages: maxPages,
+      window_start: new Date(windowStart).toISOString(),
+      truncated
+    },
+    data_quality: dataQuality(
+      quality.map((entry, i) => ({
+        ...entry,
+        unpriced: sentiment.raw_data.collection_breakdown[i].unpriced,
+        unavailableIndicators: sentiment.raw_data.collection_breakdown[i].unavailable_indicators
+      })),
+      { since: windowStart, now }
+    ),
+    raw_data: {
+      ...sentiment.raw_data,
+      price_table: { source: priceTable.source, as_of: priceTable.as_of },
+      collection_breakdown: sentiment.raw_data.collection_breakdown.map((entry, i) => ({
+        ...entry,
+        pages_fetched: coverage[i].pages,
+        sales_coverage: coverage[i]
+      })),
+      time_window: {
+        start: new Date(windowStart).toISOString(),
+        end: new Date(now).toISOString(),
+        duration_hours: LONG_WINDOW_DAYS * 24
+      }
+    }
+  };
+}
+
+// What the scheduled refresh publishes: the configured basket for the sales
+// signal, or OPENSEA_COLLECTION_SLUG for the volume-ratio signal. Throws when
+// either is not configured. `deadline` bounds a basket read (see
+// fetchBasketSentiment).
+export async function fetchMarketSentiment(provider, { now = Date.now(), env = process.env, deadline } = {}) {
+  if (provider.signal === 'volume_ratio') {
+    const target = resolveSentimentTarget(provider, {}, { env });
+    if (target.error) {
+      throw new Error('OPENSEA_COLLECTION_SLUG not configured');
+    }
+
+    logger.info('Fetching collection stats', { provider: provider.name, slug: target.slug });
+    return fetchTargetSentiment(provider, target, { now });
+  }
+
+  const { basket, error } = await loadBasket(env);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return fetchBasketSentiment(provider, basket, { now, deadline });
+}
+
+// The snapshot a scheduled refresh publishes: the sentiment with the
+// transition rules applied against the previously published snapshot (null
+// on the first run). `startTime` is when the refresh began.
+export function buildMarketSnapshot(sentiment, previous, { now = Date.now(), startTime = now } = {}) {
+  const transitionRules = loadTransitionRules();
+  const { market_state, state_transition } = resolveMarketState(sentiment.sentiment_score, previous, transitionRules, now, {
+    coverage: sentiment.data_quality?.coverage
+  });
+
+  if (!state_transition.accepted && state_transition.reason !== 'unchanged') {
+    logger.info('Transition suppressed', {
+      from: state_transition.previous_state,
+      to: state_transition.candidate_state,
+      reason: state_transition.reason
+    });
+  }
+
+  return {
+    version: '2.0.0',
+    asOf: new Date(now).toISOString(),
+    timestamp: now,
+    ...sentiment,
+    market_state,
+    state_transition,
+    metadata: {
+      computed_at: new Date().toISOString(),
+      computation_time_ms: Date.now() - startTime,
+      thresholds: SCORE_THRESHOLDS,
+      transition_rules: transitionRules
+    }
+  };
+}
+
+// One scheduled refresh from the provider's data to the published snapshot.
+// The Vercel, Netlify and Express refreshes all go through here, which is
+// what server/runtime-parity.test.ts relies on.
+export async function computeMarketSnapshot(provider, previous, { now = Date.now(), startTime = now, deadline } = {}) {
+  const sentiment = await fetchMarketSentiment(provider, { now, deadline });
+  return buildMarketSnapshot(sentiment, previous, { now, startTime });
+}
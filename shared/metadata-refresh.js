@@ -0,0 +1,372 @@
+// Marketplace metadata refresh after a state change. Marketplaces cache token
+// metadata and keep showing the old artwork, so a transition is followed by a
+// refresh request for every token to each configured marketplace endpoint,
+// and by ERC-4906 calldata an operator can submit on-chain:
+//   NFT_CONTRACT                  our collection's contract address (enables refreshes)
+//   NFT_CHAIN                     chain name in marketplace URLs (default ethereum)
+//   NFT_TOKEN_IDS                 ids and ranges, e.g. "1-500,777"
+//   METADATA_REFRESH_ENDPOINTS    built-in names ("opensea,stub") or a JSON array
+//                                 of { name, url, method, headers, batch_size, requests_per_second }
+//   METADATA_REFRESH_DRY_RUN      "true" plans the requests without sending them
+//   NFT_METADATA_UPDATE_FUNCTION  contract function that emits BatchMetadataUpdate
+//                                 (default refreshMetadata(uint256,uint256))
+// Endpoint URLs are templates over {chain}, {contract} and {token_id}; header
+// values starting with `$` are read from the environment.
+import { randomUUID } from "node:crypto";
+import { keccak_256 } from "@noble/hashes/sha3";
+import { z } from "zod";
+import { logger } from "./logger.js";
+
+export const BATCH_METADATA_UPDATE_EVENT = 'BatchMetadataUpdate(uint256,uint256)';
+export const DEFAULT_UPDATE_FUNCTION = 'refreshMetadata(uint256,uint256)';
+export const REFRESH_OUTCOMES = ['refreshed', 'failed', 'skipped', 'dry_run'];
+
+// Guards against a typo such as "1-1000000" queueing a million requests
+export const MAX_REFRESH_TOKENS = 10000;
+
+const MAX_ATTEMPTS = 3;
+const REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_AFTER_MS = 5000;
+
+// Marketplaces that can be enabled by name
+const BUILT_IN_ENDPOINTS = {
+  opensea: () => ({
+    name: 'opensea',
+    url: 'https://api.opensea.io/api/v2/chain/{chain}/contract/{contract}/nfts/{token_id}/refresh',
+    method: 'POST',
+    headers: { 'X-API-KEY': '$OPENSEA_API_KEY' },
+    // OpenSea allows a few refreshes per second per key
+    batch_size: 2,
+    requests_per_second: 2
+  }),
+  // The Express server's /api/dev/marketplace-refresh, for testing
+  stub: (env) => ({
+    name: 'stub',
+    url: `${env.METADATA_REFRESH_STUB_URL || `http://localhost:${env.PORT || 5000}/api/dev/marketplace-refresh`}/{chain}/{contract}/{token_id}`,
+    method: 'POST',
+    headers: {},
+    batch_size: 10,
+    requests_per_second: 20
+  })
+};
+
+const endpointSchema = z.object({
+  name: z.string().min(1),
+  url: z.string().url(),
+  method: z.enum(['GET', 'POST', 'PUT']).default('POST'),
+  headers: z.record(z.string()).default({}),
+  // Requests sent side by side, and the endpoint's overall rate limit
+  batch_size: z.number().int().positive().default(5),
+  requests_per_second: z.number().positive().default(2)
+});
+
+// "1-5,9" -> ['1', '2', '3', '4', '5', '9']; returns `{ error }` for
+// malformed specs or more than MAX_REFRESH_TOKENS ids
+export function parseTokenIds(spec) {
+  const tokenIds = new Set();
+
+  for (const part of (spec || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = /^(\d{1,78})(?:-(\d{1,78}))?$/.exec(part);
+    if (!match) return { error: `Invalid token id or range: ${part}` };
+
+    const from = BigInt(match[1]);
+    const to = match[2] === undefined ? from : BigInt(match[2]);
+    if (to < from) return { error: `Invalid token range: ${part}` };
+    if (to - from >= BigInt(MAX_REFRESH_TOKENS)) {
+      return { error: `At most ${MAX_REFRESH_TOKENS} tokens can be refreshed` };
+    }
+
+    for (let id = from; id <= to; id++) {
+      tokenIds.add(id.toString());
+      if (tokenIds.size > MAX_REFRESH_TOKENS) {
+        return { error: `At most ${MAX_REFRESH_TOKENS} tokens can be refreshed` };
+      }
+    }
+  }
+
+  if (tokenIds.size === 0) return { error: 'No token ids configured' };
+  return { tokenIds: [...tokenIds] };
+}
+
+// Returns `{ endpoints }` or `{ error }`
+function parseEndpoints(spec, env) {
+  let entries;
+  try {
+    entries = spec.trim().startsWith('[')
+      ? JSON.parse(spec)
+      : spec.split(',').map(name => name.trim()).filter(Boolean);
+  } catch (error) {
+    return { error: `invalid JSON (${error.message})` };
+  }
+
+  const endpoints = [];
+  for (const entry of entries) {
+    if (typeof entry === 'string') {
+      const builtIn = BUILT_IN_ENDPOINTS[entry.toLowerCase()];
+      if (!builtIn) return { error: `Unknown marketplace: ${entry}` };
+      endpoints.push(builtIn(env));
+      continue;
+    }
+    const parsed = endpointSchema.safeParse(entry);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      return { error: `${entry?.name || 'endpoint'}: ${issue.path.join('.')} ${issue.message}` };
+    }
+    endpoints.push(parsed.data);
+  }
+  return { endpoints };
+}
+
+// Returns `{ config }`, `{ error }` when misconfigured, or `{}` when
+// NFT_CONTRACT is not set and refreshes are off
+export function loadRefreshConfig(env = process.env) {
+  if (!env.NFT_CONTRACT) return {};
+  if (!/^0x[0-9a-fA-F]{40}$/.test(env.NFT_CONTRACT)) {
+    return { error: 'NFT_CONTRACT must be a 0x-prefixed address' };
+  }
+
+  const tokens = parseTokenIds(env.NFT_TOKEN_IDS);
+  if (tokens.error !== undefined) return { error: `NFT_TOKEN_IDS: ${tokens.error}` };
+
+  const marketplaces = parseEndpoints(env.METADATA_REFRESH_ENDPOINTS || '', env);
+  if (marketplaces.error !== undefined) {
+    return { error: `METADATA_REFRESH_ENDPOINTS: ${marketplaces.error}` };
+  }
+
+  const updateFunction = env.NFT_METADATA_UPDATE_FUNCTION || DEFAULT_UPDATE_FUNCTION;
+  if (!/^[A-Za-z_$][\w$]*\(uint256,uint256\)$/.test(updateFunction)) {
+    return { error: 'NFT_METADATA_UPDATE_FUNCTION must take (uint256,uint256)' };
+  }
+
+  return {
+    config: {
+      contract: env.NFT_CONTRACT,
+      chain: env.NFT_CHAIN || 'ethereum',
+      tokenIds: tokens.tokenIds,
+      endpoints: marketplaces.endpoints,
+      dryRun: env.METADATA_REFRESH_DRY_RUN === 'true',
+      updateFunction
+    }
+  };
+}
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function encodeUint256(value) {
+  return BigInt(value).toString(16).padStart(64, '0');
+}
+
+// Consecutive token ids grouped into [from, to] ranges
+function tokenRanges(tokenIds) {
+  const sorted = tokenIds.map(id => BigInt(id)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const ranges = [];
+  for (const id of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1n) last[1] = id;
+    else ranges.push([id, id]);
+  }
+  return ranges;
+}
+
+// ERC-4906 only defines the BatchMetadataUpdate event, so the operator calls
+// the collection's own function that emits it: one transaction per range of
+// consecutive token ids
+export function buildBatchMetadataUpdateCalldata(tokenIds, { contract, updateFunction = DEFAULT_UPDATE_FUNCTION }) {
+  const selector = hex(keccak_256(updateFunction)).slice(0, 8);
+
+  return {
+    event: BATCH_METADATA_UPDATE_EVENT,
+    event_topic: `0x${hex(keccak_256(BATCH_METADATA_UPDATE_EVENT))}`,
+    function: updateFunction,
+    selector: `0x${selector}`,
+    transactions: tokenRanges(tokenIds).map(([from, to]) => ({
+      to: contract,
+      from_token_id: from.toString(),
+      to_token_id: to.toString(),
+      data: `0x${selector}${encodeUint256(from)}${encodeUint256(to)}`
+    }))
+  };
+}
+
+function requestFor(endpoint, { chain, contract }, tokenId, env) {
+  const url = endpoint.url
+    .replaceAll('{chain}', encodeURIComponent(chain))
+    .replaceAll('{contract}', encodeURIComponent(contract))
+    .replaceAll('{token_id}', encodeURIComponent(tokenId));
+  const headers = Object.fromEntries(Object.entries(endpoint.headers).map(([name, value]) =>
+    [name, value.startsWith('$') ? env[value.slice(1)] || '' : value]
+  ));
+  return { url, method: endpoint.method, headers };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return seconds > 0 ? seconds * 1000 : DEFAULT_RETRY_AFTER_MS;
+}
+
+// One token at one marketplace; 429 and 5xx are retried, honouring
+// Retry-After. No request runs past `deadline`; a token the deadline leaves
+// no time for is skipped.
+async function refreshToken(endpoint, request, tokenId, deadline) {
+  let status = null;
+  let error = null;
+  let attempts = 0;
+
+  while (attempts < MAX_ATTEMPTS) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      error ??= 'time budget exhausted';
+      break;
+    }
+    attempts++;
+    let delay = 0;
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        signal: AbortSignal.timeout(Math.min(REQUEST_TIMEOUT_MS, remaining))
+      });
+      status = response.status;
+      error = response.ok ? null : `HTTP ${status}`;
+      if (status === 429) delay = retryAfterMs(response);
+      else if (status >= 500) delay = 1000 * 2 ** (attempts - 1);
+      else break;
+    } catch (err) {
+      status = null;
+      error = err.message;
+      delay = 1000 * 2 ** (attempts - 1);
+    }
+    if (attempts === MAX_ATTEMPTS || Date.now() + delay > deadline) break;
+    await wait(delay);
+  }
+
+  return {
+    marketplace: endpoint.name,
+    token_id: tokenId,
+    outcome: attempts === 0 ? 'skipped' : error ? 'failed' : 'refreshed',
+    status,
+    error,
+    attempts,
+    at: new Date().toISOString()
+  };
+}
+
+// Every token at one marketplace, `batch_size` at a time and paced to
+// `requests_per_second`. Tokens not reached before `deadline` are skipped.
+async function refreshEndpoint(endpoint, config, { dryRun, deadline, env }) {
+  const results = [];
+  const batchInterval = (endpoint.batch_size / endpoint.requests_per_second) * 1000;
+
+  for (let i = 0; i < config.tokenIds.length; i += endpoint.batch_size) {
+    const batch = config.tokenIds.slice(i, i + endpoint.batch_size);
+
+    if (dryRun) {
+      results.push(...batch.map(tokenId => ({
+        marketplace: endpoint.name,
+        token_id: tokenId,
+        outcome: 'dry_run',
+        status: null,
+        error: null,
+        attempts: 0,
+        at: new Date().toISOString(),
+        // What would be sent, minus the headers that may carry API keys
+        request: { url: requestFor(endpoint, config, tokenId, env).url, method: endpoint.method }
+      })));
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      results.push(...config.tokenIds.slice(i).map(tokenId => ({
+        marketplace: endpoint.name,
+        token_id: tokenId,
+        outcome: 'skipped',
+        status: null,
+        error: 'time budget exhausted',
+        attempts: 0,
+        at: new Date().toISOString()
+      })));
+      break;
+    }
+
+    const started = Date.now();
+    results.push(...await Promise.all(batch.map(tokenId =>
+      refreshToken(endpoint, requestFor(endpoint, config, tokenId, env), tokenId, deadline)
+    )));
+
+    const remaining = batchInterval - (Date.now() - started);
+    if (remaining > 0 && i + endpoint.batch_size < config.tokenIds.length) await wait(remaining);
+  }
+
+  return results;
+}
+
+function summarize(results) {
+  const summary = {};
+  for (const { marketplace, outcome } of results) {
+    summary[marketplace] ??= Object.fromEntries(REFRESH_OUTCOMES.map(name => [name, 0]));
+    summary[marketplace][outcome]++;
+  }
+  return summary;
+}
+
+// Request a refresh of every configured token at every endpoint (marketplaces
+// run side by side, each under its own rate limit) and build the on-chain
+// calldata. Resolves to a run report with one result per token and
+// marketplace; never rejects for a failed request.
+export async function refreshMarketplaceMetadata(config, {
+  runId = randomUUID(),
+  trigger = 'transition',
+  dryRun = config.dryRun,
+  deadline = Infinity,
+  env = process.env
+} = {}) {
+  const startedAt = new Date();
+
+  const results = (await Promise.all(config.endpoints.map(endpoint =>
+    refreshEndpoint(endpoint, config, { dryRun, deadline, env })
+  ))).flat();
+  const summary = summarize(results);
+
+  for (const [marketplace, counts] of Object.entries(summary)) {
+    logger.info('Metadata refresh finished', { run_id: runId, marketplace, ...counts });
+  }
+
+  return {
+    run_id: runId,
+    trigger,
+    dry_run: dryRun,
+    contract: config.contract,
+    chain: config.chain,
+    token_count: config.tokenIds.length,
+    started_at: startedAt.toISOString(),
+    completed_at: new Date().toISOString(),
+    summary,
+    calldata: buildBatchMetadataUpdateCalldata(config.tokenIds, config),
+    results
+  };
+}
+
+const MAX_REFRESH_QUERY_LIMIT = 1000;
+
+// Validate a result log query `?run_id=&outcome=&limit=`. Returns `{ error }`
+// when the query is unusable.
+export function parseRefreshQuery({ run_id, outcome, limit } = {}) {
+  if (outcome !== undefined && !REFRESH_OUTCOMES.includes(outcome)) {
+    return { error: `outcome must be one of: ${REFRESH_OUTCOMES.join(', ')}` };
+  }
+
+  const parsedLimit = limit === undefined ? 100 : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_REFRESH_QUERY_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_REFRESH_QUERY_LIMIT}` };
+  }
+
+  return {
+    runId: run_id || undefined,
+    outcome: outcome || undefined,
+    limit: parsedLimit
+  };
+}
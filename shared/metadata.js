@@ -0,0 +1,51 @@
+// ERC-721 tokenURI metadata (OpenSea metadata standard) built from a
+// sentiment snapshot, so marketplaces show the live market state as traits.
+import { ASSET_URLS } from "./assets.js";
+import { DEFAULT_MARKET_STATE, MARKET_STATES } from "./sentiment.js";
+
+export const COLLECTION_NAME = 'Bull & Piano';
+
+const DESCRIPTION = 'A dynamic NFT that reflects NFT market sentiment. ' +
+  'The bull and the piano move between capitulation, stagnation, resilience and euphoria ' +
+  'as trading activity across the market changes.';
+
+// Token ids are non-negative integers; anything else is rejected with a 400
+export function isValidTokenId(tokenId) {
+  return typeof tokenId === 'string' && /^\d{1,78}$/.test(tokenId);
+}
+
+function titleCase(state) {
+  return state.charAt(0).toUpperCase() + state.slice(1);
+}
+
+// `snapshot` is what /api/market-sentiment serves (or null when only fallback
+// data is available); `baseUrl` is the public origin of this deployment.
+export function buildTokenMetadata(tokenId, snapshot, { baseUrl = '', name = COLLECTION_NAME } = {}) {
+  const state = MARKET_STATES.includes(snapshot?.market_state) ? snapshot.market_state : DEFAULT_MARKET_STATE;
+  const updatedAt = snapshot?.timestamp ? Math.floor(snapshot.timestamp / 1000) : null;
+
+  const attributes = [
+    { trait_type: 'Market State', value: titleCase(state) },
+    { trait_type: 'Sentiment Score', value: snapshot?.sentiment_score ?? 0.5, display_type: 'number' },
+    {
+      trait_type: '24h Volume',
+      value: Math.round((snapshot?.raw_data?.volume_24h ?? 0) * 1000) / 1000,
+      display_type: 'number'
+    }
+  ];
+
+  if (updatedAt !== null) {
+    attributes.push({ trait_type: 'Last Updated', value: updatedAt, display_type: 'date' });
+  }
+
+  return {
+    name: `${name} #${tokenId}`,
+    description: DESCRIPTION,
+    image: ASSET_URLS[state],
+    animation_url: `${baseUrl}/`,
+    external_url: `${baseUrl}/`,
+    attributes,
+    // Set while a curator override pins the state (shared/overrides.js)
+    ...(snapshot?.override ? { override: snapshot.override } : {})
+  };
+}
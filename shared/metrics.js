@@ -0,0 +1,169 @@
+// Process-wide metrics in the Prometheus text format, served at /api/metrics.
+// On Express every counter and histogram is live. Serverless functions are
+// bundled and run separately, so a metrics function never sees the requests
+// the other functions count: there it serves SNAPSHOT_METRICS only.
+//
+// Snapshot gauges are only kept for the market-wide scope so arbitrary
+// `?contract=` requests cannot add series without limit.
+import { logger } from "./logger.js";
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const families = [];
+const collectors = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function register(type, name, help, buckets = null) {
+  // Series by their label set, serialised
+  const series = new Map();
+  families.push({ type, name, help, buckets, series });
+
+  const entry = (labels, create) => {
+    const key = formatLabels(labels);
+    if (!series.has(key)) series.set(key, { labels, ...create() });
+    return series.get(key);
+  };
+  return { series, entry };
+}
+
+function valueMetric(type, name, help) {
+  const { series, entry } = register(type, name, help);
+  return {
+    inc(labels = {}, by = 1) {
+      entry(labels, () => ({ value: 0 })).value += by;
+    },
+    set(labels, value) {
+      entry(labels, () => ({ value: 0 })).value = value;
+    },
+    clear() {
+      series.clear();
+    }
+  };
+}
+
+const counter = (name, help) => valueMetric('counter', name, help);
+const gauge = (name, help) => valueMetric('gauge', name, help);
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const { entry } = register('histogram', name, help, buckets);
+  return {
+    observe(labels, value) {
+      const observed = entry(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) observed.counts[i]++;
+      });
+      observed.sum += value;
+      observed.count++;
+    }
+  };
+}
+
+export const sentimentScore = gauge('nft_sentiment_score', 'Current market-wide sentiment score (0-1)');
+export const marketState = gauge('nft_market_state', 'Current market-wide state, as one series set to 1 labelled with the state');
+export const basketVolume = gauge('nft_basket_volume_eth', 'Market-wide sales volume in ETH by window');
+export const salesCount = gauge('nft_sales_count', 'Market-wide sales in the last 24 hours');
+export const snapshotAge = gauge('nft_snapshot_age_seconds', 'Age of the published market-wide snapshot');
+export const upstreamRequests = counter('nft_upstream_requests_total', 'Upstream requests (market data and prices) by provider, endpoint and status');
+export const upstreamDuration = histogram('nft_upstream_request_duration_seconds', 'Upstream request duration by provider and endpoint');
+export const refreshDuration = histogram('nft_refresh_duration_seconds', 'Scheduled sentiment refresh duration by runtime and outcome');
+export const cacheRequests = counter('nft_cache_requests_total', 'Sentiment cache lookups by cache and result');
+export const imageFallbacks = counter('nft_image_fallbacks_total', 'Artwork requests answered with the stagnation fallback, by reason');
+export const forcedStates = counter('nft_forced_states_total', 'Responses for a state forced with ?force=, by endpoint and state');
+
+// The gauges read from the published snapshot, which any runtime can serve.
+// The counters and histograms above are Express-only.
+export const SNAPSHOT_METRICS = [
+  'nft_sentiment_score',
+  'nft_market_state',
+  'nft_basket_volume_eth',
+  'nft_sales_count',
+  'nft_snapshot_age_seconds'
+];
+
+// Run `collect()` before every scrape, for values read at scrape time
+export function onCollect(collect) {
+  collectors.push(collect);
+}
+
+// Market-wide gauges from a published snapshot (`sentiment_score`,
+// `market_state`, `raw_data`, `timestamp`); ignored when null
+export function recordMarketSnapshot(snapshot, now = Date.now()) {
+  if (!snapshot) return;
+  sentimentScore.set({}, snapshot.sentiment_score);
+  marketState.clear();
+  marketState.set({ state: snapshot.market_state }, 1);
+  basketVolume.set({ window: '24h' }, snapshot.raw_data?.volume_24h ?? 0);
+  basketVolume.set({ window: '30d' }, snapshot.raw_data?.volume_30d ?? 0);
+  salesCount.set({}, snapshot.raw_data?.sales_count ?? 0);
+  if (snapshot.timestamp) {
+    snapshotAge.set({}, Math.max(0, (now - snapshot.timestamp) / 1000));
+  }
+}
+
+// Counters from a shared/swr-cache.js instance's stats()
+export function recordCacheStats(cache, stats) {
+  for (const result of ['hits', 'stale_hits', 'misses', 'coalesced']) {
+    cacheRequests.set({ cache, result }, stats[result]);
+  }
+}
+
+// Time `task()` into nft_refresh_duration_seconds under `runtime`
+export async function timeRefresh(runtime, task) {
+  const started = Date.now();
+  let outcome = 'error';
+  try {
+    const result = await task();
+    outcome = 'success';
+    return result;
+  } finally {
+    refreshDuration.observe({ runtime, outcome }, (Date.now() - started) / 1000);
+  }
+}
+
+// The scrape body, limited to the families named in `only` when given
+export async function renderMetrics({ only = null } = {}) {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (error) {
+      logger.warn('Metrics collector failed', { error: error.message });
+    }
+  }
+
+  const lines = [];
+  for (const { type, name, help, buckets, series } of families) {
+    if (series.size === 0 || (only && !only.includes(name))) continue;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    for (const observed of series.values()) {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatLabels(observed.labels)} ${observed.value}`);
+        continue;
+      }
+      buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...observed.labels, le: bound })} ${observed.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...observed.labels, le: '+Inf' })} ${observed.count}`);
+      lines.push(`${name}_sum${formatLabels(observed.labels)} ${observed.sum}`);
+      lines.push(`${name}_count${formatLabels(observed.labels)} ${observed.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// METRICS_TOKEN, when set, must be sent as `Authorization: Bearer <token>`
+export function isMetricsRequestAuthorized(authorization, env = process.env) {
+  if (!env.METRICS_TOKEN) return true;
+  return authorization === `Bearer ${env.METRICS_TOKEN}`;
+}
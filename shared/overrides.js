@@ -0,0 +1,157 @@
+// Curator overrides: a market state pinned globally for a period, either
+// starting now or scheduled ahead (an exhibition window, say). Overrides are
+// stored records `{ id, state, startsAt, until, createdBy, createdAt,
+// cancelledAt, reason }` with Date fields; while one is active the published
+// state is replaced and responses report `override: { state, until, by }`.
+// The Express server keeps them in its storage; the Vercel and Netlify
+// functions keep the serialized list in blob storage next to the snapshot.
+import { randomUUID } from "node:crypto";
+import { MARKET_STATES } from "./sentiment.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest override a curator can create in one request
+export const MAX_OVERRIDE_DAYS = 90;
+
+function parseTime(value) {
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(value)) return Number(value);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Validate a create request `{ state, until | duration_hours, starts_at?, reason? }`.
+// Returns `{ error }` or the fields to store.
+export function parseOverrideRequest(body, now = Date.now()) {
+  const { state, until, duration_hours, starts_at, reason } = body || {};
+
+  if (!MARKET_STATES.includes(state)) {
+    return { error: `state must be one of: ${MARKET_STATES.join(', ')}` };
+  }
+
+  const startsAt = starts_at === undefined ? now : parseTime(starts_at);
+  if (startsAt === null) return { error: 'starts_at must be an ISO date or epoch milliseconds' };
+
+  let untilMs;
+  if (until !== undefined) {
+    untilMs = parseTime(until);
+    if (untilMs === null) return { error: 'until must be an ISO date or epoch milliseconds' };
+  } else if (duration_hours !== undefined) {
+    const hours = Number(duration_hours);
+    if (!(hours > 0)) return { error: 'duration_hours must be a positive number' };
+    untilMs = startsAt + hours * HOUR_MS;
+  } else {
+    return { error: 'until or duration_hours is required' };
+  }
+
+  if (untilMs <= startsAt) return { error: 'until must be after starts_at' };
+  if (untilMs <= now) return { error: 'until must be in the future' };
+  if (untilMs - startsAt > MAX_OVERRIDE_DAYS * 24 * HOUR_MS) {
+    return { error: `overrides can last at most ${MAX_OVERRIDE_DAYS} days` };
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    return { error: 'reason must be a string' };
+  }
+
+  return {
+    state,
+    startsAt: new Date(startsAt),
+    until: new Date(untilMs),
+    reason: reason ?? null
+  };
+}
+
+export function overrideStatus(override, now = Date.now()) {
+  if (override.cancelledAt) return 'cancelled';
+  if (override.until.getTime() <= now) return 'expired';
+  if (override.startsAt.getTime() > now) return 'scheduled';
+  return 'active';
+}
+
+// The override in force at `now`; the most recently created wins when
+// several overlap
+export function findActiveOverride(overrides, now = Date.now()) {
+  return overrides
+    .filter(override => overrideStatus(override, now) === 'active')
+    .reduce((latest, override) =>
+      !latest || override.createdAt > latest.createdAt ? override : latest,
+      undefined
+    );
+}
+
+// Time of the next start or end of a pending override, so cache lifetimes
+// can stop short of it; null when nothing is pending
+export function nextOverrideChange(overrides, now = Date.now()) {
+  const upcoming = overrides
+    .filter(override => !override.cancelledAt)
+    .flatMap(override => [override.startsAt.getTime(), override.until.getTime()])
+    .filter(time => time > now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
+
+// The override in force at `now`, and the cache lifetime in seconds: at
+// most `maxAge`, and no later than the next override start or end
+export function overrideWindow(overrides, maxAge, now = Date.now()) {
+  const nextChange = nextOverrideChange(overrides, now);
+  return {
+    override: findActiveOverride(overrides, now),
+    maxAge: nextChange === null ? maxAge : Math.min(maxAge, Math.ceil((nextChange - now) / 1000))
+  };
+}
+
+// A record to store from parseOverrideRequest() fields
+export function createOverrideRecord(fields, createdBy, now = Date.now()) {
+  return {
+    id: randomUUID(),
+    ...fields,
+    createdBy,
+    createdAt: new Date(now),
+    cancelledAt: null
+  };
+}
+
+// What responses report for an active override
+export function describeOverride(override) {
+  return {
+    state: override.state,
+    until: override.until.toISOString(),
+    by: override.createdBy
+  };
+}
+
+// A sentiment result with the override's state published in its place.
+// Only responses are overridden; stored snapshots keep the computed state.
+export function applyOverride(result, override) {
+  if (!override) return result;
+  return { ...result, market_state: override.state, override: describeOverride(override) };
+}
+
+// Admin API representation of a stored override
+export function serializeOverride(override, now = Date.now()) {
+  return {
+    id: override.id,
+    state: override.state,
+    status: overrideStatus(override, now),
+    starts_at: override.startsAt.toISOString(),
+    until: override.until.toISOString(),
+    by: override.createdBy,
+    reason: override.reason,
+    created_at: override.createdAt.toISOString(),
+    cancelled_at: override.cancelledAt ? override.cancelledAt.toISOString() : null
+  };
+}
+
+// A stored record back from serializeOverride() output, as blob storage
+// holds them
+export function deserializeOverride(entry) {
+  return {
+    id: entry.id,
+    state: entry.state,
+    startsAt: new Date(entry.starts_at),
+    until: new Date(entry.until),
+    createdBy: entry.by,
+    reason: entry.reason ?? null,
+    createdAt: new Date(entry.created_at),
+    cancelledAt: entry.cancelled_at ? new Date(entry.cancelled_at) : null
+  };
+}
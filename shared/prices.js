@@ -0,0 +1,134 @@
+// Conversion of sale and floor prices to ETH. A fee names its currency by
+// `tokenAddress` (the zero address being the chain's native currency) and
+// `symbol`, and a price table gives each currency's value in ETH:
+//   PRICE_SOURCE       'file' (default) or 'coingecko' for live rates
+//   PRICE_TABLE_FILE   the static table (default config/prices.json): ETH per
+//                      unit of each symbol, the symbol of known token
+//                      addresses, and each symbol's CoinGecko id
+//   COINGECKO_API_KEY  optional CoinGecko demo API key
+// A currency missing from the table has no rate; the engine reports sales in
+// it instead of summing them.
+import { readFile } from "node:fs/promises";
+import { fetchWithRetry } from "./providers/http.js";
+import { CHAINS, DEFAULT_CHAIN } from "./chains.js";
+import { logger } from "./logger.js";
+
+export const DEFAULT_PRICE_TABLE_FILE = 'config/prices.json';
+
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+// How long live rates are reused
+const LIVE_TTL_MS = 60 * 60 * 1000;
+
+// Always known, whatever the table says: ETH and the tokens worth exactly one
+// ETH (wrapped ETH on each chain, and Blur's pool token)
+export const BASE_PRICE_TABLE = {
+  source: 'builtin',
+  as_of: null,
+  eth_per_unit: { ETH: 1, WETH: 1, BLUR_POOL: 1 },
+  tokens: {
+    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 'WETH',
+    '0x4200000000000000000000000000000000000006': 'WETH',
+    '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': 'WETH',
+    '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619': 'WETH',
+    '0x0000000000a39bb272e79075ade125fd351887ac': 'BLUR_POOL'
+  },
+  coingecko_ids: {}
+};
+
+let cached = null;
+
+async function readTable(file) {
+  try {
+    const table = JSON.parse(await readFile(file, 'utf8'));
+    return {
+      source: 'file',
+      as_of: table.as_of ?? null,
+      eth_per_unit: { ...table.eth_per_unit, ...BASE_PRICE_TABLE.eth_per_unit },
+      tokens: {
+        ...Object.fromEntries(Object.entries(table.tokens || {}).map(([address, symbol]) => [address.toLowerCase(), symbol])),
+        ...BASE_PRICE_TABLE.tokens
+      },
+      coingecko_ids: table.coingecko_ids || {}
+    };
+  } catch (error) {
+    logger.warn('Could not read price table, pricing ETH only', { file, error: error.message });
+    return BASE_PRICE_TABLE;
+  }
+}
+
+// The file's rates refreshed from CoinGecko; the file's own rates stand in
+// for any the request does not return
+async function fetchLiveTable(table, env) {
+  const ids = Object.values(table.coingecko_ids);
+  if (ids.length === 0) return table;
+
+  const query = new URLSearchParams({ ids: ids.join(','), vs_currencies: 'eth' });
+  const headers = {
+    'Accept': 'application/json',
+    ...(env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': env.COINGECKO_API_KEY } : {})
+  };
+
+  try {
+    const response = await fetchWithRetry('coingecko', `${COINGECKO_API}/simple/price?${query}`, { headers }, { env, endpoint: 'simple_price' });
+    if (!response.ok) {
+      throw new Error(`CoinGecko price request failed: ${response.status}`);
+    }
+    const quotes = await response.json();
+
+    const rates = { ...table.eth_per_unit };
+    for (const [symbol, id] of Object.entries(table.coingecko_ids)) {
+      const rate = Number(quotes[id]?.eth);
+      if (rate > 0) rates[symbol] = rate;
+    }
+    return { ...table, source: 'coingecko', as_of: new Date().toISOString(), eth_per_unit: { ...rates, ...BASE_PRICE_TABLE.eth_per_unit } };
+  } catch (error) {
+    logger.warn('Live prices unavailable, using the static table', { error: error.message });
+    return table;
+  }
+}
+
+// The price table for PRICE_SOURCE. File tables are read once per process;
+// live tables are refetched after an hour. When the file cannot be read the
+// built-in table is used for that call only, and the read is retried next time.
+export async function loadPriceTable(env = process.env) {
+  const file = env.PRICE_TABLE_FILE || DEFAULT_PRICE_TABLE_FILE;
+  const live = env.PRICE_SOURCE === 'coingecko';
+  const key = `${live ? 'coingecko' : 'file'}:${file}`;
+
+  if (cached?.key === key && (!live || Date.now() < cached.expires)) {
+    return cached.table;
+  }
+
+  const table = await readTable(file);
+  const resolved = live ? await fetchLiveTable(table, env) : table;
+  if (table !== BASE_PRICE_TABLE) {
+    cached = { key, table: resolved, expires: Date.now() + LIVE_TTL_MS };
+  }
+  return resolved;
+}
+
+// What the engine needs to price a collection's sales: the table, and the
+// native currency of the collection's chain
+export function pricingFor(chain = DEFAULT_CHAIN, table = BASE_PRICE_TABLE) {
+  return { native: CHAINS[chain]?.nativeCurrency ?? 'ETH', table };
+}
+
+// Symbol of the currency a fee is paid in: the chain's native currency for
+// the zero address, else the table's name for its token address. Anyone can
+// deploy a token called "WETH", so a token address missing from the table is
+// `UNKNOWN:<address>` whatever its symbol says, and is reported as unpriced.
+// The fee's own symbol is used only when it carries no address; a fee with
+// neither is `UNKNOWN`.
+export function feeCurrency(fee, { native, table }) {
+  const address = typeof fee.tokenAddress === 'string' && fee.tokenAddress ? fee.tokenAddress.toLowerCase() : null;
+  if (address === ZERO_ADDRESS) return native;
+  if (address) return table.tokens[address] ?? `UNKNOWN:${address}`;
+  return fee.symbol ? fee.symbol.toUpperCase() : 'UNKNOWN';
+}
+
+// `amount` units of `symbol` in ETH, or null when the table has no rate
+export function toEth(amount, symbol, table) {
+  const rate = table.eth_per_unit[symbol];
+  return rate > 0 ? amount * rate : null;
+}
@@ -0,0 +1,98 @@
+// Alchemy NFT API v3 market data provider, on each chain's own network
+import { fetchWithRetry } from "./http.js";
+import { CHAINS, DEFAULT_CHAIN } from "../chains.js";
+import { logger } from "../logger.js";
+
+// Sales per getNFTSales page (Alchemy's maximum)
+const SALES_PAGE_SIZE = 100;
+
+export function createAlchemyProvider(apiKey) {
+  const headers = { 'Accept': 'application/json' };
+
+  // Each network gets its own circuit breaker, so one chain's outage does
+  // not cut off the others
+  async function get(chain, method, params, deadline) {
+    const network = CHAINS[chain]?.alchemyNetwork;
+    if (!network) {
+      throw new Error(`Alchemy does not serve chain ${chain}`);
+    }
+    const query = new URLSearchParams(params);
+    const response = await fetchWithRetry(`alchemy:${chain}`, `https://${network}.g.alchemy.com/nft/v3/${apiKey}/${method}?${query}`, { headers }, { endpoint: method, deadline });
+    if (!response.ok) {
+      throw new Error(`Alchemy ${method} on ${chain} failed: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    name: 'alchemy',
+    signal: 'sales',
+
+    // Alchemy only serves floor prices on Ethereum mainnet
+    async getFloorPrice(contract, { chain = DEFAULT_CHAIN, deadline } = {}) {
+      if (chain !== 'ethereum') {
+        throw new Error(`Alchemy does not serve floor prices on ${chain}`);
+      }
+      return get(chain, 'getFloorPrice', { contractAddress: contract }, deadline);
+    },
+
+    // Newest-first sales, paging until `since` is reached or `maxPages` have
+    // been read. A failure after the first page keeps what was collected and
+    // reports it as `error`; paging also stops at `deadline` (epoch ms),
+    // reported as `deadlineReached`.
+    async getSales(contract, { chain = DEFAULT_CHAIN, since = 0, maxPages = 1, deadline = Infinity } = {}) {
+      const nftSales = [];
+      let pageKey = null;
+      let pages = 0;
+      let complete = false;
+      let pageError = null;
+      let deadlineReached = false;
+
+      do {
+        if (pages > 0 && Date.now() >= deadline) {
+          logger.warn('Stopped paging sales at the deadline', { contract, chain, pages });
+          deadlineReached = true;
+          break;
+        }
+
+        let data;
+        try {
+          data = await get(chain, 'getNFTSales', {
+            contractAddress: contract,
+            order: 'desc',
+            limit: String(SALES_PAGE_SIZE),
+            ...(pageKey ? { pageKey } : {})
+          }, deadline);
+        } catch (error) {
+          if (pages === 0) throw error;
+          logger.warn('Stopped paging sales', { contract, chain, pages, error: error.message });
+          pageError = error.message;
+          break;
+        }
+
+        const sales = data.nftSales || [];
+        nftSales.push(...sales);
+        pageKey = data.pageKey;
+        pages++;
+
+        // Stop once the oldest sale on this page is past the window
+        const oldest = sales[sales.length - 1];
+        if (!pageKey || (oldest && new Date(oldest.blockTimestamp).getTime() < since)) {
+          complete = true;
+        }
+      } while (!complete && pages < maxPages);
+
+      return {
+        nftSales,
+        pages,
+        complete,
+        ...(pageError ? { error: pageError } : {}),
+        ...(deadlineReached ? { deadlineReached: true } : {})
+      };
+    },
+
+    async getCollectionStats() {
+      throw new Error('The alchemy provider does not serve collection stats');
+    }
+  };
+}
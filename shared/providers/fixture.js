@@ -0,0 +1,73 @@
+// Offline provider that replays recorded API payloads from disk, for local
+// development and automated tests without an API key or network access.
+//
+// Layout under the fixture directory (file names are lower-cased keys; each
+// folder may hold a default.json used when no specific file exists):
+//   floor/<contract>.json   Alchemy getFloorPrice response
+//   sales/<contract>.json   Alchemy getNFTSales response
+//   stats/<slug>.json       OpenSea collection stats response
+// Off Ethereum, <chain>-<contract>.json is tried before <contract>.json.
+//
+// A sales fixture may carry `recordedAt`; sale timestamps are then shifted by
+// the time elapsed since recording so the 24h/30d windows stay populated.
+// With `pageSize`, its (newest-first) sales are served in pages of that size
+// so paging and the page budget can be exercised.
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { DEFAULT_CHAIN } from "../chains.js";
+
+export function createFixtureProvider(dir, { signal = 'sales' } = {}) {
+  async function load(kind, key, chain = DEFAULT_CHAIN) {
+    const names = [key, 'default'];
+    if (key && chain !== DEFAULT_CHAIN) names.unshift(`${chain}-${key}`);
+    for (const name of names) {
+      if (!name) continue;
+      try {
+        return JSON.parse(await readFile(path.join(dir, kind, `${name.toLowerCase()}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    throw new Error(`No ${kind} fixture for ${key} in ${dir}`);
+  }
+
+  return {
+    name: 'fixture',
+    signal,
+
+    getFloorPrice(contract, { chain = DEFAULT_CHAIN } = {}) {
+      return load('floor', contract, chain);
+    },
+
+    async getSales(contract, { chain = DEFAULT_CHAIN, since = 0, maxPages = 1, now = Date.now() } = {}) {
+      const fixture = await load('sales', contract, chain);
+      const shift = fixture.recordedAt ? now - Date.parse(fixture.recordedAt) : 0;
+      const sales = (fixture.nftSales || []).map(sale => ({
+        ...sale,
+        blockTimestamp: new Date(new Date(sale.blockTimestamp).getTime() + shift).toISOString()
+      }));
+      if (!fixture.pageSize) {
+        return { nftSales: sales, pages: 1, complete: true };
+      }
+
+      // Same stopping rule as the Alchemy provider
+      const nftSales = [];
+      let pages = 0;
+      let complete = false;
+      do {
+        const page = sales.slice(pages * fixture.pageSize, (pages + 1) * fixture.pageSize);
+        nftSales.push(...page);
+        pages++;
+        const oldest = page[page.length - 1];
+        if (nftSales.length >= sales.length || (oldest && new Date(oldest.blockTimestamp).getTime() < since)) {
+          complete = true;
+        }
+      } while (!complete && pages < maxPages);
+      return { nftSales, pages, complete };
+    },
+
+    getCollectionStats(slug) {
+      return load('stats', slug);
+    }
+  };
+}
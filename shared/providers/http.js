@@ -0,0 +1,151 @@
+// HTTP for the market data providers. Network errors, 429 and 5xx responses
+// are retried with jittered exponential backoff (honouring Retry-After), and
+// each provider sits behind a circuit breaker so an upstream that keeps
+// failing is left alone for a while instead of being hammered:
+//   PROVIDER_MAX_RETRIES               retries after the first attempt (default 3)
+//   PROVIDER_BREAKER_THRESHOLD         consecutive failed requests that open the breaker (default 5)
+//   PROVIDER_BREAKER_COOLDOWN_SECONDS  how long an open breaker rejects requests (default 60)
+// Every attempt is counted and timed in shared/metrics.js.
+import { upstreamDuration, upstreamRequests } from "../metrics.js";
+import { logger, recordUpstreamCall } from "../logger.js";
+
+const BASE_DELAY_MS = 500;
+// Longest Retry-After worth waiting for inside one refresh
+const MAX_RETRY_DELAY_MS = 10000;
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Breakers live for the process so they span requests and refreshes
+const breakers = new Map();
+
+function intEnv(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed >= 0 ? parsed : fallback;
+}
+
+function breakerFor(name, env) {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      state: 'closed',
+      failures: 0,
+      openUntil: 0,
+      threshold: Math.max(1, intEnv(env.PROVIDER_BREAKER_THRESHOLD, 5)),
+      cooldownMs: intEnv(env.PROVIDER_BREAKER_COOLDOWN_SECONDS, 60) * 1000
+    });
+  }
+  return breakers.get(name);
+}
+
+// Breaker state per provider, for /api/health
+export function breakerStates() {
+  return Object.fromEntries([...breakers].map(([name, breaker]) => [name, {
+    state: breaker.state,
+    consecutive_failures: breaker.failures,
+    ...(breaker.state === 'open' ? { open_until: new Date(breaker.openUntil).toISOString() } : {})
+  }]));
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After as seconds or an HTTP date; null when absent or unparseable
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter, so callers that failed together do not
+// retry together
+function backoffMs(attempt) {
+  const ceiling = BASE_DELAY_MS * 2 ** attempt;
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// fetch() for provider `name` with retries and the circuit breaker. Resolves
+// to the final response (callers still check `ok`); rejects on network
+// errors after the last retry, or at once while the breaker is open.
+// `endpoint` labels the request in the metrics. With a `deadline` (epoch
+// ms) no attempt outlives it and no retry is started that would wait past it.
+export async function fetchWithRetry(name, url, init = {}, { env = process.env, endpoint = 'request', deadline = Infinity } = {}) {
+  if (Date.now() >= deadline) {
+    throw new Error(`${name} ${endpoint} skipped: deadline reached`);
+  }
+
+  const breaker = breakerFor(name, env);
+  const now = Date.now();
+
+  if (breaker.state === 'open') {
+    if (now < breaker.openUntil) {
+      upstreamRequests.inc({ provider: name, endpoint, status: 'circuit_open' });
+      throw new Error(`${name} circuit open until ${new Date(breaker.openUntil).toISOString()}`);
+    }
+    // Cooldown over: let this request through as a trial
+    breaker.state = 'half_open';
+  } else if (breaker.state === 'half_open') {
+    throw new Error(`${name} circuit half-open, trial request in progress`);
+  }
+
+  // A trial request gets one attempt
+  const maxRetries = breaker.state === 'half_open' ? 0 : intEnv(env.PROVIDER_MAX_RETRIES, 3);
+  let response = null;
+  let error = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const started = Date.now();
+    try {
+      const timeoutMs = Math.max(1, Math.min(REQUEST_TIMEOUT_MS, deadline - started));
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      error = null;
+    } catch (err) {
+      response = null;
+      error = err;
+    }
+    const elapsed = Date.now() - started;
+    upstreamRequests.inc({ provider: name, endpoint, status: response ? String(response.status) : 'network_error' });
+    upstreamDuration.observe({ provider: name, endpoint }, elapsed / 1000);
+    recordUpstreamCall(elapsed);
+    logger.debug('Upstream request', { provider: name, endpoint, status: response ? response.status : null, duration_ms: elapsed });
+
+    if (response && !isRetryable(response.status)) break;
+    if (attempt === maxRetries) break;
+
+    let delay = backoffMs(attempt);
+    if (response) {
+      const requested = retryAfterMs(response);
+      if (requested !== null) {
+        if (requested > MAX_RETRY_DELAY_MS) break;
+        delay = Math.max(delay, requested);
+      }
+    }
+    if (Date.now() + delay >= deadline) break;
+    logger.warn('Upstream request failed, retrying', {
+      provider: name,
+      endpoint,
+      status: response ? response.status : null,
+      error: error ? error.message : null,
+      retry_in_ms: delay
+    });
+    await wait(delay);
+  }
+
+  if (error || isRetryable(response.status)) {
+    breaker.failures++;
+    if (breaker.state === 'half_open' || breaker.failures >= breaker.threshold) {
+      breaker.state = 'open';
+      breaker.openUntil = Date.now() + breaker.cooldownMs;
+      logger.warn('Circuit opened', { provider: name, failures: breaker.failures });
+    }
+  } else {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+  }
+
+  if (error) throw error;
+  return response;
+}
@@ -0,0 +1,41 @@
+// Market data provider selection. Every provider implements:
+//   getFloorPrice(contract, { chain, deadline })                    Alchemy getFloorPrice payload
+//   getSales(contract, { chain, since, maxPages, now, deadline })   { nftSales, pages, complete, error?, deadlineReached? }
+//   getCollectionStats(slug)                                        OpenSea collection stats payload
+// `chain` is a shared/chains.js name and defaults to Ethereum; `deadline`
+// (epoch ms, optional) is when a refresh stops waiting on the network.
+// Each provider also names the sentiment `signal` it feeds: 'sales' (floor
+// price and sales through the sentiment engine) or 'volume_ratio'
+// (collection stats).
+import { createAlchemyProvider } from "./alchemy.js";
+import { createFixtureProvider } from "./fixture.js";
+import { createOpenSeaProvider } from "./opensea.js";
+
+export const DEFAULT_FIXTURE_DIR = 'fixtures/market-data';
+
+// MARKET_DATA_PROVIDER=alchemy (default) | opensea | fixture. The fixture
+// provider reads MARKET_DATA_FIXTURES and replays either signal, chosen with
+// SENTIMENT_SIGNAL (default 'sales'). Returns `{ error }` when misconfigured.
+export function resolveMarketDataProvider(env = process.env) {
+  const name = (env.MARKET_DATA_PROVIDER || 'alchemy').toLowerCase();
+
+  switch (name) {
+    case 'alchemy':
+      if (!env.ALCHEMY_API_KEY) return { error: 'ALCHEMY_API_KEY not configured' };
+      return { provider: createAlchemyProvider(env.ALCHEMY_API_KEY) };
+
+    case 'opensea':
+      if (!env.OPENSEA_API_KEY) return { error: 'OPENSEA_API_KEY not configured' };
+      return { provider: createOpenSeaProvider(env.OPENSEA_API_KEY) };
+
+    case 'fixture':
+      return {
+        provider: createFixtureProvider(env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURE_DIR, {
+          signal: env.SENTIMENT_SIGNAL || 'sales'
+        })
+      };
+
+    default:
+      return { error: `Unknown MARKET_DATA_PROVIDER: ${name}` };
+  }
+}
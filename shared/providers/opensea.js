@@ -0,0 +1,36 @@
+// OpenSea v2 collection stats, the signal the artwork was designed around
+// (see attached_assets). Only collection stats are served, so selecting this
+// provider switches sentiment to the volume-ratio signal.
+import { fetchWithRetry } from "./http.js";
+
+const OPENSEA_API = 'https://api.opensea.io/api/v2';
+
+export function createOpenSeaProvider(apiKey) {
+  return {
+    name: 'opensea',
+    signal: 'volume_ratio',
+
+    async getFloorPrice() {
+      throw new Error('The opensea provider does not serve floor prices');
+    },
+
+    async getSales() {
+      throw new Error('The opensea provider does not serve sales');
+    },
+
+    async getCollectionStats(slug) {
+      const response = await fetchWithRetry('opensea', `${OPENSEA_API}/collections/${encodeURIComponent(slug)}/stats`, {
+        headers: {
+          'Accept': 'application/json',
+          'x-api-key': apiKey
+        }
+      }, { endpoint: 'collection_stats' });
+
+      if (!response.ok) {
+        throw new Error(`OpenSea stats request failed for ${slug}: ${response.status}`);
+      }
+
+      return response.json();
+    }
+  };
+}
@@ -0,0 +1,78 @@
+// Token-bucket rate limiting per client IP for the public endpoints. Each
+// client holds up to `burst` tokens, refilled at `per_minute` a minute, and
+// every request takes one:
+//   RATE_LIMIT             'off' disables limiting
+//   RATE_LIMIT_PER_MINUTE  sustained requests per minute (default 60)
+//   RATE_LIMIT_BURST       requests allowed at once (default RATE_LIMIT_PER_MINUTE)
+// The admin endpoints take Basic-auth credentials, so they get the tighter
+// ADMIN_RATE_LIMIT budget from buckets of their own. Buckets live in memory, so on Vercel and Netlify each function instance
+// keeps its own. Responses carry RateLimit-Limit, RateLimit-Remaining and
+// RateLimit-Reset (seconds until the bucket is full again); rejected ones
+// add Retry-After.
+
+export const DEFAULT_RATE_LIMIT = { per_minute: 60, burst: 60 };
+export const ADMIN_RATE_LIMIT = { per_minute: 10, burst: 5 };
+
+// Most clients tracked; the least recently seen are dropped beyond this
+const MAX_CLIENTS = 10000;
+
+// Config from the environment, or null when RATE_LIMIT=off
+export function loadRateLimitConfig(env = process.env) {
+  if (env.RATE_LIMIT === 'off') return null;
+
+  const perMinute = Number(env.RATE_LIMIT_PER_MINUTE);
+  const config = { ...DEFAULT_RATE_LIMIT };
+  if (perMinute > 0) {
+    config.per_minute = perMinute;
+    config.burst = perMinute;
+  }
+
+  const burst = parseInt(env.RATE_LIMIT_BURST, 10);
+  if (burst >= 1) config.burst = burst;
+
+  return config;
+}
+
+// Config for the admin endpoints, or null when RATE_LIMIT=off
+export function loadAdminRateLimitConfig(env = process.env) {
+  return env.RATE_LIMIT === 'off' ? null : { ...ADMIN_RATE_LIMIT };
+}
+
+// A limiter whose `take(client)` spends one token, returning `{ allowed,
+// headers }`. Always allows when `config` is null.
+export function createRateLimiter(config = loadRateLimitConfig()) {
+  const buckets = new Map();
+
+  function take(client, now = Date.now()) {
+    if (!config) return { allowed: true, headers: {} };
+
+    const refillPerMs = config.per_minute / 60000;
+    const key = client || 'unknown';
+    const previous = buckets.get(key);
+    const tokens = previous
+      ? Math.min(config.burst, previous.tokens + (now - previous.updatedAt) * refillPerMs)
+      : config.burst;
+
+    const allowed = tokens >= 1;
+    const remaining = allowed ? tokens - 1 : tokens;
+
+    // Reinserted so the Map stays in least recently seen order
+    buckets.delete(key);
+    buckets.set(key, { tokens: remaining, updatedAt: now });
+    if (buckets.size > MAX_CLIENTS) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    const headers = {
+      'RateLimit-Limit': String(config.burst),
+      'RateLimit-Remaining': String(Math.floor(remaining)),
+      'RateLimit-Reset': String(Math.ceil((config.burst - remaining) / refillPerMs / 1000))
+    };
+    if (!allowed) {
+      headers['Retry-After'] = String(Math.ceil((1 - remaining) / refillPerMs / 1000));
+    }
+    return { allowed, headers };
+  }
+
+  return { take };
+}
@@ -0,0 +1,181 @@
+// Sales filtering ahead of volume aggregation in the sentiment engine. Volume
+// is the whole signal, so trades that only exist to move it are dropped:
+//   self_trade     buyer and seller are the same address
+//   round_trip     a token comes back to an address that sold it, passing
+//                  through no more than `round_trip_max_addresses` wallets
+//   price_outlier  price beyond `outlier_multiple` times the collection floor
+//                  (or the median sale price when there is no floor), in
+//                  either direction
+// Every exclusion is counted by reason so a snapshot shows what was removed.
+
+export const DEFAULT_SALES_FILTER_RULES = {
+  round_trip_max_addresses: 3,
+  outlier_multiple: 10
+};
+
+// Most round-trip tokens listed per collection
+const MAX_FLAGGED_TOKENS = 20;
+
+// Rules from the environment, or null when SALES_FILTER=off:
+//   SALES_ROUND_TRIP_MAX_ADDRESSES  largest wallet ring treated as a round trip
+//   SALES_OUTLIER_MULTIPLE          price multiple of floor/median counted as an outlier
+export function loadSalesFilterRules(env = process.env) {
+  if (env.SALES_FILTER === 'off') return null;
+
+  const rules = { ...DEFAULT_SALES_FILTER_RULES };
+
+  const maxAddresses = parseInt(env.SALES_ROUND_TRIP_MAX_ADDRESSES, 10);
+  if (maxAddresses >= 2) rules.round_trip_max_addresses = maxAddresses;
+
+  const multiple = Number(env.SALES_OUTLIER_MULTIPLE);
+  if (multiple > 1) rules.outlier_multiple = multiple;
+
+  return rules;
+}
+
+function address(value) {
+  return typeof value === 'string' ? value.toLowerCase() : null;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function noExclusions() {
+  return {
+    count: 0,
+    volume_eth: 0,
+    by_reason: {
+      self_trade: { count: 0, volume_eth: 0 },
+      round_trip: { count: 0, volume_eth: 0 },
+      price_outlier: { count: 0, volume_eth: 0 }
+    }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Sales of the same token that close a loop through a small ring of wallets
+function findRoundTrips(sales, maxAddresses) {
+  const byToken = new Map();
+  for (const sale of sales) {
+    if (sale.tokenId === undefined || sale.tokenId === null) continue;
+    const key = `${address(sale.contractAddress) ?? ''}:${sale.tokenId}`;
+    if (!byToken.has(key)) byToken.set(key, []);
+    byToken.get(key).push(sale);
+  }
+
+  const flagged = new Set();
+  const tokens = [];
+
+  for (const tokenSales of byToken.values()) {
+    if (tokenSales.length < 2) continue;
+    const ordered = [...tokenSales].sort((a, b) => new Date(a.blockTimestamp).getTime() - new Date(b.blockTimestamp).getTime());
+    let found = false;
+
+    for (let j = 1; j < ordered.length; j++) {
+      const buyer = address(ordered[j].buyerAddress);
+      if (!buyer) continue;
+
+      // The latest earlier sale by this buyer starts the loop
+      let i = j - 1;
+      while (i >= 0 && address(ordered[i].sellerAddress) !== buyer) i--;
+      if (i < 0) continue;
+
+      const loop = ordered.slice(i, j + 1);
+      const ring = new Set(loop.flatMap(sale => [address(sale.buyerAddress), address(sale.sellerAddress)]).filter(Boolean));
+      if (ring.size <= maxAddresses) {
+        loop.forEach(sale => flagged.add(sale));
+        found = true;
+      }
+    }
+
+    if (found) tokens.push(String(ordered[0].tokenId));
+  }
+
+  return { flagged, tokens };
+}
+
+// Apply `rules` (see loadSalesFilterRules) to a collection's sales. Returns
+// the sales to aggregate and `excluded`, the count and ETH volume removed per
+// reason. `priceOf` is the engine's sale price in ETH; `floorPrice` anchors
+// the outlier test when known.
+export function filterSales(sales, { priceOf, floorPrice = 0, rules = DEFAULT_SALES_FILTER_RULES }) {
+  const excluded = { ...noExclusions(), round_trip_tokens: [], outlier_reference: null };
+
+  const exclude = (sale, reason) => {
+    const price = priceOf(sale);
+    excluded.count++;
+    excluded.volume_eth += price;
+    excluded.by_reason[reason].count++;
+    excluded.by_reason[reason].volume_eth += price;
+  };
+
+  let kept = sales.filter(sale => {
+    const buyer = address(sale.buyerAddress);
+    if (buyer && buyer === address(sale.sellerAddress)) {
+      exclude(sale, 'self_trade');
+      return false;
+    }
+    return true;
+  });
+
+  const roundTrips = findRoundTrips(kept, rules.round_trip_max_addresses);
+  kept = kept.filter(sale => {
+    if (roundTrips.flagged.has(sale)) {
+      exclude(sale, 'round_trip');
+      return false;
+    }
+    return true;
+  });
+  excluded.round_trip_tokens = roundTrips.tokens.slice(0, MAX_FLAGGED_TOKENS);
+
+  // Outliers against the floor, or the median of what is left
+  const basis = floorPrice > 0 ? 'floor' : 'median';
+  const reference = floorPrice > 0 ? floorPrice : median(kept.map(priceOf));
+  if (reference > 0) {
+    const multiple = rules.outlier_multiple;
+    excluded.outlier_reference = { basis, price: round(reference), multiple };
+    kept = kept.filter(sale => {
+      const price = priceOf(sale);
+      if (price > reference * multiple || price < reference / multiple) {
+        exclude(sale, 'price_outlier');
+        return false;
+      }
+      return true;
+    });
+  }
+
+  excluded.volume_eth = round(excluded.volume_eth);
+  for (const entry of Object.values(excluded.by_reason)) {
+    entry.volume_eth = round(entry.volume_eth);
+  }
+
+  return { sales: kept, excluded };
+}
+
+// Basket-wide totals of several collections' `excluded`
+export function sumExclusions(exclusions) {
+  const total = noExclusions();
+
+  for (const excluded of exclusions) {
+    if (!excluded) continue;
+    total.count += excluded.count;
+    total.volume_eth += excluded.volume_eth;
+    for (const [reason, entry] of Object.entries(excluded.by_reason)) {
+      total.by_reason[reason].count += entry.count;
+      total.by_reason[reason].volume_eth += entry.volume_eth;
+    }
+  }
+
+  total.volume_eth = round(total.volume_eth);
+  for (const entry of Object.values(total.by_reason)) {
+    entry.volume_eth = round(entry.volume_eth);
+  }
+  return total;
+}
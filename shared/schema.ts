@@ -1,5 +1,16 @@
 import { sql } from "drizzle-orm";
-import { pgTable, text, varchar } from "drizzle-orm/pg-core";
+import {
+  boolean,
+  doublePrecision,
+  index,
+  integer,
+  jsonb,
+  pgTable,
+  text,
+  timestamp,
+  uniqueIndex,
+  varchar,
+} from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 
@@ -16,3 +27,124 @@ export const insertUserSchema = createInsertSchema(users).pick({
 
 export type InsertUser = z.infer<typeof insertUserSchema>;
 export type User = typeof users.$inferSelect;
+
+// A stored sentiment snapshot. `scope` is "market" for the collection basket
+// or the contract address for a single-collection result.
+export const sentimentSnapshots = pgTable("sentiment_snapshots", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  scope: text("scope").notNull(),
+  takenAt: timestamp("taken_at", { withTimezone: true }).notNull(),
+  marketState: text("market_state").notNull(),
+  sentimentScore: doublePrecision("sentiment_score").notNull(),
+  indicators: jsonb("indicators").$type<Record<string, number | null>>().notNull(),
+  rawData: jsonb("raw_data").$type<Record<string, unknown>>().notNull(),
+  // Why the published state was kept or changed (see shared/transitions.js)
+  stateTransition: jsonb("state_transition").$type<Record<string, any>>(),
+}, (table) => [
+  index("sentiment_snapshots_scope_taken_at_idx").on(table.scope, table.takenAt),
+]);
+
+export type SentimentSnapshot = typeof sentimentSnapshots.$inferSelect;
+export type InsertSentimentSnapshot = Omit<SentimentSnapshot, "id">;
+
+// An accepted change of published state, recorded alongside the snapshot
+// that made it
+export const stateTransitions = pgTable("state_transitions", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  scope: text("scope").notNull(),
+  occurredAt: timestamp("occurred_at", { withTimezone: true }).notNull(),
+  fromState: text("from_state").notNull(),
+  toState: text("to_state").notNull(),
+  sentimentScore: doublePrecision("sentiment_score").notNull(),
+  snapshotId: varchar("snapshot_id").references(() => sentimentSnapshots.id),
+}, (table) => [
+  index("state_transitions_scope_occurred_at_idx").on(table.scope, table.occurredAt),
+]);
+
+export type StateTransition = typeof stateTransitions.$inferSelect;
+export type InsertStateTransition = Omit<StateTransition, "id">;
+
+// A marketplace sale ingested from the market data provider. Sales are keyed
+// by their chain and on-chain position so re-fetching the same page is harmless.
+export const sales = pgTable("sales", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  chain: text("chain").notNull().default("ethereum"),
+  contract: text("contract").notNull(),
+  tokenId: text("token_id").notNull(),
+  marketplace: text("marketplace"),
+  buyerAddress: text("buyer_address"),
+  sellerAddress: text("seller_address"),
+  priceEth: doublePrecision("price_eth").notNull(),
+  transactionHash: text("transaction_hash").notNull(),
+  logIndex: integer("log_index").notNull(),
+  bundleIndex: integer("bundle_index").notNull().default(0),
+  blockNumber: integer("block_number"),
+  blockTimestamp: timestamp("block_timestamp", { withTimezone: true }).notNull(),
+}, (table) => [
+  uniqueIndex("sales_transaction_log_bundle_idx").on(table.chain, table.transactionHash, table.logIndex, table.bundleIndex),
+  index("sales_contract_block_timestamp_idx").on(table.contract, table.blockTimestamp),
+]);
+
+export type Sale = typeof sales.$inferSelect;
+export type InsertSale = Omit<Sale, "id">;
+
+// A curator override pinning the published market state between `startsAt`
+// and `until` (see shared/overrides.js)
+export const sentimentOverrides = pgTable("sentiment_overrides", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  state: text("state").notNull(),
+  startsAt: timestamp("starts_at", { withTimezone: true }).notNull(),
+  until: timestamp("until", { withTimezone: true }).notNull(),
+  // Username of the curator who created it
+  createdBy: text("created_by").notNull(),
+  reason: text("reason"),
+  createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  cancelledAt: timestamp("cancelled_at", { withTimezone: true }),
+});
+
+export type SentimentOverride = typeof sentimentOverrides.$inferSelect;
+export type InsertSentimentOverride = Omit<SentimentOverride, "id" | "createdAt" | "cancelledAt">;
+
+// One webhook event delivered (or not) to one URL (see shared/webhooks.js)
+export const webhookDeliveries = pgTable("webhook_deliveries", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  eventId: text("event_id").notNull(),
+  eventType: text("event_type").notNull(),
+  scope: text("scope").notNull(),
+  url: text("url").notNull(),
+  delivered: boolean("delivered").notNull(),
+  attempts: integer("attempts").notNull(),
+  lastStatus: integer("last_status"),
+  lastError: text("last_error"),
+  attemptLog: jsonb("attempt_log").$type<Record<string, any>[]>().notNull(),
+  payload: jsonb("payload").$type<Record<string, any>>().notNull(),
+  startedAt: timestamp("started_at", { withTimezone: true }).notNull(),
+  completedAt: timestamp("completed_at", { withTimezone: true }).notNull(),
+}, (table) => [
+  index("webhook_deliveries_started_at_idx").on(table.startedAt),
+  index("webhook_deliveries_event_id_idx").on(table.eventId),
+]);
+
+export type WebhookDelivery = typeof webhookDeliveries.$inferSelect;
+export type InsertWebhookDelivery = Omit<WebhookDelivery, "id">;
+
+// The outcome of one token's refresh at one marketplace within a refresh run
+// (see shared/metadata-refresh.js)
+export const metadataRefreshes = pgTable("metadata_refreshes", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  runId: text("run_id").notNull(),
+  trigger: text("trigger").notNull(),
+  marketplace: text("marketplace").notNull(),
+  tokenId: text("token_id").notNull(),
+  outcome: text("outcome").notNull(),
+  status: integer("status"),
+  error: text("error"),
+  attempts: integer("attempts").notNull(),
+  attemptedAt: timestamp("attempted_at", { withTimezone: true }).notNull(),
+}, (table) => [
+  index("metadata_refreshes_run_id_idx").on(table.runId),
+  index("metadata_refreshes_attempted_at_idx").on(table.attemptedAt),
+]);
+
+export type MetadataRefresh = typeof metadataRefreshes.$inferSelect;
+export type InsertMetadataRefresh = Omit<MetadataRefresh, "id">;
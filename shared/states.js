@@ -0,0 +1,22 @@
+// Market states, indicator weights and score bands. Kept free of imports so
+// the client (client/src/pages/dashboard.tsx) can draw the same bands the
+// engine classifies with; shared/sentiment.js re-exports all of them.
+
+export const MARKET_STATES = ['capitulation', 'stagnation', 'resilience', 'euphoria'];
+export const DEFAULT_MARKET_STATE = 'stagnation';
+
+// Weighted sentiment score
+export const INDICATOR_WEIGHTS = {
+  floor_price_trend: 0.25,
+  sales_volume_ratio: 0.25,
+  active_traders: 0.20,
+  price_volatility: 0.15,
+  market_cap_change: 0.15
+};
+
+// Lower bound of each state's score band
+export const SCORE_THRESHOLDS = {
+  stagnation: 0.25,
+  resilience: 0.50,
+  euphoria: 0.75
+};
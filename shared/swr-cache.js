@@ -0,0 +1,116 @@
+// Bounded in-memory cache for upstream results, shared by the Express server
+// and the Netlify functions. Entries are fresh for `ttlMs`, then served stale
+// for up to `staleMs` more while one background load replaces them; older
+// entries are reloaded before answering. Concurrent loads of the same key
+// share one upstream call, and the least recently used entries are evicted
+// beyond `maxEntries`, so arbitrary `?contract=` values cannot grow it without
+// limit.
+import { logger } from "./logger.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_CACHE_MAX_ENTRIES = 500;
+
+// SENTIMENT_CACHE_MAX_ENTRIES and SENTIMENT_CACHE_STALE_HOURS, with the
+// 12-hour refresh period as the TTL
+export function sentimentCacheOptions(env = process.env) {
+  const maxEntries = parseInt(env.SENTIMENT_CACHE_MAX_ENTRIES, 10);
+  const staleHours = Number(env.SENTIMENT_CACHE_STALE_HOURS ?? 12);
+  return {
+    maxEntries: maxEntries > 0 ? maxEntries : DEFAULT_CACHE_MAX_ENTRIES,
+    ttlMs: 12 * HOUR_MS,
+    staleMs: (staleHours >= 0 ? staleHours : 12) * HOUR_MS
+  };
+}
+
+export function createSwrCache({ maxEntries = DEFAULT_CACHE_MAX_ENTRIES, ttlMs = 12 * HOUR_MS, staleMs = 0 } = {}) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+  const inFlight = new Map();
+  const counters = { hits: 0, stale_hits: 0, misses: 0, coalesced: 0, evictions: 0, load_errors: 0 };
+
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  function set(key, value, { ttl = ttlMs, timestamp = Date.now() } = {}) {
+    touch(key, { value, timestamp, freshUntil: timestamp + ttl, staleUntil: timestamp + ttl + staleMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  // One load per key at a time; callers arriving meanwhile share its promise
+  function load(key, loader, previous, ttl) {
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      return inFlight.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const value = await loader(previous);
+        set(key, value, { ttl });
+        return entries.get(key);
+      } catch (error) {
+        counters.load_errors++;
+        throw error;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Resolves to `{ value, timestamp, status }` where status is 'hit', 'stale'
+  // or 'miss'. `loader(previous)` receives the last stored `{ value,
+  // timestamp }` (even an expired one) or null. A failed background refresh
+  // keeps serving the stale value; pass `waitUntil` on hosts that stop work
+  // once the response is sent.
+  async function fetch(key, loader, { ttl = ttlMs, waitUntil } = {}) {
+    const now = Date.now();
+    const entry = entries.get(key);
+    const previous = entry ? { value: entry.value, timestamp: entry.timestamp } : null;
+
+    if (entry && now < entry.freshUntil) {
+      counters.hits++;
+      touch(key, entry);
+      return { value: entry.value, timestamp: entry.timestamp, status: 'hit' };
+    }
+
+    if (entry && now < entry.staleUntil) {
+      counters.stale_hits++;
+      touch(key, entry);
+      const refresh = load(key, loader, previous, ttl).catch(error => {
+        logger.warn('Background refresh failed', { key, error: error.message });
+      });
+      waitUntil?.(refresh);
+      return { value: entry.value, timestamp: entry.timestamp, status: 'stale' };
+    }
+
+    counters.misses++;
+    const loaded = await load(key, loader, previous, ttl);
+    return { value: loaded.value, timestamp: loaded.timestamp, status: 'miss' };
+  }
+
+  function stats() {
+    return {
+      size: entries.size,
+      max_entries: maxEntries,
+      in_flight: inFlight.size,
+      ...counters
+    };
+  }
+
+  return {
+    fetch,
+    set,
+    stats,
+    get size() {
+      return entries.size;
+    }
+  };
+}
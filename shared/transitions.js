@@ -0,0 +1,215 @@
+// State transition rules applied on top of the engine's raw classification.
+// A score wobbling around a threshold should not flip the artwork on every
+// refresh, so a move to a new state must clear a hysteresis band around the
+// threshold, the current state must have been held for a minimum dwell time,
+// and optionally the new state must be confirmed by N consecutive snapshots.
+// A snapshot built from too little upstream data keeps the previous state.
+import { logger } from "./logger.js";
+import { MARKET_STATES, SCORE_THRESHOLDS, classifyScore } from "./sentiment.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_TRANSITION_RULES = {
+  // Score distance past a threshold required to cross it, per threshold. Off
+  // unless configured, so states follow the thresholds exactly (the OpenSea
+  // signal's 0.30 / 0.90 / 1.50 ratios included)
+  hysteresis: { stagnation: 0, resilience: 0, euphoria: 0 },
+  min_dwell_hours: 0,
+  confirmations: 1,
+  // Share of the data (data_quality.coverage) a snapshot needs to change state
+  min_coverage: 0.8
+};
+
+// The last invalid value warned about, per variable
+const invalidSettings = new Map();
+
+// Rules are loaded on every refresh and request; warn once per value
+function warnInvalid(name, value, error) {
+  if (invalidSettings.get(name) === value) return;
+  invalidSettings.set(name, value);
+  logger.warn(`Ignoring invalid ${name}, using the default`, { value, error });
+}
+
+// `{ value }` for a number of at least `min` (at most `max`, and whole when
+// `integer`), or `{ error }`
+function parseSetting(value, { min = 0, max = Infinity, integer = false } = {}) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    return { error: `${value} is not ${integer ? 'an integer' : 'a number'}` };
+  }
+  if (number < min || number > max) {
+    return { error: max === Infinity ? `${value} is below ${min}` : `${value} is outside ${min}-${max}` };
+  }
+  return { value: number };
+}
+
+// The numeric rules and their bounds
+const NUMERIC_SETTINGS = [
+  ['SENTIMENT_MIN_DWELL_HOURS', 'min_dwell_hours', { min: 0 }],
+  ['SENTIMENT_CONFIRMATIONS', 'confirmations', { min: 1, integer: true }],
+  ['SENTIMENT_MIN_COVERAGE', 'min_coverage', { min: 0, max: 1 }]
+];
+
+// `{ hysteresis }` per threshold from a single number or a JSON object, or
+// `{ error }`
+function parseHysteresis(value, thresholds) {
+  if (!value.startsWith('{')) {
+    const band = Number(value);
+    if (!Number.isFinite(band) || band < 0) return { error: `${value} is not a non-negative number` };
+    return { hysteresis: Object.fromEntries(thresholds.map(key => [key, band])) };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    return { error: `invalid JSON (${error.message})` };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return { error: 'expected an object per threshold' };
+  for (const [key, band] of Object.entries(parsed)) {
+    if (!thresholds.includes(key)) return { error: `unknown threshold ${key}` };
+    if (typeof band !== 'number' || !(band >= 0)) return { error: `${key} must be a non-negative number` };
+  }
+  return { hysteresis: parsed };
+}
+
+// Rules from the environment:
+//   SENTIMENT_HYSTERESIS       one band for every threshold (e.g. 0.03) or a
+//                              JSON object per threshold ({"resilience":0.05})
+//   SENTIMENT_MIN_DWELL_HOURS  hours a state must hold before it can change
+//   SENTIMENT_CONFIRMATIONS    consecutive snapshots needed to confirm a change
+//   SENTIMENT_MIN_COVERAGE     data coverage (0-1) below which the state is held
+// An invalid value is logged and its default kept.
+export function loadTransitionRules(env = process.env) {
+  const rules = {
+    ...DEFAULT_TRANSITION_RULES,
+    hysteresis: { ...DEFAULT_TRANSITION_RULES.hysteresis }
+  };
+
+  const hysteresis = env.SENTIMENT_HYSTERESIS?.trim();
+  if (hysteresis) {
+    const bands = parseHysteresis(hysteresis, Object.keys(rules.hysteresis));
+    if (bands.error !== undefined) {
+      warnInvalid('SENTIMENT_HYSTERESIS', hysteresis, bands.error);
+    } else {
+      Object.assign(rules.hysteresis, bands.hysteresis);
+    }
+  }
+
+  for (const [name, key, bounds] of NUMERIC_SETTINGS) {
+    const value = env[name]?.trim();
+    if (!value) continue;
+    const setting = parseSetting(value, bounds);
+    if (setting.error !== undefined) {
+      warnInvalid(name, value, setting.error);
+    } else {
+      rules[key] = setting.value;
+    }
+  }
+
+  return rules;
+}
+
+// Lower score bound of a state (capitulation has none)
+function lowerBound(state) {
+  return SCORE_THRESHOLDS[state] ?? -Infinity;
+}
+
+// The state the score has moved into once hysteresis is applied, or the
+// previous state when the score has not cleared any band
+function applyHysteresis(previousState, score, hysteresis) {
+  const from = MARKET_STATES.indexOf(previousState);
+  let resolved = previousState;
+
+  // Moving up: the highest state whose lower bound is cleared by its band
+  for (let i = from + 1; i < MARKET_STATES.length; i++) {
+    const state = MARKET_STATES[i];
+    if (score >= lowerBound(state) + (hysteresis[state] || 0)) resolved = state;
+  }
+  if (resolved !== previousState) return resolved;
+
+  // Moving down: the lowest state whose upper bound is cleared by its band
+  for (let i = from - 1; i >= 0; i--) {
+    const upper = MARKET_STATES[i + 1];
+    if (score < lowerBound(upper) - (hysteresis[upper] || 0)) resolved = MARKET_STATES[i];
+  }
+  return resolved;
+}
+
+// Decide the published state for a fresh score given the previous snapshot
+// (`{ market_state, timestamp, state_transition }`, or null on the first run).
+// `coverage` is the snapshot's data_quality.coverage; below min_coverage the
+// previous state is kept. Returns the state to publish and a record of why.
+export function resolveMarketState(score, previous, rules = DEFAULT_TRANSITION_RULES, now = Date.now(), { coverage = 1 } = {}) {
+  const rawState = classifyScore(score);
+
+  if (!previous || !MARKET_STATES.includes(previous.market_state)) {
+    return {
+      market_state: rawState,
+      state_transition: {
+        raw_state: rawState,
+        previous_state: null,
+        candidate_state: rawState,
+        accepted: true,
+        reason: 'initial',
+        state_since: now,
+        pending: null
+      }
+    };
+  }
+
+  const previousState = previous.market_state;
+  const stateSince = previous.state_transition?.state_since ?? previous.timestamp ?? now;
+  const candidate = applyHysteresis(previousState, score, rules.hysteresis);
+
+  const record = {
+    raw_state: rawState,
+    previous_state: previousState,
+    candidate_state: candidate,
+    accepted: false,
+    reason: 'unchanged',
+    state_since: stateSince,
+    pending: null
+  };
+
+  // Too little data to trust a move; the pending count is carried, not advanced
+  if (coverage < (rules.min_coverage ?? 0)) {
+    record.reason = 'insufficient_coverage';
+    record.coverage = coverage;
+    record.pending = previous.state_transition?.pending ?? null;
+    return { market_state: previousState, state_transition: record };
+  }
+
+  if (candidate === previousState) {
+    if (rawState !== previousState) record.reason = 'within_hysteresis_band';
+    return { market_state: previousState, state_transition: record };
+  }
+
+  // Count consecutive snapshots agreeing on the same candidate
+  const pending = previous.state_transition?.pending;
+  const count = pending?.state === candidate ? pending.count + 1 : 1;
+  record.pending = { state: candidate, count, required: rules.confirmations };
+
+  const dwellMs = now - stateSince;
+  if (dwellMs < rules.min_dwell_hours * HOUR_MS) {
+    record.reason = 'min_dwell';
+    record.dwell_remaining_hours = Math.round((rules.min_dwell_hours * HOUR_MS - dwellMs) / HOUR_MS * 10) / 10;
+    return { market_state: previousState, state_transition: record };
+  }
+
+  if (count < rules.confirmations) {
+    record.reason = 'awaiting_confirmation';
+    return { market_state: previousState, state_transition: record };
+  }
+
+  return {
+    market_state: candidate,
+    state_transition: {
+      ...record,
+      accepted: true,
+      reason: 'accepted',
+      state_since: now,
+      pending: null
+    }
+  };
+}
@@ -0,0 +1,215 @@
+// Webhooks fired when the published market state changes. Every configured
+// URL receives the same JSON event, signed with HMAC-SHA256, and failed
+// deliveries are retried with exponential backoff:
+//   WEBHOOK_URLS          comma-separated endpoints
+//   WEBHOOK_SECRET        shared signing secret (required: nothing is sent without it)
+//   WEBHOOK_MAX_ATTEMPTS  attempts per URL (default 4)
+//
+// Receivers verify `X-Webhook-Signature: sha256=<hex>` by computing
+// HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${raw body}`).
+//
+// The serverless refreshes store each event as pending before dispatching it
+// (pendingEvent / deliverPending), so one cut short by the function's time
+// limit is retried by the next run.
+import { createHash, createHmac, randomUUID } from "node:crypto";
+import { logger } from "./logger.js";
+
+export const TRANSITION_EVENT = 'market_state.transition';
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+// Pending events older than this are dropped instead of retried
+const PENDING_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+export function loadWebhookConfig(env = process.env) {
+  return {
+    urls: (env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    secret: env.WEBHOOK_SECRET || '',
+    maxAttempts: Math.max(1, parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS)
+  };
+}
+
+// The event for a change from `previousState` to the state in `sentiment`
+export function buildTransitionEvent({ scope, previousState, sentiment, timestamp }) {
+  return {
+    id: randomUUID(),
+    type: TRANSITION_EVENT,
+    scope,
+    previous_state: previousState,
+    new_state: sentiment.market_state,
+    sentiment_score: sentiment.sentiment_score,
+    indicators: sentiment.indicators,
+    timestamp: new Date(timestamp).toISOString()
+  };
+}
+
+export function signPayload(body, secret, timestamp) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not
+function isRetryable(status) {
+  return status === null || status === 429 || status >= 500;
+}
+
+// Webhook URLs often carry a token in the path or query, so anything stored
+// or logged outside the Express database names them by origin and a hash
+export function urlId(url) {
+  return createHash('sha256').update(url).digest('hex').slice(0, 12);
+}
+
+export function redactUrl(url) {
+  try {
+    return `${new URL(url).origin}/…`;
+  } catch {
+    return '[invalid url]';
+  }
+}
+
+export function redactDelivery(delivery) {
+  return { ...delivery, url: redactUrl(delivery.url), url_id: urlId(delivery.url) };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST one event to one URL, retrying with exponential backoff. No attempt
+// runs past `deadline` (epoch ms) and no retry is started that would wait
+// past it. Every request is signed: without a secret nothing is sent and the
+// delivery fails. Resolves to a delivery log entry; never rejects.
+export async function deliverWebhook(url, event, { secret = '', maxAttempts = DEFAULT_MAX_ATTEMPTS, baseDelayMs = BASE_DELAY_MS, deadline = Infinity } = {}) {
+  const body = JSON.stringify(event);
+  const startedAt = new Date();
+  const attemptLog = [];
+
+  for (let attempt = 1; secret && attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    if (started >= deadline) break;
+    let status = null;
+    let error = null;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'bull-piano-webhooks/1.0',
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Event-Id': event.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(body, secret, timestamp)
+        },
+        body,
+        signal: AbortSignal.timeout(Math.min(REQUEST_TIMEOUT_MS, deadline - started))
+      });
+      status = response.status;
+      if (!response.ok) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    attemptLog.push({
+      attempt,
+      at: new Date(started).toISOString(),
+      status,
+      error,
+      duration_ms: Date.now() - started
+    });
+
+    if (!error || !isRetryable(status) || attempt === maxAttempts) break;
+    const delay = baseDelayMs * 2 ** (attempt - 1);
+    if (Date.now() + delay >= deadline) break;
+    await wait(delay);
+  }
+
+  const last = attemptLog[attemptLog.length - 1] ?? {
+    status: null,
+    error: secret ? 'deadline reached before the first attempt' : 'WEBHOOK_SECRET not configured'
+  };
+  return {
+    event_id: event.id,
+    event_type: event.type,
+    scope: event.scope,
+    url,
+    delivered: !last.error,
+    attempts: attemptLog.length,
+    last_status: last.status,
+    last_error: last.error,
+    attempt_log: attemptLog,
+    payload: event,
+    started_at: startedAt.toISOString(),
+    completed_at: new Date().toISOString()
+  };
+}
+
+// Deliver an event to every configured URL (or just `urls`) in parallel,
+// within `deadline` (epoch ms)
+export async function dispatchEvent(event, config = loadWebhookConfig(), { urls = config.urls, deadline = Infinity } = {}) {
+  if (urls.length === 0) return [];
+  if (!config.secret) {
+    logger.error('WEBHOOK_SECRET not configured, webhooks not sent', { event_id: event.id });
+  }
+
+  const deliveries = await Promise.all(urls.map(url => deliverWebhook(url, event, { ...config, deadline })));
+  for (const delivery of deliveries) {
+    const log = delivery.delivered ? logger.info : logger.warn;
+    log(`Webhook ${delivery.delivered ? 'delivered' : 'failed'}`, {
+      event_id: delivery.event_id,
+      url: redactUrl(delivery.url),
+      url_id: urlId(delivery.url),
+      attempts: delivery.attempts,
+      error: delivery.last_error
+    });
+  }
+  return deliveries;
+}
+
+// An event still owed to the configured URLs, stored before dispatch. URLs
+// are kept as urlId() hashes and matched against WEBHOOK_URLS when
+// delivered, so the stored copy holds no secrets.
+export function pendingEvent(event, config = loadWebhookConfig()) {
+  return { event, url_ids: config.urls.map(urlId) };
+}
+
+// Deliver a pending event to the URLs it is still owed, within `deadline`.
+// `remaining` is the entry to store again for the next run, or null when
+// nothing is left to retry (delivered, rejected with a 4xx, or too old).
+export async function deliverPending(pending, { config = loadWebhookConfig(), deadline = Infinity, now = Date.now() } = {}) {
+  const urls = config.urls.filter(url => pending.url_ids.includes(urlId(url)));
+  const deliveries = await dispatchEvent(pending.event, config, { urls, deadline });
+
+  const retry = deliveries
+    .filter(delivery => !delivery.delivered && isRetryable(delivery.last_status))
+    .map(delivery => urlId(delivery.url));
+  const expired = now - Date.parse(pending.event.timestamp) > PENDING_MAX_AGE_MS;
+  if (retry.length > 0 && expired) {
+    logger.warn('Dropping undelivered webhook event', { event_id: pending.event.id, urls: retry.length });
+  }
+
+  return {
+    deliveries,
+    remaining: retry.length > 0 && !expired ? { ...pending, url_ids: retry } : null
+  };
+}
+
+const MAX_DELIVERY_QUERY_LIMIT = 500;
+
+// Validate a delivery log query `?event_id=&delivered=true|false&limit=`.
+// Returns `{ error }` when the query is unusable.
+export function parseDeliveryQuery({ event_id, delivered, limit } = {}) {
+  if (delivered !== undefined && delivered !== 'true' && delivered !== 'false') {
+    return { error: 'delivered must be true or false' };
+  }
+
+  const parsedLimit = limit === undefined ? 50 : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_DELIVERY_QUERY_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_DELIVERY_QUERY_LIMIT}` };
+  }
+
+  return {
+    eventId: event_id || undefined,
+    delivered: delivered === undefined ? undefined : delivered === 'true',
+    limit: parsedLimit
+  };
+}